@@ -7,9 +7,6 @@ import cors from 'cors';
 import helmet from 'helmet';
 import morgan from 'morgan';
 import cookieParser from 'cookie-parser'; 
-import { fileURLToPath } from 'url';
-import path from 'path';
-import { dirname } from 'path'
 
 // Import routes
 import authRoutes from './src/routes/auth.js'
@@ -18,10 +15,24 @@ import kitchenRoutes from './src/routes/kitchenRoutes.js';
 import shopRoutes from './src/routes/shopRoutes.js';
 import notificationRoutes from './src/routes/notificationsRoutes.js';
 import historyRoutes from './src/routes/historyRoutes.js';
+import invitationRoutes from './src/routes/invitationRoutes.js';
+import roleRoutes from './src/routes/roleRoutes.js';
+import auditRoutes from './src/routes/auditRoutes.js';
+import apiKeyRoutes from './src/routes/apiKeyRoutes.js';
+import rosterRoutes from './src/routes/rosterRoutes.js';
+import coverageRoutes from './src/routes/coverageRoutes.js';
+import schedulerRoutes from './src/routes/schedulerRoutes.js';
+import leaveRoutes from './src/routes/leaveRoutes.js';
+import shiftSwapRoutes from './src/routes/shiftSwapRoutes.js';
+import timeEntryRoutes from './src/routes/timeEntryRoutes.js';
+import payrollRoutes from './src/routes/payrollRoutes.js';
+import salaryRoutes from './src/routes/salaryRoutes.js';
+import visaRoutes from './src/routes/visaRoutes.js';
+import documentRoutes from './src/routes/documentRoutes.js';
+import fileRoutes from './src/routes/fileRoutes.js';
+import { requestId, auditTrail } from './src/middlewares/audit.js';
 
 const app = express();
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
 
 // Middleware
 app.use(helmet());
@@ -30,7 +41,8 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser()); // Parse cookies
 app.use(morgan('dev'));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use(requestId);
+app.use(auditTrail); // Record every mutating request in the audit log
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI);
@@ -48,11 +60,30 @@ app.use('/api/kitchens', kitchenRoutes);
 app.use('/api/shops', shopRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/history', historyRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/roster', rosterRoutes);
+app.use('/api/coverage', coverageRoutes);
+app.use('/api/scheduler', schedulerRoutes);
+app.use('/api/leave-requests', leaveRoutes);
+app.use('/api/shift-swaps', shiftSwapRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/payroll', payrollRoutes);
+app.use('/api/salaries', salaryRoutes);
+app.use('/api/visas', visaRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/files', fileRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
-  res.status(err.status || 500).json({ message: err.message || 'Internal Server Error' });
+  res.status(err.status || 500).json({
+    message: err.message || 'Internal Server Error',
+    // Structured reasons attached by services, e.g. scheduling conflicts
+    ...(err.conflicts && { conflicts: err.conflicts }),
+  });
 });
 
 // Start the server
@@ -61,6 +92,55 @@ app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
 
   try {
+    // Make sure the default roles exist before any user references them
+    const { seedDefaultRoles } = await import('./src/services/permissionService.js');
+    await seedDefaultRoles();
+
+    // Convert shift type names in operatingShifts to shift definitions
+    const { migrateOperatingShifts } = await import('./src/services/shiftService.js');
+    await migrateOperatingShifts();
+
+    // Convert images uploaded as a single file into resized WebP variants
+    const { migrateLegacyImages } = await import('./src/services/imageService.js');
+    await migrateLegacyImages();
+
+    // Background jobs; their schedule is kept in Mongo so each runs once per interval
+    const { registerJob, startJobRunner } = await import('./src/services/jobRunner.js');
+    const { syncLeaveAvailability } = await import('./src/services/leaveService.js');
+    const { detectAttendanceIssues } = await import('./src/services/timeEntryService.js');
+    const { applyDueSalaryChanges } = await import('./src/services/salaryService.js');
+    const { runVisaChecks } = await import('./src/services/visaService.js');
+    const leaveSyncMinutes = parseInt(process.env.LEAVE_SYNC_INTERVAL_MINUTES, 10) || 60;
+
+    // Mark users unavailable when approved leave starts and available again when it ends
+    registerJob({
+      name: 'syncLeaveAvailability',
+      intervalMinutes: leaveSyncMinutes,
+      run: syncLeaveAvailability,
+      runAtStartup: true,
+    });
+    // Flag no-shows and missed clock-outs
+    registerJob({
+      name: 'detectAttendanceIssues',
+      intervalMinutes: parseInt(process.env.ATTENDANCE_CHECK_INTERVAL_MINUTES, 10) || 15,
+      run: detectAttendanceIssues,
+    });
+    // Apply salary changes whose effective date has come
+    registerJob({
+      name: 'applyDueSalaryChanges',
+      intervalMinutes: leaveSyncMinutes,
+      run: applyDueSalaryChanges,
+      runAtStartup: true,
+    });
+    // Remind of expiring visas and make users with lapsed visas unavailable
+    registerJob({
+      name: 'visaChecks',
+      intervalMinutes: parseInt(process.env.VISA_CHECK_INTERVAL_MINUTES, 10) || 60,
+      run: runVisaChecks,
+      runAtStartup: true,
+    });
+    await startJobRunner();
+
     const { default: User } = await import('./src/models/User.js');
 
     // Check if an admin user already exists
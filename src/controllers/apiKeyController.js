@@ -0,0 +1,84 @@
+import ApiKey from '../models/ApiKey.js';
+import { validationResult } from 'express-validator';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { getRolePermissions } from '../services/permissionService.js';
+
+const API_KEY_PREFIX = 'dbk_';
+
+// Create an API key; the plain key is only returned in this response
+export const createApiKey = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, permissions, expiresAt, allowedIps } = req.body;
+
+    // A key cannot grant more than its creator holds
+    const held = req.user.apiKeyId ? req.user.permissions : await getRolePermissions(req.user.role);
+    const notHeld = permissions.filter((permission) => !held.includes(permission));
+    if (notHeld.length > 0) {
+      return res.status(403).json({ message: `You cannot grant permissions you do not hold: ${notHeld.join(', ')}` });
+    }
+
+    const key = `${API_KEY_PREFIX}${generateToken(24)}`;
+    const apiKey = await new ApiKey({
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+      keyHash: hashToken(key),
+      permissions: [...new Set(permissions)],
+      expiresAt,
+      allowedIps,
+      createdBy: req.user.userId,
+    }).save();
+
+    const { keyHash, ...apiKeyData } = apiKey.toObject();
+
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey: apiKeyData,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List API keys with their usage
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .select('-keyHash -__v')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .lean()
+      .exec();
+
+    res.json({ apiKeys });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Revoke an API key; it stops working on the next request
+export const revokeApiKey = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.apiKeyId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) return res.status(404).json({ message: 'Active API key not found' });
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
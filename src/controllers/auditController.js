@@ -0,0 +1,92 @@
+import AuditLog from '../models/AuditLog.js';
+import { validationResult } from 'express-validator';
+import { toCsv } from '../utils/csv.js';
+
+const EXPORT_LIMIT = 10000;
+
+// Build the audit log query from the request filters
+const buildAuditQuery = ({ actor, apiKey, entityType, entityId, from, to }) => ({
+  ...(actor && { actor }),
+  ...(apiKey && { apiKey }),
+  ...(entityType && { entityType }),
+  ...(entityId && { entityId }),
+  ...((from || to) && {
+    createdAt: {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) }),
+    },
+  }),
+});
+
+// Get audit log entries with filters and pagination
+export const getAuditLogs = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+    const query = buildAuditQuery(req.query);
+
+    const auditLogs = await AuditLog.find(query)
+      .populate('actor', 'username role')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec();
+
+    const totalRecords = await AuditLog.countDocuments(query);
+
+    res.json({
+      auditLogs,
+      totalRecords,
+      currentPage: page,
+      totalPages: Math.ceil(totalRecords / limit),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Export audit log entries matching the filters as CSV
+export const exportAuditLogs = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const auditLogs = await AuditLog.find(buildAuditQuery(req.query))
+      .populate('actor', 'username')
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean()
+      .exec();
+
+    const csv = toCsv(auditLogs, [
+      { header: 'timestamp', value: (log) => log.createdAt },
+      { header: 'actorId', value: (log) => log.actor?._id },
+      { header: 'actor', value: (log) => log.actor?.username },
+      { header: 'actorRole', value: (log) => log.actorRole },
+      { header: 'apiKeyId', value: (log) => log.apiKey },
+      { header: 'method', value: (log) => log.method },
+      { header: 'route', value: (log) => log.route },
+      { header: 'statusCode', value: (log) => log.statusCode },
+      { header: 'entityType', value: (log) => log.entityType },
+      { header: 'entityId', value: (log) => log.entityId },
+      { header: 'changes', value: (log) => log.changes },
+      { header: 'requestId', value: (log) => log.requestId },
+      { header: 'ip', value: (log) => log.ip },
+    ]);
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="audit-log-${Date.now()}.csv"`);
+    res.send(csv);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,27 +1,113 @@
 import User from '../models/User.js';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import { validationResult } from 'express-validator';
 import RefreshToken from '../models/RefreshToken.js';
+import Session from '../models/Session.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from '../services/mailer.js';
+import {
+  isIpBlocked,
+  getIpRetryAfterSeconds,
+  isAccountLocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} from '../services/loginProtectionService.js';
+import {
+  isTwoFactorRequired,
+  findUserWithTwoFactor,
+  verifySecondFactor,
+} from '../services/twoFactorService.js';
 
-const generateAccessToken = (user) => {
-  return jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '15m' });
+const REFRESH_TOKEN_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+// Challenge tokens are signed with JWT_SECRET like access tokens; the audience keeps
+// authenticateToken from accepting them
+const TWO_FACTOR_AUDIENCE = '2fa';
+const PASSWORD_RESET_TTL = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'Strict',
+};
+
+const generateAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { userId: user._id, role: user.role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+  );
 };
 
-const generateRefreshToken = async (user) => {
-  const refreshToken = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_REFRESH_SECRET, { expiresIn: '7d' });
+// Issue a refresh token belonging to the given session (token family)
+const generateRefreshToken = async (user, session) => {
+  const refreshToken = jwt.sign(
+    { userId: user._id, role: user.role, sessionId: session._id },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: '7d', jwtid: crypto.randomUUID() }
+  );
 
   // Save the refresh token in the database
   await new RefreshToken({
     token: refreshToken,
     user: user._id,
-    expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days expiry
-  }).save();  
+    session: session._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+  }).save();
 
   return refreshToken;
 };
 
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie('refreshToken', refreshToken, { ...refreshCookieOptions, maxAge: REFRESH_TOKEN_TTL });
+};
+
+// Revoke a whole token family so none of its refresh tokens can be used again
+const revokeSession = async (sessionId, reason) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.deleteMany({ session: sessionId });
+};
+
+// Start a new session for the device making the request
+const createSession = (user, req) => {
+  return new Session({
+    user: user._id,
+    device: req.body?.device || req.header('X-Device-Name') || undefined,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL),
+  }).save();
+};
+
+// Create a session for the user, set the refresh cookie and return an access token
+const startUserSession = async (user, req, res) => {
+  const session = await createSession(user, req);
+  const accessToken = generateAccessToken(user, session._id);
+  const refreshToken = await generateRefreshToken(user, session);
+
+  // Set the refresh token in an HTTP-only cookie
+  setRefreshCookie(res, refreshToken);
+
+  return accessToken;
+};
+
+const sendAccountLocked = (res, lockUntil) => {
+  res.set('Retry-After', String(Math.ceil((lockUntil - Date.now()) / 1000)));
+  return res.status(423).json({ message: 'Account temporarily locked after too many failed attempts', lockUntil });
+};
+
 export const register = async (req, res, next) => {
-    const errors = validationResult(req);
+  // Staff are onboarded through invitations unless self-registration is enabled
+  if (process.env.ALLOW_PUBLIC_REGISTRATION !== 'true') {
+    return res.status(403).json({ message: 'Public registration is disabled, ask an admin for an invitation' });
+  }
+
+  const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({ errors: errors.array() });
   }
@@ -55,65 +141,372 @@ export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
+    // Throttle IPs that have failed too many logins across accounts
+    if (await isIpBlocked(req.ip)) {
+      res.set('Retry-After', String(getIpRetryAfterSeconds()));
+      return res.status(429).json({ message: 'Too many failed login attempts, try again later' });
+    }
+
     // Find the user
     const user = await User.findOne({ email });
-    if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+    if (!user) {
+      await recordFailedLogin({ email, ip: req.ip });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    if (isAccountLocked(user)) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
 
     // Check password
     const isMatch = await user.comparePassword(password);
-    if (!isMatch) return res.status(401).json({ message: 'Invalid credentials' });
-
-    // Generate tokens
-    const accessToken = generateAccessToken(user);
-    const refreshToken = await generateRefreshToken(user);
-
-    // Set the refresh token in an HTTP-only cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production', 
-      sameSite: 'Strict',
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+    if (!isMatch) {
+      const lockUntil = await recordFailedLogin({ user, email, ip: req.ip });
+      if (lockUntil) return sendAccountLocked(res, lockUntil);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // With 2FA enabled the password only earns a short-lived challenge token
+    if (user.twoFactor?.enabled) {
+      const challengeToken = jwt.sign(
+        { userId: user._id, purpose: '2fa' },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL, audience: TWO_FACTOR_AUDIENCE }
+      );
+      return res.status(200).json({ twoFactorRequired: true, challengeToken });
+    }
+
+    await recordSuccessfulLogin({ user, email, ip: req.ip });
+
+    const accessToken = await startUserSession(user, req, res);
+
+    res.status(200).json({
+      accessToken,
+      user: { _id: user._id, role: user.role },
+      ...(isTwoFactorRequired(user.role) && { twoFactorSetupRequired: true }),
     });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Second login step for accounts with 2FA: exchange the challenge token and a
+// TOTP or recovery code for a session
+export const completeTwoFactorLogin = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  let payload;
+  try {
+    payload = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: TWO_FACTOR_AUDIENCE });
+  } catch (err) {
+    return res.status(401).json({ message: 'Invalid or expired challenge, log in again' });
+  }
+  if (payload.purpose !== '2fa') {
+    return res.status(401).json({ message: 'Invalid or expired challenge, log in again' });
+  }
+
+  try {
+    const user = await findUserWithTwoFactor(payload.userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, log in again' });
+    }
+
+    if (isAccountLocked(user)) {
+      return sendAccountLocked(res, user.lockUntil);
+    }
+
+    // Wrong codes count towards the account lockout like wrong passwords
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      const lockUntil = await recordFailedLogin({ user, email: user.email, ip: req.ip });
+      if (lockUntil) return sendAccountLocked(res, lockUntil);
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await recordSuccessfulLogin({ user, email: user.email, ip: req.ip });
+
+    const accessToken = await startUserSession(user, req, res);
 
     res.status(200).json({ accessToken, user: { _id: user._id, role: user.role } });
   } catch (err) {
     next(err);
   }
 };
-// Refresh Access Token
+// Refresh Access Token, rotating the refresh token on every call
 export const refreshToken = async (req, res, next) => {
   const { refreshToken } = req.cookies;
 
   if (!refreshToken) return res.status(401).json({ message: 'No refresh token found' });
 
+  let payload;
   try {
     // Verify refresh token
-    const payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+    payload = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired refresh token' });
+  }
 
+  try {
     // Check if token is in the database
     const storedToken = await RefreshToken.findOne({ token: refreshToken });
     if (!storedToken) return res.status(401).json({ message: 'Invalid refresh token' });
 
-    // Generate new access token
-    const newAccessToken = generateAccessToken({ _id: payload.userId, role: payload.role });
+    const session = await Session.findById(storedToken.session);
+    if (!session || session.revokedAt) {
+      res.clearCookie('refreshToken', refreshCookieOptions);
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
 
+    // Mark the token as used; if it already was, someone is replaying it
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: storedToken._id, usedAt: null },
+      { usedAt: new Date() }
+    );
+    if (!claimed) {
+      await revokeSession(session._id, 'Refresh token reuse detected');
+      res.clearCookie('refreshToken', refreshCookieOptions);
+      return res.status(401).json({ message: 'Refresh token reuse detected, session revoked' });
+    }
+
+    const user = await User.findById(payload.userId).select('_id role');
+    if (!user) {
+      await revokeSession(session._id, 'User no longer exists');
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    // Rotate: issue the next token in the same family
+    const newRefreshToken = await generateRefreshToken(user, session);
+    session.lastUsedAt = new Date();
+    session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL);
+    session.ip = req.ip;
+    await session.save();
+
+    const newAccessToken = generateAccessToken(user, session._id);
+
+    setRefreshCookie(res, newRefreshToken);
     res.status(200).json({ accessToken: newAccessToken });
   } catch (error) {
-    res.status(401).json({ message: 'Invalid or expired refresh token' });
+    next(error);
   }
 };
 
-export const logout = async (req, res) => {
-  const { refreshToken } = req.cookies;
+export const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.cookies;
+
+    // Logging out ends the whole session, not just the current token
+    const storedToken = refreshToken && (await RefreshToken.findOne({ token: refreshToken }));
+    const sessionId = storedToken?.session || req.user.sessionId;
+    if (sessionId) {
+      await revokeSession(sessionId, 'Logged out');
+    }
+
+    res.clearCookie('refreshToken', refreshCookieOptions);
+    res.status(200).json({ message: 'Logout successful' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List the authenticated user's active sessions
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select('device userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean()
+      .exec();
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.user.sessionId,
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Revoke one of the authenticated user's sessions
+export const revokeUserSession = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { sessionId } = req.params;
+
+    const session = await Session.findOne({ _id: sessionId, user: req.user.userId, revokedAt: null });
+    if (!session) return res.status(404).json({ message: 'Session not found' });
+
+    await revokeSession(session._id, 'Revoked by user');
+
+    if (sessionId === req.user.sessionId) {
+      res.clearCookie('refreshToken', refreshCookieOptions);
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Revoke all of the authenticated user's sessions, optionally keeping the current one
+export const revokeAllSessions = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      ...(keepCurrent && req.user.sessionId && { _id: { $ne: req.user.sessionId } }),
+    })
+      .select('_id')
+      .lean();
+
+    await Promise.all(sessions.map((session) => revokeSession(session._id, 'Revoked by user')));
+
+    if (!keepCurrent) {
+      res.clearCookie('refreshToken', refreshCookieOptions);
+    }
+
+    res.json({ message: 'Sessions revoked successfully', revokedCount: sessions.length });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Request a password reset email. Always responds the same way so the endpoint
+// cannot be used to discover which emails are registered.
+export const forgotPassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { email } = req.body;
+    const user = await User.findOne({ email }).select('_id email username');
+
+    if (user) {
+      // Only the most recent reset link is valid
+      await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
 
-  await RefreshToken.findOneAndDelete({ token: refreshToken });
+      const token = generateToken();
+      await new PasswordResetToken({
+        user: user._id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL),
+        requestedIp: req.ip,
+      }).save();
 
-  res.clearCookie('refreshToken', {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'Strict',
-  });
-  res.status(200).json({ message: 'Logout successful' });
+      const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text:
+          `Hello ${user.username},\n\n` +
+          `Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL / 60000} minutes.\n\n` +
+          `${resetUrl}\n\n` +
+          'If you did not request a password reset you can ignore this email.',
+      });
+    }
+
+    res.json({ message: 'If that email is registered, a reset link has been sent' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Reset a password with a token from a reset email
+export const resetPassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { token, password } = req.body;
+
+    // Claim the token atomically so it can only be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() }
+    );
+    if (!resetToken) return res.status(400).json({ message: 'Invalid or expired reset token' });
+
+    const user = await User.findById(resetToken.user);
+    if (!user) return res.status(400).json({ message: 'Invalid or expired reset token' });
+
+    user.password = password;
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Log the account out everywhere
+    const sessions = await Session.find({ user: user._id, revokedAt: null }).select('_id').lean();
+    await Promise.all(sessions.map((session) => revokeSession(session._id, 'Password reset')));
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Change the authenticated user's password (also clears a forced password change)
+export const changePassword = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) return res.status(400).json({ message: 'Current password is incorrect' });
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    user.password = newPassword;
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Keep the current session, end all the others
+    const sessions = await Session.find({
+      user: user._id,
+      revokedAt: null,
+      ...(req.user.sessionId && { _id: { $ne: req.user.sessionId } }),
+    })
+      .select('_id')
+      .lean();
+    await Promise.all(sessions.map((session) => revokeSession(session._id, 'Password changed')));
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (err) {
+    next(err);
+  }
 };
 
 export const getMe = async (req, res, next) => {
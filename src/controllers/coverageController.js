@@ -0,0 +1,40 @@
+import { validationResult } from 'express-validator';
+import { daysBetween, toUtcDate, today, addDays } from '../utils/dates.js';
+import { resolveScope } from '../middlewares/scope.js';
+import { MAX_ROSTER_DAYS } from '../services/rosterService.js';
+import { getCoverageReport } from '../services/coverageService.js';
+
+// List understaffed shifts across all locations the caller manages
+export const getCoverage = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const from = toUtcDate(req.query.from || today());
+    const to = toUtcDate(req.query.to || addDays(from, 6));
+    const { location, locationType } = req.query;
+
+    if (to < from || daysBetween(from, to) >= MAX_ROSTER_DAYS) {
+      return res.status(400).json({ message: `Date range must be between 1 and ${MAX_ROSTER_DAYS} days` });
+    }
+
+    const scope = await resolveScope(req);
+    const managedLocationIds = [...scope.kitchens, ...scope.shops];
+    if (location && !scope.global && !managedLocationIds.includes(location)) {
+      return res.status(403).json({ message: 'Outside of your location scope' });
+    }
+
+    const understaffed = await getCoverageReport({
+      from,
+      to,
+      locationType,
+      locationIds: location ? [location] : !scope.global ? managedLocationIds : undefined,
+    });
+
+    res.json({ from, to, totalUnderstaffed: understaffed.length, understaffed });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,282 @@
+import EmployeeDocument from '../models/EmployeeDocument.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { Permission } from '../utils/enums.js';
+import { toUtcDate } from '../utils/dates.js';
+import { resolveScope, userScopeFilter } from '../middlewares/scope.js';
+import { acceptFile } from '../middlewares/upload.js';
+import { getRolePermissions } from '../services/permissionService.js';
+import { saveFile, removeFile, openFile } from '../services/storageService.js';
+import {
+  DOCUMENT_FILE_TYPES,
+  getMaxDocumentSize,
+  addDocumentVersion,
+  verifyDocumentVersion,
+} from '../services/documentService.js';
+
+// Parse the uploaded document
+export const uploadDocumentFile = acceptFile('file', { types: DOCUMENT_FILE_TYPES, maxSize: getMaxDocumentSize });
+
+// Version dates and notes from the form
+const getVersionFields = (body) => ({
+  issueDate: body.issueDate ? toUtcDate(body.issueDate) : undefined,
+  expiryDate: body.expiryDate ? toUtcDate(body.expiryDate) : undefined,
+  notes: body.notes,
+});
+
+const isOwnUser = (req, userId) => new mongoose.Types.ObjectId(req.user.userId).equals(userId);
+
+// Whether the caller's role grants a permission over the documents of a user in their scope
+const holdsDocumentPermission = async (req, userId, permission) => {
+  const permissions = req.user.apiKeyId ? req.user.permissions : await getRolePermissions(req.user.role);
+  if (!permissions.includes(permission)) return false;
+
+  const scope = await resolveScope(req);
+  return Boolean(await User.exists({ _id: userId, ...userScopeFilter(scope) }));
+};
+
+// Whether the caller may see (or change) the documents of a user: their own, or with the permission
+const canAccessUserDocuments = async (req, userId, permission) =>
+  isOwnUser(req, userId) || holdsDocumentPermission(req, userId, permission);
+
+// Whether what the caller uploads for a user counts as verified; never for their own documents
+const canVerifyUserDocuments = async (req, userId) =>
+  !isOwnUser(req, userId) && holdsDocumentPermission(req, userId, Permission.DOCUMENT_MANAGE);
+
+// Load a document the caller may see, or send a 404 and return null. Documents
+// of other users are reported as missing rather than forbidden.
+const findAccessibleDocument = async (req, res, permission = Permission.DOCUMENT_READ) => {
+  const document = await EmployeeDocument.findOne({ _id: req.params.documentId, isDeleted: false });
+  if (!document || !(await canAccessUserDocuments(req, document.user, permission))) {
+    res.status(404).json({ message: 'Document not found' });
+    return null;
+  }
+  return document;
+};
+
+// Upload a new document for the authenticated user, or (:userId) for a user in the caller's scope
+export const createDocument = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.file) return res.status(400).json({ message: 'A document file is required' });
+
+  const userId = req.params.userId || req.user.userId;
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!(await User.exists({ _id: userId }).session(session))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const verified = await canVerifyUserDocuments(req, userId);
+    req.file.storageKey = await saveFile(req.file, 'documents');
+    const employeeDocument = await addDocumentVersion(
+      new EmployeeDocument({ user: userId, type: req.body.type, title: req.body.title }),
+      req.file,
+      getVersionFields(req.body),
+      { actorId: req.user.userId, verified },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ message: 'Document uploaded successfully', employeeDocument });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    await removeFile(req.file.storageKey);
+    next(error);
+  }
+};
+
+// Upload a new version of a document, e.g. a renewed visa
+export const createDocumentVersion = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.file) return res.status(400).json({ message: 'A document file is required' });
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const document = await findAccessibleDocument(req, res, Permission.DOCUMENT_MANAGE);
+    if (!document) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    const verified = await canVerifyUserDocuments(req, document.user);
+    req.file.storageKey = await saveFile(req.file, 'documents');
+    if (req.body.title !== undefined) document.title = req.body.title;
+    const employeeDocument = await addDocumentVersion(
+      document,
+      req.file,
+      getVersionFields(req.body),
+      { actorId: req.user.userId, verified },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ message: 'Document version uploaded successfully', employeeDocument });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    await removeFile(req.file.storageKey);
+    next(error);
+  }
+};
+
+// Verify the current version of a document a user uploaded themselves; a visa's
+// expiry date then applies to the user
+export const verifyDocument = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const document = await findAccessibleDocument(req, res, Permission.DOCUMENT_MANAGE);
+    if (!document) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    if (!(await canVerifyUserDocuments(req, document.user))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'You cannot verify your own documents' });
+    }
+
+    const employeeDocument = await verifyDocumentVersion(document, req.user.userId, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Document verified successfully', employeeDocument });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+const listDocuments = (userId, type) =>
+  EmployeeDocument.find({ user: userId, isDeleted: false, ...(type && { type }) })
+    .populate('versions.uploadedBy', 'username')
+    .sort({ type: 1, updatedAt: -1 })
+    .lean()
+    .exec();
+
+// Get the authenticated user's documents
+export const getMyDocuments = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json({ documents: await listDocuments(req.user.userId, req.query.type) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the documents of a user in the caller's scope
+export const getUserDocuments = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json({ documents: await listDocuments(req.params.userId, req.query.type) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a document with its version history
+export const getDocument = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const document = await findAccessibleDocument(req, res);
+    if (!document) return;
+
+    await document.populate('versions.uploadedBy', 'username');
+    res.json({ document });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Download the current (or a given) version of a document
+export const downloadDocument = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const document = await findAccessibleDocument(req, res);
+    if (!document) return;
+
+    const versionNumber = req.query.version ?? document.currentVersion;
+    const version = document.versions.find((entry) => entry.version === versionNumber);
+    if (!version) return res.status(404).json({ message: 'Document version not found' });
+
+    const file = await openFile(version.storageKey);
+    if (!file) return res.status(404).json({ message: 'Document file is missing' });
+
+    res.set('Content-Type', version.mimeType);
+    res.attachment(version.originalName);
+    if (file.size !== undefined) res.set('Content-Length', String(file.size));
+    file.stream.on('error', (err) => res.destroy(err));
+    file.stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Remove a document from the vault; its files are kept for the audit trail
+export const deleteDocument = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const document = await findAccessibleDocument(req, res, Permission.DOCUMENT_MANAGE);
+    if (!document) return;
+
+    document.isDeleted = true;
+    document.deletedBy = req.user.userId;
+    document.deletedAt = new Date();
+    await document.save();
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
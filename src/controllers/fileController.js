@@ -0,0 +1,26 @@
+import path from 'path';
+import { openFile, verifyFileSignature } from '../services/storageService.js';
+
+// Serve a stored file to the holder of a valid signed URL
+export const serveFile = async (req, res, next) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+    if (!verifyFileSignature(key, expires, signature)) {
+      return res.status(403).json({ message: 'Invalid or expired file link' });
+    }
+
+    const file = await openFile(key);
+    if (!file) return res.status(404).json({ message: 'File not found' });
+
+    res.type(file.contentType || path.extname(key));
+    if (file.size !== undefined) res.set('Content-Length', String(file.size));
+    // Cache no longer than the link is valid
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin'); // so the frontend can embed images
+    res.set('Cache-Control', `private, max-age=${Math.max(0, Number(expires) - Math.floor(Date.now() / 1000))}`);
+    file.stream.on('error', (err) => res.destroy(err));
+    file.stream.pipe(res);
+  } catch (err) {
+    next(err);
+  }
+};
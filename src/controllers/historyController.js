@@ -1,21 +1,43 @@
 import AvailabilityHistory from "../models/AvailabilityHistory.js";
 import UserHistory from "../models/UserHistory.js";
 import SalaryRecord from "../models/SalaryRecord.js";
+import SalaryChange from "../models/SalaryChange.js";
+import User from "../models/User.js";
+import { validationResult } from "express-validator";
+import { Permission } from "../utils/enums.js";
+import { resolveScope, userScopeFilter } from "../middlewares/scope.js";
+import { getRolePermissions } from "../services/permissionService.js";
+import { findPayslipRecord, getPayslipFileName, renderPayslip } from "../services/payslipService.js";
+import { visibleSalaryRecordFilter } from "../services/payrollService.js";
 
-// Fetch salary history with pagination
+// Fetch salary history with pagination (own, or :userId for admins), newest first;
+// records of payroll runs still in draft are left out
 export const getSalaryHistory = async (req, res, next) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.userId || req.user.userId;
       const page = parseInt(req.query.page, 10) || 1;
       const limit = parseInt(req.query.limit, 10) || 20;
       const skip = (page - 1) * limit;
+      const query = {
+        user: userId,
+        ...(req.query.type && { type: req.query.type }),
+        ...(req.query.status && { status: req.query.status }),
+        ...(await visibleSalaryRecordFilter()),
+      };
   
-      const salaryHistory = await SalaryRecord.find({ user: req.user.userId })
+      const salaryHistory = await SalaryRecord.find(query)
+        .sort({ date: -1 })
         .skip(skip)
         .limit(limit)
         .lean()
         .exec();
   
-      const totalRecords = await SalaryRecord.countDocuments({ user: req.user.userId });
+      const totalRecords = await SalaryRecord.countDocuments(query);
   
       res.json({
         salaryHistory,
@@ -28,20 +50,81 @@ export const getSalaryHistory = async (req, res, next) => {
     }
   };
   
-  // Fetch availability history with pagination
+  // Download the payslip PDF of a salary record (own, or any in scope with salary:read)
+  export const getPayslip = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const record = await findPayslipRecord(req.params.recordId);
+      if (!record?.user) return res.status(404).json({ message: 'Salary record not found' });
+
+      if (!record.user._id.equals(req.user.userId)) {
+        const permissions = req.user.apiKeyId ? req.user.permissions : await getRolePermissions(req.user.role);
+        const scope = await resolveScope(req);
+        const allowed =
+          permissions.includes(Permission.SALARY_READ) &&
+          (await User.exists({ _id: record.user._id, ...userScopeFilter(scope) }));
+        // Records of other users are reported as missing rather than forbidden
+        if (!allowed) return res.status(404).json({ message: 'Salary record not found' });
+      }
+
+      const pdf = await renderPayslip(record);
+
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${getPayslipFileName(record)}"`);
+      res.send(pdf);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // Fetch the timeline of salary changes, newest first. Users see the changes
+  // applied to them; admins (:userId) also see scheduled ones and who made them.
+  export const getSalaryChanges = async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const query = req.params.userId
+        ? { user: req.params.userId }
+        : { user: req.user.userId, appliedAt: { $ne: null } };
+
+      let changes = SalaryChange.find(query).sort({ effectiveDate: -1, createdAt: -1 });
+      changes = req.params.userId ? changes.populate('changedBy', 'username') : changes.select('-changedBy');
+
+      const salaryChanges = await changes.lean().exec();
+
+      res.json({ salaryChanges });
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // Fetch availability history with pagination (own, or :userId for managers)
   export const getAvailabilityHistory = async (req, res, next) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.userId || req.user.userId;
       const page = parseInt(req.query.page, 10) || 1;
       const limit = parseInt(req.query.limit, 10) || 20;
       const skip = (page - 1) * limit;
   
-      const availabilityHistory = await AvailabilityHistory.find({ user: req.user.userId })
+      const availabilityHistory = await AvailabilityHistory.find({ user: userId })
         .skip(skip)
         .limit(limit)
         .lean()
         .exec();
   
-      const totalRecords = await AvailabilityHistory.countDocuments({ user: req.user.userId });
+      const totalRecords = await AvailabilityHistory.countDocuments({ user: userId });
   
       res.json({
         availabilityHistory,
@@ -54,20 +137,26 @@ export const getSalaryHistory = async (req, res, next) => {
     }
   };
   
-  // Fetch user action history with pagination
+  // Fetch user action history with pagination (own, or :userId for managers)
   export const getActionHistory = async (req, res, next) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const userId = req.params.userId || req.user.userId;
       const page = parseInt(req.query.page, 10) || 1;
       const limit = parseInt(req.query.limit, 10) || 20;
       const skip = (page - 1) * limit;
   
-      const actionHistory = await UserHistory.find({ user: req.user.userId })
+      const actionHistory = await UserHistory.find({ user: userId })
         .skip(skip)
         .limit(limit)
         .lean()
         .exec();
   
-      const totalRecords = await UserHistory.countDocuments({ user: req.user.userId });
+      const totalRecords = await UserHistory.countDocuments({ user: userId });
   
       res.json({
         actionHistory,
@@ -0,0 +1,301 @@
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import Kitchen from '../models/Kitchen.js';
+import Shop from '../models/Shop.js';
+import UserHistory from '../models/UserHistory.js';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { validationResult } from 'express-validator';
+import { InvitationStatus, ActionType } from '../utils/enums.js';
+import { sendMail } from '../services/mailer.js';
+import { getRolePermissions, isRoleWithinPermissions } from '../services/permissionService.js';
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const getInviteSecret = () => process.env.JWT_INVITE_SECRET || process.env.JWT_SECRET;
+
+// Invitation tokens may share JWT_SECRET with access tokens; the audience keeps
+// authenticateToken from accepting them
+const INVITE_AUDIENCE = 'invite';
+
+// Rotate the invitation token and extend its expiry; older links stop working
+const issueInvitationToken = (invitation) => {
+  invitation.tokenId = crypto.randomUUID();
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  return jwt.sign(
+    { invitationId: invitation._id, purpose: 'invite' },
+    getInviteSecret(),
+    { expiresIn: `${INVITATION_TTL_DAYS}d`, jwtid: invitation.tokenId, audience: INVITE_AUDIENCE }
+  );
+};
+
+const sendInvitationEmail = async (invitation, token) => {
+  const acceptUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/accept-invite?token=${token}`;
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to Don Bambaloni',
+    text:
+      `You have been invited to join Don Bambaloni as ${invitation.role}.\n\n` +
+      `Complete your profile and choose a password here (valid for ${INVITATION_TTL_DAYS} days):\n\n` +
+      `${acceptUrl}`,
+  });
+
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+};
+
+// Pending invitations past their expiry are reported as expired
+const withEffectiveStatus = (invitation) => ({
+  ...invitation,
+  status:
+    invitation.status === InvitationStatus.PENDING && invitation.expiresAt <= new Date()
+      ? InvitationStatus.EXPIRED
+      : invitation.status,
+});
+
+// Create an invitation and email it
+export const createInvitation = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { email, role, salary, kitchenId, shopId } = req.body;
+
+    if (kitchenId && shopId) {
+      return res.status(400).json({ message: 'An invitation can target a kitchen or a shop, not both' });
+    }
+
+    const permissions = req.user.apiKeyId ? req.user.permissions : await getRolePermissions(req.user.role);
+    if (!(await isRoleWithinPermissions(role, permissions))) {
+      return res.status(403).json({ message: 'You cannot invite users to a role with permissions you do not hold' });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'A user with this email already exists' });
+    }
+
+    const pendingInvitation = await Invitation.exists({
+      email,
+      status: InvitationStatus.PENDING,
+      expiresAt: { $gt: new Date() },
+    });
+    if (pendingInvitation) {
+      return res.status(400).json({ message: 'A pending invitation already exists for this email, resend it instead' });
+    }
+
+    if (kitchenId && !(await Kitchen.exists({ _id: kitchenId, isDeleted: false }))) {
+      return res.status(404).json({ message: 'Kitchen not found or has been deleted' });
+    }
+    if (shopId && !(await Shop.exists({ _id: shopId, isDeleted: false }))) {
+      return res.status(404).json({ message: 'Shop not found or has been deleted' });
+    }
+
+    const invitation = new Invitation({
+      email,
+      role,
+      salary,
+      kitchenId,
+      shopId,
+      invitedBy: req.user.userId,
+    });
+
+    // Save first so a failed email leaves an invitation that can be resent
+    const token = issueInvitationToken(invitation);
+    await invitation.save();
+    await sendInvitationEmail(invitation, token);
+    await invitation.save();
+
+    res.status(201).json({ message: 'Invitation sent successfully', invitation });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List invitations with pagination
+export const getInvitations = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const skip = (page - 1) * limit;
+    const { status } = req.query;
+    const now = new Date();
+
+    // Expired is derived from the expiry date rather than stored
+    const query = {
+      ...(status === InvitationStatus.EXPIRED && {
+        $or: [
+          { status: InvitationStatus.EXPIRED },
+          { status: InvitationStatus.PENDING, expiresAt: { $lte: now } },
+        ],
+      }),
+      ...(status === InvitationStatus.PENDING && { status, expiresAt: { $gt: now } }),
+      ...(status && ![InvitationStatus.EXPIRED, InvitationStatus.PENDING].includes(status) && { status }),
+    };
+
+    const invitations = await Invitation.find(query)
+      .select('-tokenId -__v')
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec();
+
+    const totalInvitations = await Invitation.countDocuments(query);
+
+    res.json({
+      invitations: invitations.map(withEffectiveStatus),
+      totalInvitations,
+      totalPages: Math.ceil(totalInvitations / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Resend an invitation with a fresh token
+export const resendInvitation = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const invitation = await Invitation.findById(req.params.invitationId);
+    if (!invitation) return res.status(404).json({ message: 'Invitation not found' });
+
+    // Expired invitations can be revived by resending them
+    if (![InvitationStatus.PENDING, InvitationStatus.EXPIRED].includes(invitation.status)) {
+      return res.status(400).json({ message: `Cannot resend an invitation that is ${invitation.status.toLowerCase()}` });
+    }
+
+    invitation.status = InvitationStatus.PENDING;
+    const token = issueInvitationToken(invitation);
+    await sendInvitationEmail(invitation, token);
+    await invitation.save();
+
+    res.json({ message: 'Invitation resent successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Revoke a pending invitation
+export const revokeInvitation = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const invitation = await Invitation.findOneAndUpdate(
+      {
+        _id: req.params.invitationId,
+        status: { $in: [InvitationStatus.PENDING, InvitationStatus.EXPIRED] },
+      },
+      { status: InvitationStatus.REVOKED, revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) return res.status(404).json({ message: 'Pending invitation not found' });
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Accept an invitation: create the account from the invitation and the invitee's profile
+export const acceptInvitation = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { token, username, password, nationality, sex } = req.body;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getInviteSecret(), { audience: INVITE_AUDIENCE });
+  } catch (err) {
+    return res.status(400).json({ message: 'Invalid or expired invitation' });
+  }
+  if (payload.purpose !== 'invite') {
+    return res.status(400).json({ message: 'Invalid or expired invitation' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const invitation = await Invitation.findOne({
+      _id: payload.invitationId,
+      tokenId: payload.jti,
+      status: InvitationStatus.PENDING,
+      expiresAt: { $gt: new Date() },
+    }).session(session);
+
+    if (!invitation) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Invalid or expired invitation' });
+    }
+
+    const userExists = await User.findOne({ $or: [{ email: invitation.email }, { username }] }).session(session);
+    if (userExists) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: 'Email or username already exists' });
+    }
+
+    const user = new User({
+      username,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      salary: invitation.salary,
+      nationality,
+      sex,
+      kitchenId: invitation.kitchenId,
+      shopId: invitation.shopId,
+    });
+
+    // Record the initial location in the user's history
+    if (invitation.kitchenId || invitation.shopId) {
+      const userHistory = await new UserHistory({
+        user: user._id,
+        action: invitation.kitchenId ? ActionType.ASSIGNED_TO_KITCHEN : ActionType.ASSIGNED_TO_SHOP,
+        details: {
+          ...(invitation.kitchenId ? { kitchenId: invitation.kitchenId } : { shopId: invitation.shopId }),
+          reason: 'Assigned through invitation',
+        },
+      }).save({ session });
+      user.history.push(userHistory._id);
+    }
+
+    await user.save({ session });
+
+    invitation.status = InvitationStatus.ACCEPTED;
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = user._id;
+    await invitation.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      message: 'Invitation accepted, you can now log in',
+      user: { _id: user._id, username: user.username, email: user.email, role: user.role },
+    });
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    next(err);
+  }
+};
@@ -3,29 +3,27 @@ import User from '../models/User.js';
 import AvailabilityHistory from '../models/AvailabilityHistory.js';
 import UserHistory from '../models/UserHistory.js';
 import mongoose from 'mongoose';
-import { ShiftType, AvailabilityStatus, ActionType } from '../utils/enums.js';
+import { ShiftType, AvailabilityStatus, ActionType, LocationType } from '../utils/enums.js';
 import { validationResult } from 'express-validator';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import { today } from '../utils/dates.js';
+import {
+  parseShiftInput,
+  normalizeShiftInput,
+  syncShiftDefinitions,
+  getOperatingShiftTypes,
+  operatesShiftType,
+} from '../services/shiftService.js';
+import { getTeamWarnings } from '../services/coverageService.js';
+import { checkPatternConflicts, assertNoConflicts } from '../services/conflictService.js';
 import { sendAvailabilityNotification } from './notificationController.js';
-import multer from 'multer';
-import path from 'path';
+import { resolveScope, kitchenScopeFilter } from '../middlewares/scope.js';
+import { uploadImage } from '../middlewares/upload.js';
+import { saveImage, removeImage, withImageUrls } from '../services/imageService.js';
 
-// Configure Multer storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/'); // the upload directory
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname)); // Add file extension
-  },
-});
-
-// Initialize upload middleware
-const upload = multer({ storage });
-
-// Create a new kitchen (Admin only)
+// Create a new kitchen
 export const createKitchen = [
-  upload.single('image'), // Multer middleware to handle single file upload
+  uploadImage, // Optional image, resized into WebP variants when stored
   async (req, res, next) => {
     
     // Validate the request body
@@ -34,28 +32,42 @@ export const createKitchen = [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    let image;
+
     try {
       const { name, address, operatingShifts } = req.body;
-
-      // Ensure operatingShifts is an array, as FormData can sometimes send it as a string
-      const shiftsArray = Array.isArray(operatingShifts)
-        ? operatingShifts
-        : [operatingShifts];
+      image = req.file ? await saveImage(req.file, 'kitchens') : undefined;
 
       // Create the new kitchen object, including image if provided
       const kitchen = new Kitchen({
         name,
         address,
-        operatingShifts: shiftsArray,
-        image: req.file ? req.file.path : undefined, // Only include image if it exists
+        image, // Only include image if it exists
+      });
+
+      // Create the shift definitions (FormData can send operatingShifts as a single string)
+      await syncShiftDefinitions({
+        location: kitchen,
+        locationType: LocationType.KITCHEN,
+        shifts: parseShiftInput(operatingShifts) || [],
+        session,
       });
 
-      // Save the kitchen to the database
-      await kitchen.save();
+      // Save the kitchen in the same transaction, so a failure leaves no orphaned shift definitions
+      await kitchen.save({ session });
+
+      await session.commitTransaction();
+      session.endSession();
+      image = undefined; // Saved with the kitchen, so kept if anything below fails
 
       // Send response
-      res.status(201).json({ message: 'Kitchen created successfully', kitchen });
+      res.status(201).json({ message: 'Kitchen created successfully', kitchen: await withImageUrls(kitchen) });
     } catch (err) {
+      await removeImage(image);
+      if (session.inTransaction()) await session.abortTransaction();
+      session.endSession();
       next(err); // Pass the error to the next middleware
     }
   },
@@ -70,16 +82,21 @@ export const getAllKitchens = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
 
-    const kitchens = await Kitchen.find({ isDeleted: false })
+    // Only list kitchens the caller manages or works at, unless they have global access
+    const scope = await resolveScope(req);
+    const query = { isDeleted: false, ...kitchenScopeFilter(scope) };
+
+    const kitchens = await Kitchen.find(query)
+      .populate('operatingShifts')
       .skip(skip)
       .limit(limit)
       .lean()
       .exec();
 
-    const totalKitchens = await Kitchen.countDocuments({ isDeleted: false });
+    const totalKitchens = await Kitchen.countDocuments(query);
 
     res.json({
-      kitchens,
+      kitchens: await withImageUrls(kitchens),
       totalKitchens,
       totalPages: Math.ceil(totalKitchens / limit),
       currentPage: page,
@@ -95,6 +112,7 @@ export const getKitchenById = async (req, res, next) => {
     const { kitchenId } = req.params;
 
     const kitchen = await Kitchen.findById(kitchenId)
+    .populate('operatingShifts')
     .populate({
       path: 'teams.Morning teams.Afternoon teams.Night',
       model: 'User', 
@@ -105,27 +123,26 @@ export const getKitchenById = async (req, res, next) => {
 
     if (!kitchen) return res.status(404).json({ message: 'Kitchen not found' });
 
-    res.json({ kitchen });
+    res.json({ kitchen: await withImageUrls(kitchen) });
   } catch (err) {
     next(err);
   }
 };
 
-// Update a kitchen (Admin only)
+// Update a kitchen
 export const updateKitchen = [
-  upload.single('image'), // Handle image upload
+  uploadImage, // Optional image, resized into WebP variants when stored
   async (req, res, next) => {
     const session = await mongoose.startSession();
     session.startTransaction();
+    let image;
 
     try {
       const { kitchenId } = req.params;
       const updates = req.body;
 
       // Parse the operatingShifts in case it's sent as a single string
-      if (updates.operatingShifts && !Array.isArray(updates.operatingShifts)) {
-        updates.operatingShifts = [updates.operatingShifts];
-      }
+      updates.operatingShifts = parseShiftInput(updates.operatingShifts);
 
       // Find the current kitchen data before updating
       const currentKitchen = await Kitchen.findById(kitchenId).session(session);
@@ -136,18 +153,26 @@ export const updateKitchen = [
       }
 
       // Detect removed shifts by comparing current operatingShifts with the updated ones
-      const currentShifts = currentKitchen.operatingShifts || [];
-      const updatedShifts = updates.operatingShifts || [];
+      const currentShifts = await getOperatingShiftTypes(currentKitchen, session);
+      const updatedShifts = updates.operatingShifts
+        ? normalizeShiftInput(updates.operatingShifts).map((shift) => shift.shiftType)
+        : currentShifts;
       const removedShifts = currentShifts.filter(shift => !updatedShifts.includes(shift));
 
-      // Handle image update if an image is uploaded
+      // Teams of shifts that no longer fully operate (e.g. Both without Morning) are removed
+      const removedTeams = [...currentKitchen.teams.keys()].filter(
+        (shiftType) => !operatesShiftType(updatedShifts, shiftType)
+      );
+
+      // Store an uploaded image; the one it replaces is removed once the update is saved
+      const previousImage = currentKitchen.image;
       if (req.file) {
-        updates.image = req.file.path; // Store the file path in the updates
+        image = await saveImage(req.file, 'kitchens');
       }
 
       // Unassign users from removed shifts and update KITCHEN.teams
-      if (removedShifts.length > 0) {
-        for (const shift of removedShifts) {
+      if (removedTeams.length > 0) {
+        for (const shift of removedTeams) {
           const teamForShift = currentKitchen.teams.get(shift) || [];
           if (teamForShift.length > 0) {
             // Unassign users from the removed shifts
@@ -159,12 +184,27 @@ export const updateKitchen = [
         }
       }
 
+      // Drop upcoming dated shifts for the shifts that no longer operate
+      if (removedShifts.length > 0) {
+        await ShiftAssignment.deleteMany(
+          { location: kitchenId, shiftType: { $in: removedShifts }, date: { $gte: today() } },
+          { session }
+        );
+      }
+
       // Update the kitchen's operating shifts and other details
       currentKitchen.name = updates.name || currentKitchen.name;
       currentKitchen.address = updates.address || currentKitchen.address;
-      currentKitchen.operatingShifts = updatedShifts;
-      if (updates.image) {
-        currentKitchen.image = updates.image;
+      if (updates.operatingShifts) {
+        await syncShiftDefinitions({
+          location: currentKitchen,
+          locationType: LocationType.KITCHEN,
+          shifts: updates.operatingShifts,
+          session,
+        });
+      }
+      if (image) {
+        currentKitchen.image = image;
       }
 
       await currentKitchen.save({ session }); // Save the kitchen with updated teams and shifts
@@ -172,8 +212,16 @@ export const updateKitchen = [
       await session.commitTransaction();
       session.endSession();
 
-      res.json({ message: 'kitchen updated successfully, and users unassigned from removed shifts if applicable.', kitchen: currentKitchen });
+      // The new image now belongs to the kitchen; drop the one it replaced
+      if (image) await removeImage(previousImage);
+      image = undefined;
+
+      res.json({
+        message: 'kitchen updated successfully, and users unassigned from removed shifts if applicable.',
+        kitchen: await withImageUrls(currentKitchen),
+      });
     } catch (err) {
+      await removeImage(image);
       await session.abortTransaction();
       session.endSession();
       next(err);
@@ -239,7 +287,7 @@ const unassignUsersFromKitchenBatch = async (usersAssigned, kitchen, session) =>
   }
 };
 
-// Delete a kitchen (Admin only)
+// Delete a kitchen
 export const deleteKitchen = async (req, res, next) => {
   const { kitchenId } = req.params;
 
@@ -265,6 +313,9 @@ export const deleteKitchen = async (req, res, next) => {
       kitchen.teams.set(shiftType, team.filter((userId) => !usersAssigned.some((u) => u._id.equals(userId))));
     });
 
+    // Upcoming dated shifts at a deleted kitchen will not happen
+    await ShiftAssignment.deleteMany({ location: kitchenId, date: { $gte: today() } }, { session });
+
     // Soft delete the kitchen
     kitchen.isDeleted = true;
     await kitchen.save({ session });
@@ -294,14 +345,14 @@ export const restoreKitchen = async (req, res, next) => {
 
     if (!kitchen) return res.status(404).json({ message: 'Kitchen not found' });
 
-    res.json({ message: 'Kitchen restored successfully', kitchen });
+    res.json({ message: 'Kitchen restored successfully', kitchen: await withImageUrls(kitchen) });
   } catch (err) {
     next(err);
   }
 };
 
 
-// Assign users to a kitchen shift (Admin only)
+// Assign users to a kitchen shift
 export const assignUsersToKitchenShift = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -336,6 +387,17 @@ export const assignUsersToKitchenShift = async (req, res, next) => {
     const usersToUnset = currentUserIds.filter((id) => !userIds.includes(id));
     const usersToSet = userIds.filter((id) => !currentUserIds.includes(id));
 
+    // Reject (409) users who cannot join this team; keep the non-blocking conflicts for the response
+    const conflicts = assertNoConflicts(
+      await checkPatternConflicts({
+        location: kitchen,
+        locationType: LocationType.KITCHEN,
+        shiftType,
+        userIds: usersToSet,
+        session,
+      })
+    );
+
     // Unassign and assign users in parallel
     const [unassignResults, assignResults] = await Promise.all([
       Promise.all(usersToUnset.map((userId) => unassignUserFromKitchen(userId, kitchenId,shiftType, session))),
@@ -345,6 +407,9 @@ export const assignUsersToKitchenShift = async (req, res, next) => {
     kitchen.teams.set(shiftType, userIds.map((id) => new mongoose.Types.ObjectId(id)));
     await kitchen.save({ session });
 
+    // Compare the new team with the shift's staffing requirements
+    const warnings = await getTeamWarnings({ locationId: kitchenId, shiftType, userIds, session });
+
     await session.commitTransaction();
     session.endSession();
 
@@ -352,7 +417,7 @@ export const assignUsersToKitchenShift = async (req, res, next) => {
     unassignResults.forEach((user) => sendAvailabilityNotification(user, true, 'Unassigned from kitchen shift', 'Unassignment'));
     assignResults.forEach((user) => sendAvailabilityNotification(user, true, 'Assigned to kitchen shift', 'Assignment'));
 
-    res.json({ message: 'Users assigned to kitchen shift successfully' });
+    res.json({ message: 'Users assigned to kitchen shift successfully', warnings, conflicts });
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
@@ -0,0 +1,244 @@
+import LeaveRequest from '../models/LeaveRequest.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { LeaveStatus } from '../utils/enums.js';
+import { toUtcDate } from '../utils/dates.js';
+import { resolveScope, userScopeFilter } from '../middlewares/scope.js';
+import { findOverlappingLeave, approveLeave, rejectLeave } from '../services/leaveService.js';
+import { acceptFile, ATTACHMENT_FILE_TYPES } from '../middlewares/upload.js';
+import { saveFile, removeFile, withFileUrls } from '../services/storageService.js';
+
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Parse the optional attachment, e.g. a sick note
+export const uploadLeaveAttachment = acceptFile('attachment', {
+  types: ATTACHMENT_FILE_TYPES,
+  maxSize: MAX_ATTACHMENT_SIZE,
+});
+
+// Load a leave request the caller may review, or send the error response and return null
+const findReviewableLeave = async (req, res, session) => {
+  const leave = await LeaveRequest.findById(req.params.leaveId).session(session || null);
+  if (!leave) {
+    res.status(404).json({ message: 'Leave request not found' });
+    return null;
+  }
+
+  if (leave.user.equals(req.user.userId)) {
+    res.status(403).json({ message: 'You cannot review your own leave request' });
+    return null;
+  }
+
+  const scope = await resolveScope(req);
+  if (!scope.global && !(await User.exists({ _id: leave.user, ...userScopeFilter(scope) }))) {
+    res.status(403).json({ message: 'Outside of your location scope' });
+    return null;
+  }
+
+  if (leave.status !== LeaveStatus.PENDING) {
+    res.status(409).json({ message: `Leave request is already ${leave.status.toLowerCase()}` });
+    return null;
+  }
+
+  return leave;
+};
+
+// Submit a leave request for the authenticated user
+export const createLeaveRequest = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let attachment;
+  try {
+    const { type, reason } = req.body;
+    const startDate = toUtcDate(req.body.startDate);
+    const endDate = toUtcDate(req.body.endDate);
+
+    if (endDate < startDate) {
+      return res.status(400).json({ message: 'endDate must be on or after startDate' });
+    }
+
+    const overlapping = await findOverlappingLeave(req.user.userId, startDate, endDate);
+    if (overlapping) {
+      return res.status(409).json({
+        message: 'You already have a leave request for some of these days',
+        leaveRequestId: overlapping._id,
+      });
+    }
+
+    attachment = req.file ? await saveFile(req.file, 'leave-requests') : undefined;
+    const leaveRequest = await new LeaveRequest({
+      user: req.user.userId,
+      type,
+      startDate,
+      endDate,
+      reason,
+      attachment,
+    }).save();
+    attachment = undefined; // Saved with the request, so kept if anything below fails
+
+    res.status(201).json({
+      message: 'Leave request submitted successfully',
+      leaveRequest: await withFileUrls(leaveRequest, ['attachment']),
+    });
+  } catch (err) {
+    await removeFile(attachment);
+    next(err);
+  }
+};
+
+// Get the authenticated user's own leave requests
+export const getMyLeaveRequests = async (req, res, next) => {
+  try {
+    const leaveRequests = await LeaveRequest.find({ user: req.user.userId })
+      .populate('reviewedBy', 'username')
+      .sort({ startDate: -1 })
+      .lean()
+      .exec();
+
+    res.json({ leaveRequests: await withFileUrls(leaveRequests, ['attachment']) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List leave requests of the users in the caller's scope
+export const getLeaveRequests = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const { status, type, user, from, to } = req.query;
+
+    const scope = await resolveScope(req);
+    const query = {
+      ...(status && { status }),
+      ...(type && { type }),
+      ...(from && { endDate: { $gte: toUtcDate(from) } }),
+      ...(to && { startDate: { $lte: toUtcDate(to) } }),
+    };
+
+    if (!scope.global) {
+      const users = await User.find({ ...(user && { _id: user }), ...userScopeFilter(scope) })
+        .select('_id')
+        .lean();
+      query.user = { $in: users.map((entry) => entry._id) };
+    } else if (user) {
+      query.user = user;
+    }
+
+    const leaveRequests = await LeaveRequest.find(query)
+      .populate('user', 'username email role kitchenId shopId')
+      .populate('reviewedBy', 'username')
+      .sort({ startDate: 1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec();
+
+    const totalRequests = await LeaveRequest.countDocuments(query);
+
+    res.json({
+      leaveRequests: await withFileUrls(leaveRequests, ['attachment']),
+      totalRequests,
+      totalPages: Math.ceil(totalRequests / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Cancel one of the authenticated user's pending leave requests
+export const cancelLeaveRequest = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const leaveRequest = await LeaveRequest.findOne({ _id: req.params.leaveId, user: req.user.userId });
+    if (!leaveRequest) return res.status(404).json({ message: 'Leave request not found' });
+
+    if (leaveRequest.status !== LeaveStatus.PENDING) {
+      return res.status(409).json({ message: 'Only pending leave requests can be cancelled' });
+    }
+
+    leaveRequest.status = LeaveStatus.CANCELLED;
+    await leaveRequest.save();
+
+    res.json({ message: 'Leave request cancelled successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Approve a pending leave request
+export const approveLeaveRequest = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const leaveRequest = await findReviewableLeave(req, res, session);
+    if (!leaveRequest) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    await approveLeave({ leave: leaveRequest, actorId: req.user.userId, note: req.body.note, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Leave request approved successfully', leaveRequest });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Reject a pending leave request
+export const rejectLeaveRequest = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const leaveRequest = await findReviewableLeave(req, res, session);
+    if (!leaveRequest) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    await rejectLeave({ leave: leaveRequest, actorId: req.user.userId, note: req.body.note, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Leave request rejected successfully', leaveRequest });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
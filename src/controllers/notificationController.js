@@ -52,7 +52,7 @@ export const markAsRead = async (req, res, next) => {
   }
 };
 
-// Create a notification (Admin only)
+// Create a notification
 export const createNotification = async (req, res, next) => {
   try {
     const { userId, message } = req.body;
@@ -96,4 +96,22 @@ export async function sendAvailabilityNotification(user, isAvailable, reason, ac
   });
 
   await notification.save({ session });
-}
\ No newline at end of file
+}
+
+// Notify a single user with a plain message
+export async function createUserNotification(userId, message, session) {
+  const notification = new Notification({ userId, message });
+  await notification.save({ session });
+  return notification;
+}
+
+// Notify a user unless they already got the notification with this key.
+// Returns whether a notification was created.
+export async function createUniqueNotification(userId, message, dedupeKey, session) {
+  const result = await Notification.updateOne(
+    { userId, dedupeKey },
+    { $setOnInsert: { message, timestamp: new Date(), isRead: false } },
+    { upsert: true, session }
+  );
+  return result.upsertedCount > 0;
+}
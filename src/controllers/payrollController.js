@@ -0,0 +1,282 @@
+import PayrollRun from '../models/PayrollRun.js';
+import SalaryRecord from '../models/SalaryRecord.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { PayrollRunStatus } from '../utils/enums.js';
+import { toDateKey, toUtcDate } from '../utils/dates.js';
+import {
+  getDefaultPayrollRules,
+  calculatePayrollRun,
+  findOverlappingRun,
+  markPayrollRunApproved,
+  markPayrollRunPaid,
+} from '../services/payrollService.js';
+import { streamPayslipArchive } from '../services/payslipService.js';
+
+const pickRules = (body) => ({
+  ...(body.weeklyHours !== undefined && { weeklyHours: body.weeklyHours }),
+  ...(body.overtimeMultiplier !== undefined && { overtimeMultiplier: body.overtimeMultiplier }),
+});
+
+// Calculate the payroll of a period. Running it again for the same period
+// recalculates the draft (optionally with new rules or adjustments) instead of
+// creating a second run.
+export const createPayrollRun = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const periodStart = toUtcDate(req.body.periodStart);
+  const periodEnd = toUtcDate(req.body.periodEnd);
+  if (periodEnd < periodStart) {
+    return res.status(400).json({ message: 'periodEnd must be on or after periodStart' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    let payrollRun = await findOverlappingRun(periodStart, periodEnd, session);
+    const created = !payrollRun;
+
+    if (payrollRun) {
+      const samePeriod =
+        payrollRun.periodStart.getTime() === periodStart.getTime() &&
+        payrollRun.periodEnd.getTime() === periodEnd.getTime();
+      const conflict = !samePeriod
+        ? 'Another payroll run covers some of these days'
+        : payrollRun.status !== PayrollRunStatus.DRAFT && `Payroll run is already ${payrollRun.status.toLowerCase()}`;
+      if (conflict) {
+        await session.abortTransaction();
+        session.endSession();
+        return res.status(409).json({ message: conflict, payrollRunId: payrollRun._id });
+      }
+
+      payrollRun.rules = { ...payrollRun.rules.toObject(), ...pickRules(req.body) };
+      if (req.body.adjustments) payrollRun.adjustments = req.body.adjustments;
+    } else {
+      payrollRun = new PayrollRun({
+        periodStart,
+        periodEnd,
+        rules: { ...getDefaultPayrollRules(), ...pickRules(req.body) },
+        adjustments: req.body.adjustments || [],
+        createdBy: req.user.userId,
+      });
+    }
+
+    await calculatePayrollRun({ run: payrollRun, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Payroll run created successfully' : 'Payroll run recalculated successfully',
+      payrollRun,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// List payroll runs, newest period first
+export const getPayrollRuns = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+    const query = req.query.status ? { status: req.query.status } : {};
+
+    const payrollRuns = await PayrollRun.find(query)
+      .select('-adjustments -warnings')
+      .sort({ periodStart: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec();
+
+    const totalRuns = await PayrollRun.countDocuments(query);
+
+    res.json({
+      payrollRuns,
+      totalRuns,
+      totalPages: Math.ceil(totalRuns / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get a payroll run with its salary records
+export const getPayrollRun = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payrollRun = await PayrollRun.findById(req.params.runId)
+      .populate('adjustments.user', 'username')
+      .populate('warnings.user', 'username')
+      .populate('createdBy approvedBy paidBy', 'username')
+      .lean();
+    if (!payrollRun) return res.status(404).json({ message: 'Payroll run not found' });
+
+    const salaryRecords = await SalaryRecord.find({ payrollRun: payrollRun._id })
+      .populate('user', 'username email role')
+      .sort({ amount: -1 })
+      .lean()
+      .exec();
+
+    res.json({ payrollRun, salaryRecords });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Replace the bonuses and deductions of a draft run and recalculate it
+export const updatePayrollAdjustments = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const payrollRun = await PayrollRun.findById(req.params.runId).session(session);
+    const failure = !payrollRun
+      ? { status: 404, message: 'Payroll run not found' }
+      : payrollRun.status !== PayrollRunStatus.DRAFT && {
+          status: 409,
+          message: 'Only draft payroll runs can be changed',
+        };
+    if (failure) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    payrollRun.adjustments = req.body.adjustments;
+    await calculatePayrollRun({ run: payrollRun, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Payroll adjustments updated successfully', payrollRun });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Approve a draft run; it can no longer be recalculated and its records join
+// the employees' salary history
+export const approvePayrollRun = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const payrollRun = await PayrollRun.findById(req.params.runId).session(session);
+    const failure = !payrollRun
+      ? { status: 404, message: 'Payroll run not found' }
+      : payrollRun.status !== PayrollRunStatus.DRAFT && {
+          status: 409,
+          message: 'Only draft payroll runs can be approved',
+        };
+    if (failure) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    await markPayrollRunApproved({ run: payrollRun, actorId: req.user.userId, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Payroll run approved successfully', payrollRun });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Mark an approved run paid and notify every employee in it
+export const payPayrollRun = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const payrollRun = await PayrollRun.findById(req.params.runId).session(session);
+    const failure = !payrollRun
+      ? { status: 404, message: 'Payroll run not found' }
+      : payrollRun.status !== PayrollRunStatus.APPROVED && {
+          status: 409,
+          message: 'Only approved payroll runs can be marked paid',
+        };
+    if (failure) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    await markPayrollRunPaid({ run: payrollRun, actorId: req.user.userId, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Payroll run marked paid', payrollRun });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Download the payslips of every employee in an approved or paid run as a ZIP
+export const downloadPayrollPayslips = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const payrollRun = await PayrollRun.findById(req.params.runId).lean();
+    if (!payrollRun) return res.status(404).json({ message: 'Payroll run not found' });
+    if (payrollRun.status === PayrollRunStatus.DRAFT) {
+      return res.status(409).json({ message: 'Payslips are available once the payroll run is approved' });
+    }
+
+    const fileName = `payslips-${toDateKey(payrollRun.periodStart)}-${toDateKey(payrollRun.periodEnd)}.zip`;
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    await streamPayslipArchive(payrollRun._id, res);
+  } catch (err) {
+    // Once the archive has started there is no way to send an error response
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+};
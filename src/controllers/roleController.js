@@ -0,0 +1,103 @@
+import RoleModel from '../models/Role.js';
+import User from '../models/User.js';
+import { validationResult } from 'express-validator';
+import { Role, Permission } from '../utils/enums.js';
+import { clearPermissionCache } from '../services/permissionService.js';
+
+// List all roles with their permissions
+export const getRoles = async (req, res, next) => {
+  try {
+    const roles = await RoleModel.find().select('-__v').sort({ name: 1 }).lean().exec();
+
+    res.json({ roles });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List every permission that can be granted
+export const getPermissions = (req, res) => {
+  res.json({ permissions: Object.values(Permission) });
+};
+
+// Create a custom role
+export const createRole = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { name, description, permissions, locationTypes } = req.body;
+
+    if (await RoleModel.exists({ name })) {
+      return res.status(400).json({ message: 'Role already exists' });
+    }
+
+    const role = await new RoleModel({ name, description, permissions, locationTypes }).save();
+
+    res.status(201).json({ message: 'Role created successfully', role });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Update a role's description, permissions and location types
+export const updateRole = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { roleId } = req.params;
+    const { description, permissions, locationTypes } = req.body;
+
+    const role = await RoleModel.findById(roleId);
+    if (!role) return res.status(404).json({ message: 'Role not found' });
+
+    // Admin keeps every permission so nobody can lock themselves out
+    if (role.name === Role.ADMIN && permissions) {
+      return res.status(400).json({ message: 'Admin permissions cannot be changed' });
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions) role.permissions = [...new Set(permissions)];
+    if (locationTypes) role.locationTypes = [...new Set(locationTypes)];
+    await role.save();
+
+    clearPermissionCache();
+
+    res.json({ message: 'Role updated successfully', role });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Delete a custom role that no user holds
+export const deleteRole = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const role = await RoleModel.findById(req.params.roleId);
+    if (!role) return res.status(404).json({ message: 'Role not found' });
+
+    if (role.isSystem) {
+      return res.status(400).json({ message: 'Default roles cannot be deleted' });
+    }
+
+    if (await User.exists({ role: role.name })) {
+      return res.status(400).json({ message: 'Role is still assigned to users' });
+    }
+
+    await role.deleteOne();
+    clearPermissionCache();
+
+    res.json({ message: 'Role deleted successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
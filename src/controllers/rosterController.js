@@ -0,0 +1,273 @@
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { LocationType } from '../utils/enums.js';
+import { daysBetween, toUtcDate, toDateKey, today, addDays } from '../utils/dates.js';
+import { resolveScope } from '../middlewares/scope.js';
+import {
+  MAX_ROSTER_DAYS,
+  findLocation,
+  setShiftAssignment,
+  applyDefaultPattern,
+  withShiftTimes,
+} from '../services/rosterService.js';
+import { expandShiftType, getOperatingShiftTypes, operatesShiftType } from '../services/shiftService.js';
+
+// Routes are mounted per location type: /kitchens/:kitchenId/... and /shops/:shopId/...
+const getLocationParams = (req) =>
+  req.params.kitchenId
+    ? { locationType: LocationType.KITCHEN, locationId: req.params.kitchenId }
+    : { locationType: LocationType.SHOP, locationId: req.params.shopId };
+
+// Locations the caller may see on the roster: managed ones plus their own
+const getVisibleLocationIds = (scope) => [
+  ...scope.kitchens,
+  ...scope.shops,
+  ...(scope.ownKitchen ? [scope.ownKitchen] : []),
+  ...(scope.ownShop ? [scope.ownShop] : []),
+];
+
+// Get the roster for a date range, optionally for one location
+export const getRoster = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const from = toUtcDate(req.query.from || today());
+    const to = toUtcDate(req.query.to || addDays(from, 6));
+    const { location, locationType } = req.query;
+
+    if (to < from || daysBetween(from, to) >= MAX_ROSTER_DAYS) {
+      return res.status(400).json({ message: `Date range must be between 1 and ${MAX_ROSTER_DAYS} days` });
+    }
+
+    const scope = await resolveScope(req);
+    const visibleLocationIds = getVisibleLocationIds(scope);
+    if (location && !scope.global && !visibleLocationIds.includes(location)) {
+      return res.status(403).json({ message: 'Outside of your location scope' });
+    }
+
+    const query = {
+      date: { $gte: from, $lte: to },
+      ...(locationType && { locationType }),
+      ...(location ? { location } : !scope.global && { location: { $in: visibleLocationIds } }),
+    };
+
+    const roster = await ShiftAssignment.find(query)
+      .populate('users', 'username role')
+      .populate('location', 'name')
+      .sort({ date: 1, shiftType: 1 })
+      .lean()
+      .exec();
+
+    res.json({ from, to, roster: await withShiftTimes(roster) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get the authenticated user's own upcoming shifts
+export const getMyShifts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const from = toUtcDate(req.query.from || today());
+    const to = toUtcDate(req.query.to || addDays(from, 13));
+
+    const shifts = await ShiftAssignment.find({ users: req.user.userId, date: { $gte: from, $lte: to } })
+      .select('-users')
+      .populate('location', 'name address')
+      .sort({ date: 1 })
+      .lean()
+      .exec();
+
+    res.json({ from, to, shifts: await withShiftTimes(shifts) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set the team of one dated shift (Both sets the Morning and Afternoon teams)
+export const setRosterShift = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { locationType, locationId } = getLocationParams(req);
+    const { date, shiftType } = req.params;
+    const { userIds } = req.body;
+
+    const location = await findLocation(locationType, locationId, session);
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: `${locationType} not found or has been deleted` });
+    }
+
+    if (!operatesShiftType(await getOperatingShiftTypes(location, session), shiftType)) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `${locationType} does not operate a ${shiftType} shift` });
+    }
+
+    const assignments = [];
+    const warnings = [];
+    const conflicts = [];
+    for (const component of expandShiftType(shiftType)) {
+      const result = await setShiftAssignment({
+        location,
+        locationType,
+        date,
+        shiftType: component,
+        userIds,
+        actorId: req.user.userId,
+        session,
+      });
+      assignments.push(result.assignment);
+      warnings.push(...result.warnings);
+      conflicts.push(...result.conflicts);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Shift updated successfully', assignments, warnings, conflicts });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Set the teams of several shifts on one day, e.g. { shifts: { Morning: [...], Night: [...] } }
+export const setRosterDay = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { locationType, locationId } = getLocationParams(req);
+    const { date } = req.params;
+    const { shifts } = req.body;
+
+    const location = await findLocation(locationType, locationId, session);
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: `${locationType} not found or has been deleted` });
+    }
+
+    const operatingShiftTypes = await getOperatingShiftTypes(location, session);
+    const unknownShifts = Object.keys(shifts).filter(
+      (shiftType) => !operatesShiftType(operatingShiftTypes, shiftType)
+    );
+    if (unknownShifts.length > 0) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(400).json({ message: `${locationType} does not operate: ${unknownShifts.join(', ')}` });
+    }
+
+    // A Both team is merged into the Morning and Afternoon teams
+    const teams = new Map();
+    for (const [shiftType, userIds] of Object.entries(shifts)) {
+      for (const component of expandShiftType(shiftType)) {
+        teams.set(component, [...(teams.get(component) || []), ...userIds]);
+      }
+    }
+
+    const assignments = [];
+    const warnings = [];
+    const conflicts = [];
+    for (const [shiftType, userIds] of teams) {
+      const result = await setShiftAssignment({
+        location,
+        locationType,
+        date,
+        shiftType,
+        userIds,
+        actorId: req.user.userId,
+        session,
+      });
+      assignments.push(result.assignment);
+      warnings.push(...result.warnings);
+      conflicts.push(...result.conflicts);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Day updated successfully', assignments, warnings, conflicts });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Copy the location's default pattern onto a date range
+export const applyPattern = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { from, to, shiftTypes, overwrite = false } = req.body;
+  if (toUtcDate(to) < toUtcDate(from) || daysBetween(from, to) >= MAX_ROSTER_DAYS) {
+    return res.status(400).json({ message: `Date range must be between 1 and ${MAX_ROSTER_DAYS} days` });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { locationType, locationId } = getLocationParams(req);
+
+    const location = await findLocation(locationType, locationId, session);
+    if (!location) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: `${locationType} not found or has been deleted` });
+    }
+
+    const results = await applyDefaultPattern({
+      location,
+      locationType,
+      from,
+      to,
+      shiftTypes,
+      overwrite,
+      actorId: req.user.userId,
+      session,
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      message: 'Default pattern applied successfully',
+      shiftsUpdated: results.length,
+      warnings: results.flatMap(({ assignment, warnings }) =>
+        warnings.map((warning) => ({ date: toDateKey(assignment.date), ...warning }))
+      ),
+      conflicts: results.flatMap((result) => result.conflicts),
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
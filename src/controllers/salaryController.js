@@ -0,0 +1,133 @@
+import SalaryRecord from '../models/SalaryRecord.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { SalaryRecordStatus, SalaryRecordType } from '../utils/enums.js';
+import { toUtcDate, today } from '../utils/dates.js';
+import { recordSalaryChange } from '../services/salaryService.js';
+import { createUserNotification } from './notificationController.js';
+import { resolveScope, userScopeFilter } from '../middlewares/scope.js';
+
+// Change a user's salary and/or hourly rate from an effective date
+export const createSalaryChange = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const { salary, hourlyRate, effectiveDate, reason } = req.body;
+  if (salary === undefined && hourlyRate === undefined) {
+    return res.status(400).json({ message: 'Provide a salary or an hourly rate' });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    if (!(await User.exists({ _id: req.params.userId }).session(session))) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const salaryChange = await recordSalaryChange({
+      userId: req.params.userId,
+      salary,
+      hourlyRate,
+      effectiveDate: toUtcDate(effectiveDate || today()),
+      reason,
+      actorId: req.user.userId,
+      session,
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({
+      message: salaryChange.appliedAt ? 'Salary changed successfully' : 'Salary change scheduled successfully',
+      salaryChange,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Add a one-off bonus or deduction for a user
+export const createSalaryAdjustment = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const user = await User.findById(req.params.userId).select('_id').session(session);
+    if (!user) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { type, amount, notes } = req.body;
+    const salaryRecord = await new SalaryRecord({
+      user: user._id,
+      type,
+      date: toUtcDate(req.body.date || today()),
+      amount: type === SalaryRecordType.DEDUCTION ? -amount : amount,
+      notes,
+      createdBy: req.user.userId,
+    }).save({ session });
+
+    await User.updateOne({ _id: user._id }, { $push: { salaryHistory: salaryRecord._id } }, { session });
+    await createUserNotification(
+      user._id,
+      `A ${type.toLowerCase()} of ${amount.toFixed(2)} has been added to your salary records.`,
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.status(201).json({ message: `${type} recorded successfully`, salaryRecord });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Move a bonus or deduction to Paid or Cancelled; payroll records follow their payroll run
+export const updateSalaryRecordStatus = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const salaryRecord = await SalaryRecord.findById(req.params.recordId);
+    if (!salaryRecord) return res.status(404).json({ message: 'Salary record not found' });
+
+    // Like the /users/:userId routes, only records of users at the caller's locations
+    const scope = await resolveScope(req);
+    if (!scope.global && !(await User.exists({ _id: salaryRecord.user, ...userScopeFilter(scope) }))) {
+      return res.status(403).json({ message: 'Outside of your location scope' });
+    }
+
+    if (salaryRecord.payrollRun) {
+      return res.status(409).json({ message: 'Payroll records change status through their payroll run' });
+    }
+
+    salaryRecord.status = req.body.status;
+    if (salaryRecord.status === SalaryRecordStatus.PAID) salaryRecord.paidAt = new Date();
+    if (req.body.notes) salaryRecord.notes = req.body.notes;
+    await salaryRecord.save(); // Rejects transitions not allowed by SalaryRecordTransitions
+
+    res.json({ message: 'Salary record updated successfully', salaryRecord });
+  } catch (err) {
+    next(err);
+  }
+};
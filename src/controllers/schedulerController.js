@@ -0,0 +1,236 @@
+import RosterDraft from '../models/RosterDraft.js';
+import Kitchen from '../models/Kitchen.js';
+import Shop from '../models/Shop.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { LocationType, RosterDraftStatus } from '../utils/enums.js';
+import { daysBetween, toDateKey, toUtcDate } from '../utils/dates.js';
+import { resolveScope } from '../middlewares/scope.js';
+import { MAX_ROSTER_DAYS } from '../services/rosterService.js';
+import { getTeamWarnings } from '../services/coverageService.js';
+import { proposeRoster, publishDraftShifts } from '../services/schedulerService.js';
+
+// Can the caller manage every location in the list?
+const isInScope = (scope, locations) =>
+  scope.global ||
+  locations.every(({ locationType, location }) =>
+    (locationType === LocationType.KITCHEN ? scope.kitchens : scope.shops).includes(location.toString())
+  );
+
+// Load a draft the caller may work on, or send the error response and return null
+const findDraft = async (req, res, session) => {
+  const rosterDraft = await RosterDraft.findById(req.params.draftId).session(session || null);
+  if (!rosterDraft) {
+    res.status(404).json({ message: 'Roster draft not found' });
+    return null;
+  }
+  if (!isInScope(await resolveScope(req), rosterDraft.locations)) {
+    res.status(403).json({ message: 'Outside of your location scope' });
+    return null;
+  }
+  return rosterDraft;
+};
+
+// Run the scheduler and store its proposal as a draft
+export const createRosterDraft = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { from, to, constraints } = req.body;
+    if (toUtcDate(to) < toUtcDate(from) || daysBetween(from, to) >= MAX_ROSTER_DAYS) {
+      return res.status(400).json({ message: `Date range must be between 1 and ${MAX_ROSTER_DAYS} days` });
+    }
+
+    const scope = await resolveScope(req);
+    let { locations } = req.body;
+
+    // Without a list, plan every active location the caller manages
+    if (!locations?.length) {
+      const [kitchens, shops] = await Promise.all([
+        Kitchen.find({ isDeleted: false, ...(!scope.global && { _id: { $in: scope.kitchens } }) }).select('_id').lean(),
+        Shop.find({ isDeleted: false, ...(!scope.global && { _id: { $in: scope.shops } }) }).select('_id').lean(),
+      ]);
+      locations = [
+        ...kitchens.map((kitchen) => ({ locationType: LocationType.KITCHEN, location: kitchen._id.toString() })),
+        ...shops.map((shop) => ({ locationType: LocationType.SHOP, location: shop._id.toString() })),
+      ];
+    } else if (!isInScope(scope, locations)) {
+      return res.status(403).json({ message: 'Outside of your location scope' });
+    }
+
+    const { rosterDraft, workload } = await proposeRoster({
+      from,
+      to,
+      locations,
+      constraints,
+      actorId: req.user.userId,
+    });
+
+    res.status(201).json({ message: 'Roster draft created successfully', rosterDraft, workload });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List roster drafts, newest first
+export const getRosterDrafts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const scope = await resolveScope(req);
+    const query = {
+      ...(req.query.status && { status: req.query.status }),
+      // Drafts that touch any location outside the caller's scope are hidden
+      ...(!scope.global && {
+        locations: {
+          $not: {
+            $elemMatch: {
+              location: { $nin: [...scope.kitchens, ...scope.shops].map((id) => new mongoose.Types.ObjectId(id)) },
+            },
+          },
+        },
+      }),
+    };
+
+    const rosterDrafts = await RosterDraft.find(query)
+      .select('-shifts')
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean()
+      .exec();
+
+    const totalDrafts = await RosterDraft.countDocuments(query);
+
+    res.json({
+      rosterDrafts,
+      totalDrafts,
+      totalPages: Math.ceil(totalDrafts / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Get one draft with its proposed teams
+export const getRosterDraft = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rosterDraft = await findDraft(req, res);
+    if (!rosterDraft) return;
+
+    await rosterDraft.populate('shifts.users', 'username role');
+    res.json({ rosterDraft });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Change the proposed team of one shift in a draft during review
+export const updateRosterDraftShift = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { location, date, shiftType, userIds } = req.body;
+
+    const rosterDraft = await findDraft(req, res);
+    if (!rosterDraft) return;
+
+    if (rosterDraft.status !== RosterDraftStatus.DRAFT) {
+      return res.status(409).json({ message: `Roster draft is already ${rosterDraft.status.toLowerCase()}` });
+    }
+
+    const shift = rosterDraft.shifts.find(
+      (entry) => entry.location.equals(location) && toDateKey(entry.date) === date && entry.shiftType === shiftType
+    );
+    if (!shift) return res.status(404).json({ message: 'Shift not found in this roster draft' });
+
+    shift.users = [...new Set(userIds)];
+    await rosterDraft.save();
+
+    const warnings = await getTeamWarnings({ locationId: location, shiftType, userIds: shift.users });
+
+    res.json({ message: 'Roster draft updated successfully', shift, warnings });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Publish every shift of a draft to the roster in one transaction
+export const publishRosterDraft = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const rosterDraft = await findDraft(req, res, session);
+    if (!rosterDraft) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    const { warnings, conflicts } = await publishDraftShifts({ rosterDraft, actorId: req.user.userId, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({
+      message: 'Roster draft published successfully',
+      shiftsPublished: rosterDraft.shifts.length,
+      warnings,
+      conflicts,
+    });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
+
+// Discard a draft that will not be published
+export const discardRosterDraft = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rosterDraft = await findDraft(req, res);
+    if (!rosterDraft) return;
+
+    if (rosterDraft.status !== RosterDraftStatus.DRAFT) {
+      return res.status(409).json({ message: `Roster draft is already ${rosterDraft.status.toLowerCase()}` });
+    }
+
+    rosterDraft.status = RosterDraftStatus.DISCARDED;
+    await rosterDraft.save();
+
+    res.json({ message: 'Roster draft discarded successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,69 @@
+import ShiftDefinition from '../models/ShiftDefinition.js';
+import { validationResult } from 'express-validator';
+import { LocationType } from '../utils/enums.js';
+import { findLocation } from '../services/rosterService.js';
+import {
+  SHIFT_DEFINITION_FIELDS,
+  getShiftDefinitions,
+  getShiftInterval,
+  getShiftHours,
+} from '../services/shiftService.js';
+import { today } from '../utils/dates.js';
+
+// Routes are mounted per location type: /kitchens/:kitchenId/... and /shops/:shopId/...
+const getLocationParams = (req) =>
+  req.params.kitchenId
+    ? { locationType: LocationType.KITCHEN, locationId: req.params.kitchenId }
+    : { locationType: LocationType.SHOP, locationId: req.params.shopId };
+
+// List a location's shift definitions with today's concrete times
+export const getLocationShifts = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { locationType, locationId } = getLocationParams(req);
+
+    const location = await findLocation(locationType, locationId);
+    if (!location) return res.status(404).json({ message: `${locationType} not found or has been deleted` });
+
+    const definitions = await getShiftDefinitions(location);
+
+    res.json({
+      shifts: definitions.map((definition) => ({
+        ...definition,
+        ...getShiftInterval(definition, today()),
+        hours: getShiftHours(definition, today()),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Change the hours, break, time zone or staffing requirements of one of a location's shifts
+export const updateLocationShift = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { locationId } = getLocationParams(req);
+    const { shiftType } = req.params;
+
+    const definition = await ShiftDefinition.findOne({ location: locationId, shiftType });
+    if (!definition) return res.status(404).json({ message: `No ${shiftType} shift at this location` });
+
+    for (const field of SHIFT_DEFINITION_FIELDS) {
+      if (req.body[field] !== undefined) definition[field] = req.body[field];
+    }
+    await definition.save();
+
+    res.json({ message: 'Shift updated successfully', shift: definition });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,367 @@
+import ShiftSwap from '../models/ShiftSwap.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { LocationType, ShiftSwapStatus, ShiftSwapType } from '../utils/enums.js';
+import { resolveScope } from '../middlewares/scope.js';
+import { withShiftTimes } from '../services/rosterService.js';
+import { expireShiftSwaps, applyShiftSwap } from '../services/shiftSwapService.js';
+import { createUserNotification } from './notificationController.js';
+
+// A future dated shift with its concrete times, or null
+const findUpcomingShift = async (assignmentId) => {
+  const assignment = await ShiftAssignment.findById(assignmentId).lean();
+  if (!assignment) return null;
+  const [shift] = await withShiftTimes([assignment]);
+  return shift.startsAt && shift.startsAt > new Date() ? shift : null;
+};
+
+const worksAt = (user, shift) =>
+  shift.locationType === LocationType.KITCHEN
+    ? user.kitchenId?.equals(shift.location)
+    : user.shopId?.equals(shift.location);
+
+const shiftPopulate = (path) => ({
+  path,
+  select: 'locationType location date shiftType',
+  populate: { path: 'location', select: 'name' },
+});
+
+const populateSwap = (query) =>
+  query
+    .populate('requester', 'username role')
+    .populate('accepter', 'username role')
+    .populate(shiftPopulate('shift'))
+    .populate(shiftPopulate('counterShift'));
+
+// Offer one of the authenticated user's upcoming shifts for swap or cover
+export const createShiftSwap = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { shiftAssignmentId, type, note, expiresAt } = req.body;
+
+    const shift = await findUpcomingShift(shiftAssignmentId);
+    if (!shift || !shift.users.some((id) => id.equals(req.user.userId))) {
+      return res.status(404).json({ message: 'Upcoming shift not found in your schedule' });
+    }
+
+    await expireShiftSwaps();
+    const pending = await ShiftSwap.exists({
+      shift: shift._id,
+      requester: req.user.userId,
+      status: { $in: [ShiftSwapStatus.OPEN, ShiftSwapStatus.ACCEPTED] },
+    });
+    if (pending) {
+      return res.status(409).json({ message: 'This shift is already offered' });
+    }
+
+    // Offers cannot outlive the shift itself
+    const deadline = expiresAt && new Date(expiresAt) < shift.startsAt ? new Date(expiresAt) : shift.startsAt;
+    if (deadline <= new Date()) {
+      return res.status(400).json({ message: 'expiresAt must be in the future' });
+    }
+
+    const requester = await User.findById(req.user.userId).select('role').lean();
+
+    const shiftSwap = await new ShiftSwap({
+      type,
+      requester: req.user.userId,
+      role: requester.role,
+      shift: shift._id,
+      note,
+      expiresAt: deadline,
+    }).save();
+
+    res.status(201).json({ message: 'Shift offered successfully', shiftSwap });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Open offers the authenticated user can accept: same role, same location
+export const getAvailableShiftSwaps = async (req, res, next) => {
+  try {
+    await expireShiftSwaps();
+
+    const user = await User.findById(req.user.userId).select('role kitchenId shopId').lean();
+    const locations = [user.kitchenId, user.shopId].filter(Boolean);
+
+    const shifts = await ShiftAssignment.find({ location: { $in: locations } }).select('_id').lean();
+
+    const shiftSwaps = await populateSwap(
+      ShiftSwap.find({
+        status: ShiftSwapStatus.OPEN,
+        role: user.role,
+        requester: { $ne: user._id },
+        shift: { $in: shifts.map((shift) => shift._id) },
+      }).sort({ expiresAt: 1 })
+    )
+      .lean()
+      .exec();
+
+    res.json({ shiftSwaps });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Offers the authenticated user made or accepted
+export const getMyShiftSwaps = async (req, res, next) => {
+  try {
+    await expireShiftSwaps();
+
+    const shiftSwaps = await populateSwap(
+      ShiftSwap.find({ $or: [{ requester: req.user.userId }, { accepter: req.user.userId }] }).sort({ createdAt: -1 })
+    )
+      .lean()
+      .exec();
+
+    res.json({ shiftSwaps });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Accept an open offer; swaps need one of the accepter's own upcoming shifts in exchange
+export const acceptShiftSwap = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await expireShiftSwaps();
+
+    const shiftSwap = await ShiftSwap.findById(req.params.swapId);
+    if (!shiftSwap) return res.status(404).json({ message: 'Shift swap not found' });
+    if (shiftSwap.status !== ShiftSwapStatus.OPEN) {
+      return res.status(409).json({ message: `Shift swap is ${shiftSwap.status.toLowerCase()}` });
+    }
+
+    const user = await User.findById(req.user.userId).select('role kitchenId shopId').lean();
+    const shift = await findUpcomingShift(shiftSwap.shift);
+    if (!shift) return res.status(409).json({ message: 'The offered shift has already started or was removed' });
+
+    if (shiftSwap.requester.equals(user._id) || user.role !== shiftSwap.role || !worksAt(user, shift)) {
+      return res.status(403).json({ message: 'Only colleagues with the same role at this location can accept' });
+    }
+    if (shift.users.some((id) => id.equals(user._id))) {
+      return res.status(409).json({ message: 'You are already on this shift' });
+    }
+
+    if (shiftSwap.type === ShiftSwapType.SWAP) {
+      const counterShift = req.body.counterShiftAssignmentId
+        ? await findUpcomingShift(req.body.counterShiftAssignmentId)
+        : null;
+      if (!counterShift || !counterShift.users.some((id) => id.equals(user._id))) {
+        return res.status(400).json({ message: 'A swap needs one of your upcoming shifts in exchange' });
+      }
+      if (counterShift.users.some((id) => id.equals(shiftSwap.requester))) {
+        return res.status(409).json({ message: 'The requester already works that shift' });
+      }
+      shiftSwap.counterShift = counterShift._id;
+    }
+
+    shiftSwap.status = ShiftSwapStatus.ACCEPTED;
+    shiftSwap.accepter = user._id;
+    shiftSwap.acceptedAt = new Date();
+    await shiftSwap.save();
+
+    await createUserNotification(
+      shiftSwap.requester,
+      `A colleague accepted your ${shiftSwap.type.toLowerCase()} request. It is waiting for manager approval.`
+    );
+
+    res.json({ message: 'Shift swap accepted, waiting for manager approval', shiftSwap });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Withdraw an offer before it is approved
+export const cancelShiftSwap = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const shiftSwap = await ShiftSwap.findOne({ _id: req.params.swapId, requester: req.user.userId });
+    if (!shiftSwap) return res.status(404).json({ message: 'Shift swap not found' });
+
+    if (![ShiftSwapStatus.OPEN, ShiftSwapStatus.ACCEPTED].includes(shiftSwap.status)) {
+      return res.status(409).json({ message: `Shift swap is already ${shiftSwap.status.toLowerCase()}` });
+    }
+
+    shiftSwap.status = ShiftSwapStatus.CANCELLED;
+    await shiftSwap.save();
+
+    if (shiftSwap.accepter) {
+      await createUserNotification(shiftSwap.accepter, 'A shift swap you accepted has been withdrawn.');
+    }
+
+    res.json({ message: 'Shift swap cancelled successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List offers for the caller's locations, by default those waiting for approval
+export const getShiftSwaps = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await expireShiftSwaps();
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const skip = (page - 1) * limit;
+
+    const scope = await resolveScope(req);
+    const query = { status: req.query.status || ShiftSwapStatus.ACCEPTED };
+    if (!scope.global) {
+      const shifts = await ShiftAssignment.find({ location: { $in: [...scope.kitchens, ...scope.shops] } })
+        .select('_id')
+        .lean();
+      query.shift = { $in: shifts.map((shift) => shift._id) };
+    }
+
+    const shiftSwaps = await populateSwap(ShiftSwap.find(query).sort({ expiresAt: 1 }).skip(skip).limit(limit))
+      .lean()
+      .exec();
+
+    const totalSwaps = await ShiftSwap.countDocuments(query);
+
+    res.json({
+      shiftSwaps,
+      totalSwaps,
+      totalPages: Math.ceil(totalSwaps / limit),
+      currentPage: page,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Load an accepted offer the caller may review, or send the error response and return null
+const findReviewableSwap = async (req, res) => {
+  await expireShiftSwaps();
+
+  const shiftSwap = await ShiftSwap.findById(req.params.swapId);
+  if (!shiftSwap) {
+    res.status(404).json({ message: 'Shift swap not found' });
+    return null;
+  }
+
+  if ([shiftSwap.requester, shiftSwap.accepter].some((id) => id?.equals(req.user.userId))) {
+    res.status(403).json({ message: 'You cannot review your own shift swap' });
+    return null;
+  }
+
+  const scope = await resolveScope(req);
+  if (!scope.global) {
+    const shiftIds = [shiftSwap.shift, shiftSwap.counterShift].filter(Boolean);
+    const shifts = await ShiftAssignment.find({ _id: { $in: shiftIds } })
+      .select('locationType location')
+      .lean();
+    const inScope = shifts.every((shift) =>
+      (shift.locationType === LocationType.KITCHEN ? scope.kitchens : scope.shops).includes(shift.location.toString())
+    );
+    if (!inScope) {
+      res.status(403).json({ message: 'Outside of your location scope' });
+      return null;
+    }
+  }
+
+  if (shiftSwap.status !== ShiftSwapStatus.ACCEPTED) {
+    res.status(409).json({ message: `Shift swap is ${shiftSwap.status.toLowerCase()}` });
+    return null;
+  }
+
+  return shiftSwap;
+};
+
+// Approve an accepted offer and apply it to the roster in one transaction
+export const approveShiftSwap = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  let shiftSwap;
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    shiftSwap = await findReviewableSwap(req, res);
+    if (!shiftSwap) {
+      await session.abortTransaction();
+      session.endSession();
+      return;
+    }
+
+    const { warnings, conflicts } = await applyShiftSwap({ swap: shiftSwap, actorId: req.user.userId, session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Shift swap approved successfully', shiftSwap, warnings, conflicts });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+
+    // Offers that no longer fit the roster are rejected rather than left pending
+    if (shiftSwap && error.status === 409) {
+      await ShiftSwap.updateOne(
+        { _id: shiftSwap._id },
+        {
+          $set: {
+            status: ShiftSwapStatus.REJECTED,
+            reviewedBy: req.user.userId,
+            reviewedAt: new Date(),
+            reviewNote: error.message,
+            conflicts: error.conflicts || [],
+          },
+        }
+      );
+      await createUserNotification(shiftSwap.requester, `Your shift swap was rejected: ${error.message}`);
+      await createUserNotification(shiftSwap.accepter, `A shift swap you accepted was rejected: ${error.message}`);
+    }
+    next(error);
+  }
+};
+
+// Reject an accepted offer
+export const rejectShiftSwap = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const shiftSwap = await findReviewableSwap(req, res);
+    if (!shiftSwap) return;
+
+    shiftSwap.status = ShiftSwapStatus.REJECTED;
+    shiftSwap.reviewedBy = req.user.userId;
+    shiftSwap.reviewedAt = new Date();
+    shiftSwap.reviewNote = req.body.note;
+    await shiftSwap.save();
+
+    const reason = req.body.note ? ` Reason: ${req.body.note}` : '';
+    await createUserNotification(shiftSwap.requester, `Your shift swap request was rejected.${reason}`);
+    await createUserNotification(shiftSwap.accepter, `A shift swap you accepted was rejected.${reason}`);
+
+    res.json({ message: 'Shift swap rejected successfully', shiftSwap });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,50 +1,63 @@
 import Shop from '../models/Shop.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose';
-import { ShiftType, AvailabilityStatus, ActionType } from '../utils/enums.js';
+import { ShiftType, AvailabilityStatus, ActionType, LocationType } from '../utils/enums.js';
 import { validationResult } from 'express-validator';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import { today } from '../utils/dates.js';
+import {
+  parseShiftInput,
+  normalizeShiftInput,
+  syncShiftDefinitions,
+  getOperatingShiftTypes,
+  operatesShiftType,
+} from '../services/shiftService.js';
+import { getTeamWarnings } from '../services/coverageService.js';
+import { checkPatternConflicts, assertNoConflicts } from '../services/conflictService.js';
 import { sendAvailabilityNotification } from './notificationController.js';
+import { resolveScope, shopScopeFilter } from '../middlewares/scope.js';
 import UserHistory from '../models/UserHistory.js';
 import AvailabilityHistory from '../models/AvailabilityHistory.js';
-import multer from 'multer';
-import path from 'path';
+import { uploadImage } from '../middlewares/upload.js';
+import { saveImage, removeImage, withImageUrls } from '../services/imageService.js';
 
-// Configure Multer storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/'); // the upload directory
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname)); // Add file extension
-  },
-});
-
-// Initialize upload middleware
-const upload = multer({ storage });
-
-// Create a new shop (Admin only)
+// Create a new shop
 export const createShop = [  
-  upload.single('image'), // Multer middleware to handle single file upload
+  uploadImage, // Optional image, resized into WebP variants when stored
   async (req, res, next) => {
-   
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  let image;
+
   try {
-    const { name, address, operatingShifts, image } = req.body;
-// Ensure operatingShifts is an array, as FormData can sometimes send it as a string
-const shiftsArray = Array.isArray(operatingShifts)
-? operatingShifts
-: [operatingShifts];
+    const { name, address, operatingShifts } = req.body;
+    image = req.file ? await saveImage(req.file, 'shops') : undefined;
     const shop = new Shop({
       name,
       address,
-      operatingShifts: shiftsArray,
-      image: req.file ? req.file.path : undefined, // Only include image if it exists
+      image, // Only include image if it exists
     });
 
-    await shop.save();
+    // Create the shift definitions (FormData can send operatingShifts as a single string)
+    await syncShiftDefinitions({
+      location: shop,
+      locationType: LocationType.SHOP,
+      shifts: parseShiftInput(operatingShifts) || [],
+      session,
+    });
+
+    // Saved in the same transaction, so a failure leaves no orphaned shift definitions
+    await shop.save({ session });
 
-    res.status(201).json({ message: 'Shop created successfully', shop });
+    await session.commitTransaction();
+    session.endSession();
+    image = undefined; // Saved with the shop, so kept if anything below fails
+
+    res.status(201).json({ message: 'Shop created successfully', shop: await withImageUrls(shop) });
   } catch (err) {
+    await removeImage(image);
+    if (session.inTransaction()) await session.abortTransaction();
+    session.endSession();
     next(err);
   }
 },];
@@ -57,16 +70,21 @@ export const getAllShops = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 20;
     const skip = (page - 1) * limit;
 
-    const shops = await Shop.find()
+    // Only list shops the caller manages or works at, unless they have global access
+    const scope = await resolveScope(req);
+    const query = shopScopeFilter(scope);
+
+    const shops = await Shop.find(query)
+      .populate('operatingShifts')
       .skip(skip)
       .limit(limit)
       .lean()
       .exec();
 
-    const totalShops = await Shop.countDocuments();
+    const totalShops = await Shop.countDocuments(query);
 
     res.json({
-      shops,
+      shops: await withImageUrls(shops),
       totalShops,
       totalPages: Math.ceil(totalShops / limit),
       currentPage: page,
@@ -82,6 +100,7 @@ export const getShopById = async (req, res, next) => {
     const { shopId } = req.params;
 
     const shop = await Shop.findById(shopId)
+    .populate('operatingShifts')
     .populate({
       path: 'teams.Morning teams.Afternoon teams.Night', // Populate the team arrays for each shift
       model: 'User', // Reference the User model
@@ -92,28 +111,27 @@ export const getShopById = async (req, res, next) => {
 
     if (!shop) return res.status(404).json({ message: 'Shop not found' });
 
-    res.json({ shop });
+    res.json({ shop: await withImageUrls(shop) });
   } catch (err) {
     next(err);
   }
 };
 
 
-// Update a shop (Admin only)
+// Update a shop
 export const updateShop = [
-  upload.single('image'), // Handle image upload
+  uploadImage, // Optional image, resized into WebP variants when stored
   async (req, res, next) => {
     const session = await mongoose.startSession();
     session.startTransaction();
+    let image;
 
     try {
       const { shopId } = req.params;
       const updates = req.body;
 
       // Parse the operatingShifts in case it's sent as a single string
-      if (updates.operatingShifts && !Array.isArray(updates.operatingShifts)) {
-        updates.operatingShifts = [updates.operatingShifts];
-      }
+      updates.operatingShifts = parseShiftInput(updates.operatingShifts);
 
       // Find the current shop data before updating
       const currentShop = await Shop.findById(shopId).session(session);
@@ -124,18 +142,26 @@ export const updateShop = [
       }
 
       // Detect removed shifts by comparing current operatingShifts with the updated ones
-      const currentShifts = currentShop.operatingShifts || [];
-      const updatedShifts = updates.operatingShifts || [];
+      const currentShifts = await getOperatingShiftTypes(currentShop, session);
+      const updatedShifts = updates.operatingShifts
+        ? normalizeShiftInput(updates.operatingShifts).map((shift) => shift.shiftType)
+        : currentShifts;
       const removedShifts = currentShifts.filter(shift => !updatedShifts.includes(shift));
 
-      // Handle image update if an image is uploaded
+      // Teams of shifts that no longer fully operate (e.g. Both without Morning) are removed
+      const removedTeams = [...currentShop.teams.keys()].filter(
+        (shiftType) => !operatesShiftType(updatedShifts, shiftType)
+      );
+
+      // Store an uploaded image; the one it replaces is removed once the update is saved
+      const previousImage = currentShop.image;
       if (req.file) {
-        updates.image = req.file.path; // Store the file path in the updates
+        image = await saveImage(req.file, 'shops');
       }
 
       // Unassign users from removed shifts and update shop.teams
-      if (removedShifts.length > 0) {
-        for (const shift of removedShifts) {
+      if (removedTeams.length > 0) {
+        for (const shift of removedTeams) {
           const teamForShift = currentShop.teams.get(shift) || [];
           if (teamForShift.length > 0) {
             // Unassign users from the removed shifts
@@ -147,12 +173,27 @@ export const updateShop = [
         }
       }
 
+      // Drop upcoming dated shifts for the shifts that no longer operate
+      if (removedShifts.length > 0) {
+        await ShiftAssignment.deleteMany(
+          { location: shopId, shiftType: { $in: removedShifts }, date: { $gte: today() } },
+          { session }
+        );
+      }
+
       // Update the shop's operating shifts and other details
       currentShop.name = updates.name || currentShop.name;
       currentShop.address = updates.address || currentShop.address;
-      currentShop.operatingShifts = updatedShifts;
-      if (updates.image) {
-        currentShop.image = updates.image;
+      if (updates.operatingShifts) {
+        await syncShiftDefinitions({
+          location: currentShop,
+          locationType: LocationType.SHOP,
+          shifts: updates.operatingShifts,
+          session,
+        });
+      }
+      if (image) {
+        currentShop.image = image;
       }
 
       await currentShop.save({ session }); // Save the shop with updated teams and shifts
@@ -160,8 +201,16 @@ export const updateShop = [
       await session.commitTransaction();
       session.endSession();
 
-      res.json({ message: 'Shop updated successfully, and users unassigned from removed shifts if applicable.', shop: currentShop });
+      // The new image now belongs to the shop; drop the one it replaced
+      if (image) await removeImage(previousImage);
+      image = undefined;
+
+      res.json({
+        message: 'Shop updated successfully, and users unassigned from removed shifts if applicable.',
+        shop: await withImageUrls(currentShop),
+      });
     } catch (err) {
+      await removeImage(image);
       await session.abortTransaction();
       session.endSession();
       next(err);
@@ -229,7 +278,7 @@ const unassignUsersFromShopBatch = async (usersAssigned, shop, session) => {
 };
 
 
-// Delete a shop (Admin only)
+// Delete a shop
 export const deleteShop = async (req, res, next) => {
   const { shopId } = req.params;
 
@@ -255,6 +304,9 @@ export const deleteShop = async (req, res, next) => {
       shop.teams.set(shiftType, team.filter((userId) => !usersAssigned.some((u) => u._id.equals(userId))));
     });
 
+    // Upcoming dated shifts at a deleted shop will not happen
+    await ShiftAssignment.deleteMany({ location: shopId, date: { $gte: today() } }, { session });
+
     // Soft delete the shop
     shop.isDeleted = true;
     await shop.save({ session });
@@ -282,13 +334,13 @@ export const restoreShop = async (req, res, next) => {
 
     if (!shop) return res.status(404).json({ message: 'Shop not found' });
 
-    res.json({ message: 'Shop restored successfully', shop });
+    res.json({ message: 'Shop restored successfully', shop: await withImageUrls(shop) });
   } catch (err) {
     next(err);
   }
 };
 
-// Assign users to a shop shift (Admin only)
+// Assign users to a shop shift
 export const assignUsersToShopShift = async (req, res, next) => {
   const session = await mongoose.startSession();
   session.startTransaction();
@@ -323,6 +375,17 @@ export const assignUsersToShopShift = async (req, res, next) => {
     const usersToUnset = currentUserIds.filter((id) => !userIds.includes(id));
     const usersToSet = userIds.filter((id) => !currentUserIds.includes(id));
 
+    // Reject (409) users who cannot join this team; keep the non-blocking conflicts for the response
+    const conflicts = assertNoConflicts(
+      await checkPatternConflicts({
+        location: shop,
+        locationType: LocationType.SHOP,
+        shiftType,
+        userIds: usersToSet,
+        session,
+      })
+    );
+
     // Unassign and assign users in parallel
     const [unassignResults, assignResults] = await Promise.all([
       Promise.all(usersToUnset.map((userId) => unassignUserFromShop(userId, shopId, shiftType, session))),
@@ -332,6 +395,9 @@ export const assignUsersToShopShift = async (req, res, next) => {
     shop.teams.set(shiftType, userIds.map((id) => new mongoose.Types.ObjectId(id)));
     await shop.save({ session });
 
+    // Compare the new team with the shift's staffing requirements
+    const warnings = await getTeamWarnings({ locationId: shopId, shiftType, userIds, session });
+
     await session.commitTransaction();
     session.endSession();
 
@@ -339,7 +405,7 @@ export const assignUsersToShopShift = async (req, res, next) => {
     unassignResults.forEach((user) => sendAvailabilityNotification(user, true, 'Unassigned from shop shift', 'Unassignment'));
     assignResults.forEach((user) => sendAvailabilityNotification(user, true, 'Assigned to shop shift', 'Assignment'));
 
-    res.json({ message: 'Users assigned to shop shift successfully' });
+    res.json({ message: 'Users assigned to shop shift successfully', warnings, conflicts });
   } catch (error) {
     await session.abortTransaction();
     session.endSession();
@@ -0,0 +1,278 @@
+import TimeEntry from '../models/TimeEntry.js';
+import User from '../models/User.js';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { LocationType, Permission } from '../utils/enums.js';
+import { addDays, daysBetween, startOfWeek, toUtcDate, today } from '../utils/dates.js';
+import { resolveScope, userScopeFilter } from '../middlewares/scope.js';
+import { getRolePermissions } from '../services/permissionService.js';
+import { MAX_ROSTER_DAYS } from '../services/rosterService.js';
+import {
+  CORRECTABLE_FIELDS,
+  setClockPin,
+  removeClockPin,
+  verifyClockPin,
+  clockInUser,
+  clockOutUser,
+  startUserBreak,
+  endUserBreak,
+  applyTimeEntryCorrection,
+  summarizeTimesheet,
+} from '../services/timeEntryService.js';
+
+// Whose time is being recorded: the caller, or a colleague picked on a shared
+// device signed in by a manager, who confirms with their PIN
+const resolveClockUser = async (req) => {
+  const { userId, pin } = req.body;
+  if (!userId || userId === req.user.userId) return { userId: req.user.userId };
+
+  const forbidden = (message) => {
+    const error = new Error(message);
+    error.status = 403;
+    return error;
+  };
+
+  if (req.user.apiKeyId) throw forbidden('Recording time for colleagues needs a signed-in manager');
+  const permissions = await getRolePermissions(req.user.role);
+  if (!permissions.includes(Permission.TIMESHEET_MANAGE)) throw forbidden('Unauthorized');
+
+  const scope = await resolveScope(req);
+  if (!(await User.exists({ _id: userId, ...userScopeFilter(scope) }))) {
+    throw forbidden('Outside of your location scope');
+  }
+
+  await verifyClockPin(req.user.userId, pin);
+  return { userId, confirmedBy: req.user.userId };
+};
+
+// Clock in to the current scheduled shift
+export const clockIn = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { userId, confirmedBy } = await resolveClockUser(req);
+    const timeEntry = await clockInUser({ userId, shiftAssignmentId: req.body.shiftAssignmentId, confirmedBy });
+
+    res.status(201).json({
+      message: timeEntry.lateMinutes > 0 ? `Clocked in ${timeEntry.lateMinutes} minutes late` : 'Clocked in',
+      timeEntry,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Clock out of the open time entry, ending any running break
+export const clockOut = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { userId, confirmedBy } = await resolveClockUser(req);
+    const timeEntry = await clockOutUser({ userId, confirmedBy });
+
+    res.json({ message: 'Clocked out', timeEntry });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const startBreak = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { userId } = await resolveClockUser(req);
+    const timeEntry = await startUserBreak(userId);
+
+    res.json({ message: 'Break started', timeEntry });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const endBreak = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { userId } = await resolveClockUser(req);
+    const timeEntry = await endUserBreak(userId);
+
+    res.json({ message: 'Break ended', timeEntry });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set or change the authenticated user's clock PIN (requires their password)
+export const setPin = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+
+    await setClockPin(user._id, req.body.pin);
+    res.json({ message: 'PIN updated successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+export const removePin = async (req, res, next) => {
+  try {
+    await removeClockPin(req.user.userId);
+    res.json({ message: 'PIN removed successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Date range from the query, the current week by default, or null if too long
+const getTimesheetRange = (req) => {
+  const from = toUtcDate(req.query.from || startOfWeek(today()));
+  const to = toUtcDate(req.query.to || addDays(from, 6));
+  return to < from || daysBetween(from, to) >= MAX_ROSTER_DAYS ? null : { from, to };
+};
+
+const sendTimesheet = async (req, res, filter) => {
+  const range = getTimesheetRange(req);
+  if (!range) {
+    return res.status(400).json({ message: `Date range must be between 1 and ${MAX_ROSTER_DAYS} days` });
+  }
+
+  const timeEntries = await TimeEntry.find({
+    ...filter,
+    ...(req.query.status && { status: req.query.status }),
+    date: { $gte: range.from, $lte: range.to },
+  })
+    .populate('user', 'username role')
+    .populate('location', 'name')
+    .populate('corrections.correctedBy', 'username')
+    .sort({ scheduledStart: 1 })
+    .lean()
+    .exec();
+
+  res.json({ from: range.from, to: range.to, summary: summarizeTimesheet(timeEntries), timeEntries });
+};
+
+// Get the authenticated user's own timesheet
+export const getMyTimesheet = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    await sendTimesheet(req, res, { user: new mongoose.Types.ObjectId(req.user.userId) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Timesheet of everyone who worked at a kitchen or shop
+export const getLocationTimesheet = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { kitchenId, shopId } = req.params;
+    await sendTimesheet(req, res, {
+      locationType: kitchenId ? LocationType.KITCHEN : LocationType.SHOP,
+      location: kitchenId || shopId,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Timesheet of one user, limited to the caller's locations
+export const getUserTimesheet = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const scope = await resolveScope(req);
+    await sendTimesheet(req, res, {
+      user: req.params.userId,
+      ...(!scope.global && {
+        $or: [
+          { locationType: LocationType.KITCHEN, location: { $in: scope.kitchens } },
+          { locationType: LocationType.SHOP, location: { $in: scope.shops } },
+        ],
+      }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Correct the clock times of an entry; the change, author and reason are kept on the entry
+export const correctTimeEntry = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const timeEntry = await TimeEntry.findById(req.params.entryId).session(session);
+    if (!timeEntry) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(404).json({ message: 'Time entry not found' });
+    }
+
+    const scope = await resolveScope(req);
+    const locations = timeEntry.locationType === LocationType.KITCHEN ? scope.kitchens : scope.shops;
+    if (!scope.global && !locations.includes(timeEntry.location.toString())) {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(403).json({ message: 'Outside of your location scope' });
+    }
+
+    const changes = Object.fromEntries(
+      CORRECTABLE_FIELDS.filter((field) => field in req.body).map((field) => [field, req.body[field]])
+    );
+
+    await applyTimeEntryCorrection({
+      entry: timeEntry,
+      changes,
+      reason: req.body.reason,
+      actorId: req.user.userId,
+      session,
+    });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    res.json({ message: 'Time entry corrected successfully', timeEntry });
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    next(error);
+  }
+};
@@ -0,0 +1,148 @@
+import User from '../models/User.js';
+import { validationResult } from 'express-validator';
+import { generateSecret, verifyTotp, buildOtpauthUri } from '../utils/totp.js';
+import {
+  isTwoFactorRequired,
+  generateRecoveryCodes,
+  findUserWithTwoFactor,
+  verifySecondFactor,
+} from '../services/twoFactorService.js';
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Don Bambaloni';
+
+// Get the authenticated user's 2FA status
+export const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const user = await findUserWithTwoFactor(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).filter((code) => !code.usedAt).length,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Start enrollment: create a pending secret and return it with an otpauth URI
+export const enrollTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: TWO_FACTOR_ISSUER }),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Finish enrollment by proving the authenticator app produces valid codes
+export const verifyTwoFactorEnrollment = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await User.findById(req.user.userId).select('+twoFactor.pendingSecret');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start enrollment before verifying' });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) return res.status(400).json({ message: 'Invalid verification code' });
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashed;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes: codes,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Disable 2FA (not allowed for roles that require it)
+export const disableTwoFactor = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await findUserWithTwoFactor(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(400).json({ message: 'Two-factor authentication is required for your role' });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    if (!(await user.comparePassword(password)) || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ message: 'Invalid password or verification code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Replace all recovery codes with a fresh set
+export const regenerateRecoveryCodes = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await findUserWithTwoFactor(req.user.userId);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    const { codes, hashed } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashed;
+    await user.save();
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes: codes });
+  } catch (err) {
+    next(err);
+  }
+};
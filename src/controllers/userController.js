@@ -1,31 +1,32 @@
 import User from '../models/User.js';
-import AvailabilityHistory from '../models/AvailabilityHistory.js';
 import SalaryRecord from '../models/SalaryRecord.js';
-import UserHistory from '../models/UserHistory.js';
+import ShiftSwap from '../models/ShiftSwap.js';
 import mongoose from 'mongoose';
-import { AvailabilityStatus, ActionType } from '../utils/enums.js';
 import { validationResult } from 'express-validator';
-import { sendAvailabilityNotification } from './notificationController.js';
-import multer from 'multer';
-import path from 'path';
 import Shop from '../models/Shop.js';
 import Kitchen from '../models/Kitchen.js';
-
-// Configure Multer storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'uploads/'); // the upload directory
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  },
-});
-
-// Initialize upload middleware
-const upload = multer({ storage });
-
-// Get all users (Admin only) with pagination and lean queries
+import { resolveScope, userScopeFilter } from '../middlewares/scope.js';
+import { unlockAccount } from '../services/loginProtectionService.js';
+import { setManualAvailability } from '../services/availabilityService.js';
+import { acceptFile } from '../middlewares/upload.js';
+import { saveImage, removeImage, withImageUrls } from '../services/imageService.js';
+import {
+  IMPORT_FILE_TYPES,
+  MAX_IMPORT_SIZE,
+  readSpreadsheet,
+  resolveColumns,
+  validateImportRows,
+  commitImport,
+} from '../services/userImportService.js';
+import { getRolePermissions } from '../services/permissionService.js';
+import { removeDeletedUserFromRoster } from '../services/rosterService.js';
+import { ImportNotification, ShiftSwapStatus } from '../utils/enums.js';
+
+// Fields users may change on their own profile; salary, role and assignments go through admin routes
+// and the password through POST /api/auth/change-password, which checks the current one
+const PROFILE_FIELDS = ['username', 'email', 'nationality', 'sex'];
+
+// Get all users with pagination and lean queries
 export const getAllUsers = async (req, res, next) => {
   try {
     const page = parseInt(req.query.page, 10) || 1;
@@ -38,14 +39,22 @@ export const getAllUsers = async (req, res, next) => {
     const minSalary = parseFloat(req.query.minSalary) || 0;
     const maxSalary = parseFloat(req.query.maxSalary) || Number.MAX_SAFE_INTEGER;
 
+    // Managers only see staff working at their own locations
+    const scope = await resolveScope(req);
+
     // Build query with search term, role, availability, and salary range
     const query = {
-      ...(search && {
-        $or: [
-          { username: { $regex: search, $options: 'i' } },
-          { email: { $regex: search, $options: 'i' } },
-        ],
-      }),
+      $and: [
+        userScopeFilter(scope),
+        search
+          ? {
+              $or: [
+                { username: { $regex: search, $options: 'i' } },
+                { email: { $regex: search, $options: 'i' } },
+              ],
+            }
+          : {},
+      ],
       ...(role && { role }),
       ...(availability && { isAvailable: availability === 'Available' }),
       salary: { $gte: minSalary, $lte: maxSalary },
@@ -61,7 +70,7 @@ export const getAllUsers = async (req, res, next) => {
     const totalUsers = await User.countDocuments(query);
 
     res.json({
-      users,
+      users: await withImageUrls(users),
       totalUsers,
       totalPages: Math.ceil(totalUsers / limit),
       currentPage: page,
@@ -81,49 +90,201 @@ export const getUserProfile = async (req, res, next) => {
 
     if (!user) return res.status(404).json({ message: 'User not found' });
 
-    res.json({ user });
+    res.json({ user: await withImageUrls(user) });
   } catch (err) {
     next(err);
   }
 };
 
-// Update user profile
-export const updateUserProfile = [
-  upload.single('image'), // Multer middleware to handle single file upload
-  async (req, res, next) => {
-    try 
-    {
-      const updates = req.body;
-
-      // Handle password update
-      if (updates.password) {
-        const salt = await genSalt(10);
-        updates.password = await hash(updates.password, salt);
-      } else {
-        delete updates.password;
-      }
+// Update user profile; the optional image (uploadImage) is resized into WebP variants when stored
+export const updateUserProfile = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-      // Handle image update
-      if (req.file) {
-        updates.image = req.file.path; // Store the file path in the database
-      }
+  let image;
+  try {
+    const updates = Object.fromEntries(
+      PROFILE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+    );
+
+    // Store an uploaded image; the one it replaces is removed once the profile is saved
+    if (req.file) {
+      image = await saveImage(req.file, 'users');
+      updates.image = image;
+    }
+
+    // Returns the user as it was, to find the replaced image
+    const previous = await User.findByIdAndUpdate(req.user.userId, updates, {
+      select: 'image',
+      lean: true,
+    });
+
+    if (!previous) {
+      await removeImage(image);
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (image) await removeImage(previous.image);
+
+    res.json({ message: 'Profile updated successfully' });
+  } catch (err) {
+    await removeImage(image);
+    next(err);
+  }
+};
+
+// Require (or stop requiring) a user to change their password
+export const setMustChangePassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { mustChangePassword } = req.body;
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { mustChangePassword },
+      { new: true, select: '_id username mustChangePassword', lean: true }
+    );
+
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ message: 'Password change requirement updated successfully', user });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Set the kitchens and shops a manager is responsible for
+export const setManagedLocations = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { userId } = req.params;
+    const { kitchenIds = [], shopIds = [] } = req.body;
+
+    const [kitchenCount, shopCount] = await Promise.all([
+      Kitchen.countDocuments({ _id: { $in: kitchenIds }, isDeleted: false }),
+      Shop.countDocuments({ _id: { $in: shopIds }, isDeleted: false }),
+    ]);
+    if (kitchenCount !== new Set(kitchenIds).size || shopCount !== new Set(shopIds).size) {
+      return res.status(400).json({ message: 'One or more kitchens or shops do not exist' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { managedKitchens: [...new Set(kitchenIds)], managedShops: [...new Set(shopIds)] },
+      { new: true, select: '_id username role managedKitchens managedShops', lean: true }
+    );
+
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    res.json({ message: 'Managed locations updated successfully', user });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// List locked accounts and accounts with recent failed logins
+export const getLockouts = async (req, res, next) => {
+  try {
+    const scope = await resolveScope(req);
 
-      const user = await User.findByIdAndUpdate(req.user.userId, updates, {
-        new: true,
-        select: '-password -__v',
-        lean: true,
-      });
+    const users = await User.find({
+      ...userScopeFilter(scope),
+      $or: [{ lockUntil: { $gt: new Date() } }, { failedLoginAttempts: { $gt: 0 } }],
+    })
+      .select('username email role lockUntil lockoutCount failedLoginAttempts')
+      .sort({ lockUntil: -1 })
+      .lean()
+      .exec();
 
-      if (!user) return res.status(404).json({ message: 'User not found' });
+    res.json({
+      lockouts: users.map((user) => ({
+        ...user,
+        isLocked: Boolean(user.lockUntil && user.lockUntil > new Date()),
+      })),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
 
-      res.json({ message: 'Profile updated successfully' });
-    } catch (err) {
-      next(err);
+// Clear a user's lockout and failed login counter
+export const clearLockout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
-  },
-];
 
-// Delete user (Admin only)
+    const user = await User.findById(req.params.userId).select('_id').lean();
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    await unlockAccount(user, req.user.userId);
+
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Parse the uploaded staff spreadsheet
+export const uploadImportFile = acceptFile('file', { types: IMPORT_FILE_TYPES, maxSize: MAX_IMPORT_SIZE });
+
+// Validate a CSV or XLSX of staff row by row; unless it is a dry run, create
+// them all at once when every row is valid
+export const importUsers = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  if (!req.file) return res.status(400).json({ message: 'A CSV or XLSX file is required' });
+
+  try {
+    const { dryRun = true, notify = ImportNotification.INVITATION, mapping } = req.body;
+    const { headers, rows } = await readSpreadsheet(req.file);
+    const columns = resolveColumns(headers, mapping);
+    const permissions = req.user.apiKeyId ? req.user.permissions : await getRolePermissions(req.user.role);
+    const results = await validateImportRows(rows, columns, { permissions });
+
+    const invalidRows = results.filter((result) => result.errors.length > 0).length;
+    const report = {
+      dryRun,
+      // The header each field was read from
+      columns: Object.fromEntries(Object.entries(columns).map(([field, index]) => [field, headers[index]])),
+      totalRows: results.length,
+      validRows: results.length - invalidRows,
+      invalidRows,
+      rows: results,
+    };
+
+    if (dryRun) return res.json(report);
+    if (invalidRows > 0) {
+      return res.status(400).json({ message: 'No users were imported; fix the rows with errors first', ...report });
+    }
+
+    const { users, notificationFailures } = await commitImport(results, {
+      notification: notify,
+      actorId: req.user.userId,
+    });
+
+    res.status(201).json({ message: `${users.length} users imported successfully`, users, notificationFailures });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Delete user
 export const deleteUser = async (req, res, next) => {
   try {
     const { userId } = req.params;
@@ -133,14 +294,22 @@ export const deleteUser = async (req, res, next) => {
     session.startTransaction();
 
     try {
-      // Remove user from any kitchens or shops
+      // Remove user from any kitchens or shops, upcoming shifts and pending shift swaps
       await Promise.all([
         User.updateOne(
           { _id: userId },
           { $unset: { kitchenId: '', shopId: '' } },
           { session }
         ),
-        // Additional cleanup if necessary
+        removeDeletedUserFromRoster(userId, session),
+        ShiftSwap.updateMany(
+          {
+            $or: [{ requester: userId }, { accepter: userId }],
+            status: { $in: [ShiftSwapStatus.OPEN, ShiftSwapStatus.ACCEPTED] },
+          },
+          { $set: { status: ShiftSwapStatus.CANCELLED, reviewNote: 'User deleted' } },
+          { session }
+        ),
       ]);
 
       const user = await User.findByIdAndDelete(userId, { session }).exec();
@@ -165,7 +334,7 @@ export const deleteUser = async (req, res, next) => {
   }
 };
 
-// Update user availability (Admin only)
+// Update user availability
 export const updateUserAvailability = async (req, res, next) => {
   try {
     // Validate request data
@@ -190,43 +359,7 @@ export const updateUserAvailability = async (req, res, next) => {
         return res.status(404).json({ message: 'User not found' });
       }
 
-      // Update availability status
-      user.manualAvailability = isAvailable ? null : AvailabilityStatus.UNAVAILABLE;
-
-      // Add entry to availabilityHistory
-      const availabilityRecord = new AvailabilityHistory({
-        user: user._id,
-        date: new Date(),
-        status: user.computedIsAvailable ? AvailabilityStatus.AVAILABLE : AvailabilityStatus.UNAVAILABLE,
-        reason: reason || 'Status updated by admin',
-      });
-      await availabilityRecord.save({ session });
-
-      // Add entry to user history
-      const userHistoryRecord = new UserHistory({
-        user: user._id,
-        action: ActionType.AVAILABILITY_UPDATED,
-        details: {
-          status: user.computedIsAvailable ? 'Available' : 'Unavailable',
-          reason: reason || 'Status updated by admin',
-        },
-      });
-      await userHistoryRecord.save({ session });
-
-      user.availabilityHistory.push(availabilityRecord._id);
-      user.history.push(userHistoryRecord._id);
-      
-      await user.save({ session });
-
-      // Handle rescheduling or reassignment if applicable
-      if (!user.computedIsAvailable) {
-        // User is now unavailable
-        // Remove user from any assigned shifts in kitchens or shops
-        await handleUserUnavailability(user, session);
-      }
-
-      // Send notifications to affected parties
-      await sendAvailabilityNotification(user, user.computedIsAvailable, reason, 'ManualUpdate', session);
+      await setManualAvailability(user, isAvailable, reason || 'Status updated by admin', session);
 
       await session.commitTransaction();
       session.endSession();
@@ -242,46 +375,6 @@ export const updateUserAvailability = async (req, res, next) => {
   }
 };
 
-// Helper function to handle user unavailability
-async function handleUserUnavailability(user, session) {
-  // Remove user from kitchen teams
-  if (user.kitchenId) {
-    const Kitchen = (await import('../models/Kitchen.js')).default;
-    const kitchen = await Kitchen.findById(user.kitchenId).session(session);
-    if (kitchen) {
-      for (const [shiftType, team] of kitchen.teams) {
-        const index = team.indexOf(user._id);
-        if (index !== -1) {
-          team.splice(index, 1);
-          kitchen.teams.set(shiftType, team);
-        }
-      }
-      await kitchen.save({ session });
-    }
-    user.kitchenId = undefined;
-  }
-
-  // Remove user from shop teams
-  if (user.shopId) {
-    const Shop = (await import('../models/Shop.js')).default;
-    const shop = await Shop.findById(user.shopId).session(session);
-    if (shop) {
-      for (const [shiftType, team] of shop.teams) {
-        const index = team.indexOf(user._id);
-        if (index !== -1) {
-          team.splice(index, 1);
-          shop.teams.set(shiftType, team);
-        }
-      }
-      await shop.save({ session });
-    }
-    user.shopId = undefined;
-  }
-
-  // Update user document
-  await user.save({ session });
-}
-
 // Fetch assigned and available users for a shop or kitchen
 export const getAssignedAndAvailableUsers = async (req, res, next) => {
   try {
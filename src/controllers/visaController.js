@@ -0,0 +1,20 @@
+import { validationResult } from 'express-validator';
+import { resolveScope, userScopeFilter } from '../middlewares/scope.js';
+import { getVisaAlertDays, getExpiryReport } from '../services/visaService.js';
+
+// List lapsed and upcoming visa and document expiries grouped by nationality and location
+export const getVisaExpiries = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const days = req.query.days ?? Math.max(0, ...getVisaAlertDays());
+    const scope = await resolveScope(req);
+
+    res.json(await getExpiryReport(userScopeFilter(scope), days));
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Never copied into the audit log
+const SENSITIVE_FIELDS = ['password', 'twoFactor', 'token', 'tokenHash', 'tokenId', 'keyHash', 'pinHash'];
+// Change on every write, so not worth diffing
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const sanitize = (doc) => {
+  if (!doc) return undefined;
+  const copy = JSON.parse(JSON.stringify(doc));
+  for (const field of SENSITIVE_FIELDS) {
+    if (field in copy) copy[field] = '[REDACTED]';
+  }
+  return copy;
+};
+
+// Shallow diff of two sanitized documents
+const diff = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+  }
+  return changes;
+};
+
+// Entities created by a request are found in the response, e.g. { kitchen: { _id, ... } }
+const findCreatedEntity = (body) => {
+  if (!body || typeof body !== 'object') return null;
+  for (const [key, value] of Object.entries(body)) {
+    const modelName = key.charAt(0).toUpperCase() + key.slice(1);
+    if (value?._id && mongoose.modelNames().includes(modelName)) {
+      return { type: modelName, id: value._id };
+    }
+  }
+  return null;
+};
+
+// Give every request an id (reusing X-Request-Id from a proxy if present)
+export const requestId = (req, res, next) => {
+  req.id = req.header('X-Request-Id') || crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+const writeAuditLog = async (req, res) => {
+  let { entityType, entityId, before } = req.audit;
+
+  if (!entityId && res.statusCode < 400) {
+    const created = findCreatedEntity(req.audit.responseBody);
+    if (created) {
+      entityType = created.type;
+      entityId = created.id;
+    }
+  }
+
+  let after;
+  if (entityId && res.statusCode < 400) {
+    after = sanitize(await mongoose.model(entityType).findById(entityId).lean());
+  }
+
+  await new AuditLog({
+    actor: req.user?.userId,
+    actorRole: req.user?.role,
+    apiKey: req.user?.apiKeyId,
+    method: req.method,
+    route: req.route ? `${req.baseUrl}${req.route.path}` : req.originalUrl.split('?')[0],
+    path: req.originalUrl.split('?')[0],
+    statusCode: res.statusCode,
+    entityType,
+    entityId,
+    before,
+    after,
+    changes: before || after ? diff(before, after) : [],
+    requestId: req.id,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  }).save();
+};
+
+// Record every mutating request once the response has been sent
+export const auditTrail = (req, res, next) => {
+  if (READ_ONLY_METHODS.includes(req.method)) return next();
+
+  req.audit = {};
+
+  // Keep the response body so created entities can be identified
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    req.audit.responseBody = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    writeAuditLog(req, res).catch((err) => console.error('Error writing audit log:', err));
+  });
+
+  next();
+};
+
+// router.param handler that snapshots the targeted entity before it is changed,
+// e.g. router.param('kitchenId', auditEntity('Kitchen'))
+export const auditEntity = (modelName) => async (req, res, next, id) => {
+  try {
+    if (req.audit && mongoose.isValidObjectId(id)) {
+      const before = await mongoose.model(modelName).findById(id).lean();
+      req.audit.entityType = modelName;
+      req.audit.entityId = id;
+      req.audit.before = sanitize(before);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
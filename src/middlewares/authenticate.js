@@ -1,17 +1,96 @@
-  import jwt from 'jsonwebtoken';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import Session from '../models/Session.js';
+import { hashToken } from '../utils/tokens.js';
+import { isTwoFactorRequired } from '../services/twoFactorService.js';
 
-  export function authenticateToken(req, res, next) {
+// Strip the IPv4-mapped IPv6 prefix so allow-lists can use plain IPv4 addresses
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:/, '');
+
+// Authenticate a machine client through the X-Api-Key header
+const authenticateApiKey = async (key, req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null }).lean();
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return res.status(401).json({ message: 'Invalid or expired API key' });
+  }
+
+  const ip = normalizeIp(req.ip);
+  if (apiKey.allowedIps?.length > 0 && !apiKey.allowedIps.map(normalizeIp).includes(ip)) {
+    return res.status(403).json({ message: 'API key not allowed from this IP address' });
+  }
+
+  // Usage tracking must not slow down or fail the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ip }, $inc: { requestCount: 1 } }
+  ).catch((err) => console.error('Error recording API key usage:', err));
+
+  req.user = { apiKeyId: apiKey._id.toString(), permissions: apiKey.permissions };
+  next();
+};
+
+// Build an authentication middleware. Restricted accounts (ones that must change
+// their password or still have to enroll in a required 2FA) are rejected unless
+// the route opts out of restrictions. API keys are rejected on routes that act as
+// a signed-in user, since a key has no user (req.user.userId) to act as.
+const authenticate = ({ allowRestricted = false, allowApiKey = true } = {}) => async (req, res, next) => {
+  try {
+    const apiKey = req.header('X-Api-Key');
+    const token = req.header('Authorization')?.split(' ')[1];
+
+    if (apiKey && allowApiKey) return await authenticateApiKey(apiKey, req, res, next);
+    if (apiKey && !token) {
+      return res.status(403).json({ message: 'This action needs a signed-in user, API keys cannot perform it' });
+    }
+
+    if (!token) return res.status(401).json({ message: 'Unauthorized' });
+
+    let userData;
     try {
-      const token = req.header('Authorization')?.split(' ')[1];
+      userData = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(403).json({ message: 'Forbidden' });
+    }
+    // Only access tokens: 2FA challenges, invitations and other purpose tokens carry an
+    // audience or purpose, and lack the session and role of a completed login
+    if (userData.aud || userData.purpose || !userData.sessionId || !userData.role) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
 
-      if (!token) return res.status(401).json({ message: 'Unauthorized' });
-      jwt.verify(token, process.env.JWT_SECRET, (err, userData) => {
-        if (err) return res.status(403).json({ message: 'Forbidden' });
+    // Access tokens of a session revoked by logout or refresh token reuse stop working right away
+    const [account, session] = await Promise.all([
+      User.findById(userData.userId).select('mustChangePassword role twoFactor.enabled').lean(),
+      Session.exists({ _id: userData.sessionId, user: userData.userId, revokedAt: null }),
+    ]);
+    if (!account || !session) return res.status(401).json({ message: 'Unauthorized' });
+
+    if (account.mustChangePassword && !allowRestricted) {
+      return res.status(403).json({
+        message: 'You must change your password before continuing',
+        code: 'PASSWORD_CHANGE_REQUIRED',
+      });
+    }
 
-        req.user = userData; // Attach user data to request object
-        next();
+    if (!account.twoFactor?.enabled && isTwoFactorRequired(account.role) && !allowRestricted) {
+      return res.status(403).json({
+        message: 'You must enable two-factor authentication before continuing',
+        code: 'TWO_FACTOR_SETUP_REQUIRED',
       });
-    } catch (error) {
-      next(error);
     }
+
+    req.user = userData; // Attach user data to request object
+    next();
+  } catch (error) {
+    next(error);
   }
+};
+
+export const authenticateToken = authenticate();
+
+// For routes that act as the signed-in user: their own data, or changes recorded under their name
+export const authenticateUser = authenticate({ allowApiKey: false });
+
+// For the few routes a restricted account still needs (change password, 2FA enrollment, logout, ...)
+export const authenticateTokenAllowRestricted = authenticate({ allowRestricted: true, allowApiKey: false });
@@ -1,10 +1,23 @@
-export function authorizeRole(...allowedRoles) {
-    return (req, res, next) => {
-      const userRole = req.user?.role;
-      if (!userRole || !allowedRoles.includes(userRole)) {
+import { getRolePermissions } from '../services/permissionService.js';
+
+// Allow the request only if the caller's role (or API key) grants every listed permission
+export function requirePermission(...requiredPermissions) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.role && !req.user?.apiKeyId) {
         return res.status(403).json({ message: 'Unauthorized' });
       }
+
+      // API keys carry their own permissions
+      const permissions = req.user.apiKeyId ? req.user.permissions : await getRolePermissions(req.user.role);
+      if (!requiredPermissions.every((permission) => permissions.includes(permission))) {
+        return res.status(403).json({ message: 'Unauthorized' });
+      }
+
+      req.user.permissions = permissions;
       next();
-    };
-  }
-  
\ No newline at end of file
+    } catch (error) {
+      next(error);
+    }
+  };
+}
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { Permission } from '../utils/enums.js';
+import { getRolePermissions } from '../services/permissionService.js';
+
+// Resolve (once per request) which kitchens and shops the caller may act on
+export const resolveScope = async (req) => {
+  if (req.scope) return req.scope;
+
+  const permissions = req.user.apiKeyId ? req.user.permissions : await getRolePermissions(req.user.role);
+  if (permissions.includes(Permission.LOCATION_ALL)) {
+    req.scope = { global: true, kitchens: [], shops: [] };
+    return req.scope;
+  }
+
+  // API keys without location:all are not tied to any location
+  if (req.user.apiKeyId) {
+    req.scope = { global: false, kitchens: [], shops: [] };
+    return req.scope;
+  }
+
+  const caller = await User.findById(req.user.userId)
+    .select('managedKitchens managedShops kitchenId shopId')
+    .lean();
+
+  req.scope = {
+    global: false,
+    kitchens: (caller?.managedKitchens || []).map((id) => id.toString()),
+    shops: (caller?.managedShops || []).map((id) => id.toString()),
+    ownKitchen: caller?.kitchenId?.toString(),
+    ownShop: caller?.shopId?.toString(),
+  };
+  return req.scope;
+};
+
+// A user is in scope when they work at one of the caller's locations
+const isUserInScope = (scope, user, { allowUnassigned = false } = {}) => {
+  if (scope.global) return true;
+  if (!user.kitchenId && !user.shopId) return allowUnassigned;
+  return (
+    (user.kitchenId && scope.kitchens.includes(user.kitchenId.toString())) ||
+    (user.shopId && scope.shops.includes(user.shopId.toString()))
+  );
+};
+
+// User IDs a request wants to place somewhere: body.userIds or the teams in body.shifts
+const collectBodyUserIds = (body) => {
+  const userIds = Array.isArray(body?.userIds) ? [...body.userIds] : [];
+  if (body?.shifts && typeof body.shifts === 'object') {
+    for (const team of Object.values(body.shifts)) {
+      if (Array.isArray(team)) userIds.push(...team);
+    }
+  }
+  return userIds;
+};
+
+// Reject requests whose :kitchenId, :shopId, :userId or :entityType/:entityId
+// fall outside the caller's locations. Users listed in the body must be
+// unassigned or already working at one of those locations.
+export const requireLocationScope = async (req, res, next) => {
+  try {
+    const scope = await resolveScope(req);
+    if (scope.global) return next();
+
+    const forbidden = () => res.status(403).json({ message: 'Outside of your location scope' });
+    const { kitchenId, shopId, userId, entityType, entityId } = req.params;
+
+    if (kitchenId && !scope.kitchens.includes(kitchenId)) return forbidden();
+    if (shopId && !scope.shops.includes(shopId)) return forbidden();
+    if (entityType === 'kitchens' && !scope.kitchens.includes(entityId)) return forbidden();
+    if (entityType === 'shops' && !scope.shops.includes(entityId)) return forbidden();
+
+    // Malformed IDs are left for the route validators to report
+    if (userId && mongoose.isValidObjectId(userId)) {
+      const target = await User.findById(userId).select('kitchenId shopId').lean();
+      if (target && !isUserInScope(scope, target)) return forbidden();
+    }
+
+    const userIds = collectBodyUserIds(req.body).filter(mongoose.isValidObjectId);
+    if (userIds.length > 0) {
+      const users = await User.find({ _id: { $in: userIds } }).select('kitchenId shopId').lean();
+      if (users.some((user) => !isUserInScope(scope, user, { allowUnassigned: true }))) return forbidden();
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Query filter restricting users to the caller's locations
+export const userScopeFilter = (scope) => {
+  if (scope.global) return {};
+  return {
+    $or: [{ kitchenId: { $in: scope.kitchens } }, { shopId: { $in: scope.shops } }],
+  };
+};
+
+// Query filters restricting kitchens/shops to the ones the caller manages or works at
+export const kitchenScopeFilter = (scope) => {
+  if (scope.global) return {};
+  return { _id: { $in: [...scope.kitchens, ...(scope.ownKitchen ? [scope.ownKitchen] : [])] } };
+};
+
+export const shopScopeFilter = (scope) => {
+  if (scope.global) return {};
+  return { _id: { $in: [...scope.shops, ...(scope.ownShop ? [scope.ownShop] : [])] } };
+};
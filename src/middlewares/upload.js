@@ -0,0 +1,46 @@
+import multer from 'multer';
+import path from 'path';
+
+const MB = 1024 * 1024;
+
+export const ATTACHMENT_FILE_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+};
+
+export const MAX_IMAGE_SIZE = 5 * MB;
+
+const isAllowedFile = (file, types) =>
+  (types[file.mimetype] || []).includes(path.extname(file.originalname).toLowerCase());
+
+const httpError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Accept an optional single file in `field`, checked against the allowed types
+// (any when omitted) and size and kept in memory (req.file.buffer) until the
+// controller stores it. Runs before the route validators so they see the form fields.
+// `maxSize` may be a function so it can read settings at request time.
+export const acceptFile = (field, { types, maxSize }) => (req, res, next) => {
+  const fileSize = typeof maxSize === 'function' ? maxSize() : maxSize;
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize, files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!types || isAllowedFile(file, types)) return cb(null, true);
+      cb(httpError(`${field} must be one of: ${Object.values(types).flat().join(', ')}`));
+    },
+  });
+
+  upload.single(field)(req, res, (err) => {
+    if (err?.code === 'LIMIT_FILE_SIZE') return next(httpError(`${field} must be at most ${fileSize / MB} MB`));
+    if (err && !err.status) err.status = 400; // e.g. unexpected field
+    next(err);
+  });
+};
+
+// Kitchen, shop and profile images; their content is checked by imageService
+export const uploadImage = acceptFile('image', { maxSize: MAX_IMAGE_SIZE });
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+import { Permission } from '../utils/enums.js';
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    // First characters of the key, shown to admins to tell keys apart
+    prefix: { type: String, required: true },
+    keyHash: { type: String, required: true, unique: true },
+    permissions: [{ type: String, enum: Object.values(Permission) }],
+    expiresAt: { type: Date },
+    // Empty means any IP may use the key
+    allowedIps: [{ type: String, trim: true }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date, default: null },
+    lastUsedAt: { type: Date },
+    lastUsedIp: { type: String },
+    requestCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('ApiKey', ApiKeySchema);
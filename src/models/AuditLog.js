@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+const AuditLogSchema = new mongoose.Schema({
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  actorRole: { type: String },
+  apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  method: { type: String, required: true },
+  route: { type: String, required: true },
+  path: { type: String },
+  statusCode: { type: Number },
+  entityType: { type: String },
+  entityId: { type: mongoose.Schema.Types.ObjectId },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed },
+  changes: [
+    {
+      _id: false,
+      field: { type: String },
+      from: { type: mongoose.Schema.Types.Mixed },
+      to: { type: mongoose.Schema.Types.Mixed },
+    },
+  ],
+  requestId: { type: String, index: true },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import { DocumentType } from '../utils/enums.js';
+
+// One uploaded file of a document; dates can change between versions, e.g. a renewed passport
+const DocumentVersionSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true },
+    storageKey: { type: String, required: true }, // See storageService
+    originalName: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    issueDate: { type: Date }, // UTC midnight
+    expiryDate: { type: Date }, // UTC midnight
+    notes: { type: String, trim: true },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    uploadedAt: { type: Date, default: Date.now },
+    // Set when uploaded or checked by someone managing the user's documents; versions
+    // users upload themselves stay pending until then
+    verifiedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    verifiedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// A document kept for a user (visa, passport, contract...). The top-level
+// dates mirror the latest version so expiring documents can be queried.
+const EmployeeDocumentSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    type: { type: String, enum: Object.values(DocumentType), required: true },
+    title: { type: String, trim: true },
+    issueDate: { type: Date },
+    expiryDate: { type: Date, index: true },
+    currentVersion: { type: Number, default: 1 },
+    versions: [DocumentVersionSchema],
+    isDeleted: { type: Boolean, default: false },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deletedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+EmployeeDocumentSchema.index({ user: 1, type: 1 });
+
+export default mongoose.model('EmployeeDocument', EmployeeDocumentSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { InvitationStatus } from '../utils/enums.js';
+
+const InvitationSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, trim: true, lowercase: true, index: true },
+    role: { type: String, required: true },
+    salary: { type: Number },
+    kitchenId: { type: mongoose.Schema.Types.ObjectId, ref: 'Kitchen' },
+    shopId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shop' },
+    status: {
+      type: String,
+      enum: Object.values(InvitationStatus),
+      default: InvitationStatus.PENDING,
+      index: true,
+    },
+    // jti of the only invitation token currently accepted; rotated on resend
+    tokenId: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    sentCount: { type: Number, default: 0 },
+    lastSentAt: { type: Date },
+    acceptedAt: { type: Date },
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    revokedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Invitation', InvitationSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Schedule and lock of a background job, shared by every server process so a
+// job runs once per interval however many instances are up.
+const JobStateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    nextRunAt: { type: Date, default: Date.now },
+    lockedUntil: { type: Date, default: null },
+    lockedBy: { type: String, default: null },
+    lastRunAt: { type: Date },
+    lastSuccessAt: { type: Date },
+    lastError: { type: String, default: null },
+    runCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('JobState', JobStateSchema);
@@ -6,13 +6,14 @@ const KitchenSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true, index: true },
     address: { type: String, required: true },
-    operatingShifts: [{ type: String, enum: Object.values(ShiftType), required: true }],
+    operatingShifts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ShiftDefinition' }],
     teams: {
       type: Map,
       of: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
       default: {},
     },
-    image: { type: String },
+    // Storage keys of the WebP variants (see imageService); older records hold one file path
+    image: { type: mongoose.Schema.Types.Mixed },
     isDeleted: { type: Boolean, default: false },
   },
   { timestamps: true }
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+import { LeaveType, LeaveStatus } from '../utils/enums.js';
+
+const LeaveRequestSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    type: { type: String, enum: Object.values(LeaveType), required: true },
+    startDate: { type: Date, required: true }, // UTC midnight, first day off
+    endDate: { type: Date, required: true }, // UTC midnight, last day off
+    reason: { type: String, trim: true },
+    attachment: { type: String }, // e.g. a sick note
+    status: {
+      type: String,
+      enum: Object.values(LeaveStatus),
+      default: LeaveStatus.PENDING,
+      index: true,
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+    // When the user was marked unavailable for the leave and made available again
+    availabilityAppliedAt: { type: Date, default: null },
+    availabilityRestoredAt: { type: Date, default: null },
+    // Whether the leave made the user unavailable, so ending it should make them available again
+    availabilityChanged: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+LeaveRequestSchema.index({ user: 1, startDate: 1, endDate: 1 });
+LeaveRequestSchema.index({ status: 1, startDate: 1, endDate: 1 });
+
+export default mongoose.model('LeaveRequest', LeaveRequestSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const LoginAttemptSchema = new mongoose.Schema({
+  email: { type: String, trim: true, lowercase: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  ip: { type: String, required: true },
+  success: { type: Boolean, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Used to count recent failures per IP and per account
+LoginAttemptSchema.index({ ip: 1, success: 1, createdAt: -1 });
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+
+// Keep attempts for a day
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+export default mongoose.model('LoginAttempt', LoginAttemptSchema);
@@ -7,11 +7,17 @@ const NotificationSchema = new mongoose.Schema(
     message: { type: String, required: true },
     timestamp: { type: Date, default: Date.now, index: true },
     isRead: { type: Boolean, default: false, index: true },
+    // Set on notifications that must only be sent once, e.g. visa expiry reminders
+    dedupeKey: { type: String },
   },
   { timestamps: true }
 );
 
 // Compound index to efficiently query unread notifications for a user
 NotificationSchema.index({ userId: 1, isRead: 1 });
+NotificationSchema.index(
+  { userId: 1, dedupeKey: 1 },
+  { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
 
 export default mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+const PasswordResetTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Remove expired tokens automatically
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
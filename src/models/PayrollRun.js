@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { PayrollRunStatus, PayLineType } from '../utils/enums.js';
+
+// Pay for every salaried or hourly user over one period; generates a SalaryRecord per user
+const PayrollRunSchema = new mongoose.Schema(
+  {
+    periodStart: { type: Date, required: true }, // UTC midnight
+    periodEnd: { type: Date, required: true },
+    status: {
+      type: String,
+      enum: Object.values(PayrollRunStatus),
+      default: PayrollRunStatus.DRAFT,
+      index: true,
+    },
+    // Hours worked beyond weeklyHours in an ISO week are paid at overtimeMultiplier
+    rules: {
+      weeklyHours: { type: Number, required: true, min: 1 },
+      overtimeMultiplier: { type: Number, required: true, min: 1 },
+    },
+    adjustments: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        type: { type: String, enum: [PayLineType.BONUS, PayLineType.DEDUCTION], required: true },
+        amount: { type: Number, required: true, min: 0 },
+        description: { type: String, trim: true },
+      },
+    ],
+    // Things to check before approving, e.g. unclosed time entries
+    warnings: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        message: { type: String },
+      },
+    ],
+    employeeCount: { type: Number, default: 0 },
+    totalAmount: { type: Number, default: 0 },
+    calculatedAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+    paidBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    paidAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+PayrollRunSchema.index({ periodStart: 1, periodEnd: 1 }, { unique: true });
+
+export default mongoose.model('PayrollRun', PayrollRunSchema);
@@ -4,16 +4,29 @@ const refreshTokenSchema = new mongoose.Schema({
   token: {
     type: String,
     required: true,
+    unique: true,
   },
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
   },
+  // The token family this token belongs to
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    index: true,
+  },
   expiresAt: {
     type: Date,
     required: true,
   },
+  // Set once the token has been exchanged for a new one
+  usedAt: {
+    type: Date,
+    default: null,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+import { Permission, LocationType } from '../utils/enums.js';
+
+const RoleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    permissions: [{ type: String, enum: Object.values(Permission) }],
+    // Location types the role can be scheduled at; empty means any
+    locationTypes: [{ type: String, enum: Object.values(LocationType) }],
+    // Seeded from the Role enum; system roles cannot be deleted
+    isSystem: { type: Boolean, default: false },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('Role', RoleSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { ShiftType, LocationType, RosterDraftStatus } from '../utils/enums.js';
+
+const realShiftTypes = Object.values(ShiftType).filter((shiftType) => shiftType !== ShiftType.BOTH);
+
+// A roster proposed by the scheduler, reviewed and then published as ShiftAssignments
+const RosterDraftSchema = new mongoose.Schema(
+  {
+    from: { type: Date, required: true }, // UTC midnight
+    to: { type: Date, required: true },
+    locations: [
+      {
+        _id: false,
+        locationType: { type: String, enum: Object.values(LocationType), required: true },
+        location: { type: mongoose.Schema.Types.ObjectId, refPath: 'locations.locationType', required: true },
+      },
+    ],
+    constraints: {
+      maxShiftsPerWeek: { type: Number },
+      minRestHours: { type: Number },
+    },
+    shifts: [
+      {
+        _id: false,
+        locationType: { type: String, enum: Object.values(LocationType), required: true },
+        location: { type: mongoose.Schema.Types.ObjectId, refPath: 'shifts.locationType', required: true },
+        date: { type: Date, required: true },
+        shiftType: { type: String, enum: realShiftTypes, required: true },
+        startsAt: { type: Date },
+        endsAt: { type: Date },
+        users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      },
+    ],
+    // Requirements the scheduler could not meet
+    unfilled: [
+      {
+        _id: false,
+        location: { type: mongoose.Schema.Types.ObjectId },
+        locationType: { type: String, enum: Object.values(LocationType) },
+        date: { type: String }, // 'YYYY-MM-DD'
+        shiftType: { type: String },
+        role: { type: String },
+        required: { type: Number },
+        assigned: { type: Number },
+      },
+    ],
+    status: {
+      type: String,
+      enum: Object.values(RosterDraftStatus),
+      default: RosterDraftStatus.DRAFT,
+      index: true,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    publishedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model('RosterDraft', RosterDraftSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A change of a user's monthly salary and/or hourly rate. Changes dated in the
+// future are applied to the user once their effective date arrives.
+const SalaryChangeSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    previousSalary: { type: Number },
+    salary: { type: Number, min: 0 },
+    previousHourlyRate: { type: Number },
+    hourlyRate: { type: Number, min: 0 },
+    effectiveDate: { type: Date, required: true }, // UTC midnight
+    reason: { type: String, required: true, trim: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    appliedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+SalaryChangeSchema.index({ user: 1, effectiveDate: -1 });
+SalaryChangeSchema.index({ appliedAt: 1, effectiveDate: 1 });
+
+export default mongoose.model('SalaryChange', SalaryChangeSchema);
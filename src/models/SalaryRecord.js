@@ -1,11 +1,68 @@
 import mongoose from 'mongoose';
+import { PayLineType, SalaryRecordType, SalaryRecordStatus, SalaryRecordTransitions } from '../utils/enums.js';
 
-const SalaryRecordSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, 
-  date: { type: Date, required: true },
-  amount: { type: Number, required: true },
-  status: { type: String, default: 'Pending' }, // Paid, Pending
-  notes: { type: String },
+const SalaryRecordSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: Date, required: true },
+    type: { type: String, enum: Object.values(SalaryRecordType), default: SalaryRecordType.PAYROLL },
+    amount: { type: Number, required: true }, // Negative for deductions
+    status: {
+      type: String,
+      enum: Object.values(SalaryRecordStatus),
+      default: SalaryRecordStatus.PENDING,
+      index: true,
+    },
+    notes: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Set on records generated by a payroll run
+    payrollRun: { type: mongoose.Schema.Types.ObjectId, ref: 'PayrollRun' },
+    periodStart: { type: Date },
+    periodEnd: { type: Date },
+    workedHours: { type: Number },
+    overtimeHours: { type: Number },
+    // How the amount adds up; deductions are negative
+    lineItems: [
+      {
+        _id: false,
+        type: { type: String, enum: Object.values(PayLineType), required: true },
+        description: { type: String },
+        quantity: { type: Number },
+        rate: { type: Number },
+        amount: { type: Number, required: true },
+      },
+    ],
+    paidAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// Remember the stored status so saves can only move along SalaryRecordTransitions
+SalaryRecordSchema.post('init', function () {
+  this.$locals.storedStatus = this.status;
+});
+
+SalaryRecordSchema.pre('save', function (next) {
+  const from = this.$locals.storedStatus;
+  if (this.isNew || !this.isModified('status') || from === this.status) return next();
+
+  if (!SalaryRecordTransitions[from]?.includes(this.status)) {
+    const error = new Error(`Salary record cannot change from ${from} to ${this.status}`);
+    error.status = 409;
+    return next(error);
+  }
+  next();
 });
 
+SalaryRecordSchema.post('save', function () {
+  this.$locals.storedStatus = this.status;
+});
+
+// One record per user and payroll run, so reruns update instead of duplicating
+SalaryRecordSchema.index(
+  { payrollRun: 1, user: 1 },
+  { unique: true, partialFilterExpression: { payrollRun: { $exists: true } } }
+);
+SalaryRecordSchema.index({ user: 1, date: -1 });
+
 export default mongoose.model('SalaryRecord', SalaryRecordSchema);
@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// A session is one refresh token family, i.e. one logged-in device
+const SessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    device: { type: String, trim: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Drop the session once its last refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+export default mongoose.model('Session', SessionSchema);
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+import { ShiftType, LocationType } from '../utils/enums.js';
+
+// The team working one shift at one location on one calendar day
+const ShiftAssignmentSchema = new mongoose.Schema(
+  {
+    locationType: { type: String, enum: Object.values(LocationType), required: true },
+    location: { type: mongoose.Schema.Types.ObjectId, refPath: 'locationType', required: true },
+    date: { type: Date, required: true }, // UTC midnight
+    shiftType: {
+      type: String,
+      // Both is stored as its component shifts
+      enum: Object.values(ShiftType).filter((shiftType) => shiftType !== ShiftType.BOTH),
+      required: true,
+    },
+    users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+ShiftAssignmentSchema.index({ location: 1, date: 1, shiftType: 1 }, { unique: true });
+ShiftAssignmentSchema.index({ date: 1, locationType: 1 });
+ShiftAssignmentSchema.index({ users: 1, date: 1 });
+
+export default mongoose.model('ShiftAssignment', ShiftAssignmentSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import { ShiftType, LocationType } from '../utils/enums.js';
+import { TIME_PATTERN, isValidTimeZone } from '../utils/dates.js';
+
+// The hours of one shift at one kitchen or shop. A shift ending at or before
+// its start time runs overnight into the next day.
+const ShiftDefinitionSchema = new mongoose.Schema(
+  {
+    locationType: { type: String, enum: Object.values(LocationType), required: true },
+    location: { type: mongoose.Schema.Types.ObjectId, refPath: 'locationType', required: true },
+    shiftType: {
+      type: String,
+      // Both is never stored, it expands into its component shifts
+      enum: Object.values(ShiftType).filter((shiftType) => shiftType !== ShiftType.BOTH),
+      required: true,
+    },
+    startTime: { type: String, required: true, match: TIME_PATTERN }, // 'HH:mm'
+    endTime: { type: String, required: true, match: TIME_PATTERN },
+    breakMinutes: { type: Number, default: 0, min: 0 },
+    timeZone: {
+      type: String,
+      required: true,
+      validate: { validator: isValidTimeZone, message: (props) => `Invalid time zone: ${props.value}` },
+    },
+    // Headcount the shift needs per role, e.g. [{ role: 'Chef', count: 2 }]
+    requirements: [
+      {
+        _id: false,
+        role: { type: String, required: true },
+        count: { type: Number, required: true, min: 1 },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+ShiftDefinitionSchema.index({ location: 1, shiftType: 1 }, { unique: true });
+
+export default mongoose.model('ShiftDefinition', ShiftDefinitionSchema);
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { ShiftSwapType, ShiftSwapStatus } from '../utils/enums.js';
+
+// An offer by a user to give away (cover) or exchange (swap) one of their dated shifts
+const ShiftSwapSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: Object.values(ShiftSwapType), required: true },
+    requester: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    // Only colleagues with this role can accept
+    role: { type: String, required: true },
+    shift: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftAssignment', required: true, index: true },
+    note: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: Object.values(ShiftSwapStatus),
+      default: ShiftSwapStatus.OPEN,
+      index: true,
+    },
+    // At the latest when the offered shift starts
+    expiresAt: { type: Date, required: true },
+    accepter: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // The accepter's shift given in exchange (swaps only)
+    counterShift: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftAssignment' },
+    acceptedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewNote: { type: String, trim: true },
+    // Why the offer was rejected automatically, e.g. scheduling conflicts on approval
+    conflicts: [{ type: mongoose.Schema.Types.Mixed }],
+  },
+  { timestamps: true }
+);
+
+ShiftSwapSchema.index({ status: 1, role: 1, expiresAt: 1 });
+
+export default mongoose.model('ShiftSwap', ShiftSwapSchema);
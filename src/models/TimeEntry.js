@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import { LocationType, ShiftType, TimeEntryStatus } from '../utils/enums.js';
+
+const BreakSchema = new mongoose.Schema(
+  {
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+// When a user actually worked one of their dated shifts
+const TimeEntrySchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    shift: { type: mongoose.Schema.Types.ObjectId, ref: 'ShiftAssignment', required: true },
+    // Copied from the shift so timesheets survive roster changes
+    locationType: { type: String, enum: Object.values(LocationType), required: true },
+    location: { type: mongoose.Schema.Types.ObjectId, refPath: 'locationType', required: true },
+    date: { type: Date, required: true }, // UTC midnight
+    shiftType: {
+      type: String,
+      enum: Object.values(ShiftType).filter((shiftType) => shiftType !== ShiftType.BOTH),
+      required: true,
+    },
+    scheduledStart: { type: Date, required: true },
+    scheduledEnd: { type: Date, required: true },
+    status: { type: String, enum: Object.values(TimeEntryStatus), required: true, index: true },
+    clockInAt: { type: Date },
+    clockOutAt: { type: Date },
+    breaks: [BreakSchema],
+    // Set once clocked out: time on the clock minus breaks
+    breakMinutes: { type: Number, default: 0 },
+    workedMinutes: { type: Number },
+    lateMinutes: { type: Number, default: 0 },
+    // Who confirmed with their PIN when the entry was recorded for the user
+    clockInConfirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    clockOutConfirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Every manual change, oldest first
+    corrections: [
+      {
+        _id: false,
+        correctedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        correctedAt: { type: Date, default: Date.now },
+        reason: { type: String, required: true, trim: true },
+        changes: [
+          {
+            _id: false,
+            field: { type: String },
+            from: { type: mongoose.Schema.Types.Mixed },
+            to: { type: mongoose.Schema.Types.Mixed },
+          },
+        ],
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+TimeEntrySchema.index({ user: 1, shift: 1 }, { unique: true });
+TimeEntrySchema.index({ user: 1, date: 1 });
+TimeEntrySchema.index({ location: 1, date: 1 });
+
+export default mongoose.model('TimeEntry', TimeEntrySchema);
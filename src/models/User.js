@@ -1,26 +1,64 @@
 import mongoose from 'mongoose';
 import { genSalt, hash, compare } from 'bcrypt';
-import { Role, AvailabilityStatus, ActionType } from '../utils/enums.js';
+import { AvailabilityStatus, ActionType } from '../utils/enums.js';
+import './Role.js';
 
 const UserSchema = new mongoose.Schema(
   {
     username: { type: String, required: true, unique: true, trim: true, index: true },
     email: { type: String, required: true, unique: true, trim: true, index: true },
     password: { type: String, required: true },
-    role: { type: String, enum: Object.values(Role), required: true, index: true },
-    image: { type: String },
+    mustChangePassword: { type: Boolean, default: false },
+    passwordChangedAt: { type: Date },
+    // Brute-force protection: failures since the last lock, current lock and how often it happened
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockUntil: { type: Date, index: true },
+    lockoutCount: { type: Number, default: 0 },
+    // TOTP two-factor authentication; secrets and recovery codes are never selected by default
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      enabledAt: { type: Date },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      lastUsedStep: { type: Number, select: false },
+      recoveryCodes: {
+        type: [{ hash: { type: String, required: true }, usedAt: { type: Date, default: null } }],
+        select: false,
+      },
+    },
+    // Confirms clock-ins and clock-outs the user records for colleagues on a shared device
+    pinHash: { type: String, select: false },
+    role: {
+      type: String,
+      required: true,
+      index: true,
+      // Roles live in the database so admins can define new ones
+      validate: {
+        validator: (name) => mongoose.model('Role').exists({ name }).then(Boolean),
+        message: (props) => `Unknown role: ${props.value}`,
+      },
+    },
+    // Storage keys of the WebP variants (see imageService); older records hold one file path
+    image: { type: mongoose.Schema.Types.Mixed },
     isAvailable: { type: Boolean, default: true, index: true },
     manualAvailability: { type: String, enum: Object.values(AvailabilityStatus), default: null },
     visaStatus: { type: String },
     visaExpiryDate: { type: Date, index: true },
+    // Visa expiry the user was last made unavailable for, so an admin can make them available again
+    visaLapsedFor: { type: Date, default: null },
     nationality: { type: String },
     sex: { type: String },
-    salary: { type: Number },
+    salary: { type: Number }, // Monthly base salary
+    // Paid per worked hour instead of the monthly salary when set
+    hourlyRate: { type: Number, min: 0 },
     salaryHistory: [{ type: mongoose.Schema.Types.ObjectId, ref: 'SalaryRecord' }],
     availabilityHistory: [{ type: mongoose.Schema.Types.ObjectId, ref: 'AvailabilityHistory' }],
     history: [{ type: mongoose.Schema.Types.ObjectId, ref: 'UserHistory' }],
     kitchenId: { type: mongoose.Schema.Types.ObjectId, ref: 'Kitchen', index: true },
     shopId: { type: mongoose.Schema.Types.ObjectId, ref: 'Shop', index: true },
+    // Locations a manager is responsible for
+    managedKitchens: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Kitchen' }],
+    managedShops: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Shop' }],
   },
   { timestamps: true }
 );
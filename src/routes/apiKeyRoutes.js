@@ -0,0 +1,54 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import { createApiKey, getApiKeys, revokeApiKey } from '../controllers/apiKeyController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission } from '../utils/enums.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('apiKeyId', auditEntity('ApiKey'));
+
+/**
+ * @route   POST /api/api-keys
+ * @desc    Create an API key for a machine client (apikey:manage)
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticateUser,
+  requirePermission(Permission.API_KEY_MANAGE),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('permissions').isArray({ min: 1 }).withMessage('At least one permission is required'),
+    body('permissions.*').isIn(Object.values(Permission)).withMessage('Invalid permission'),
+    body('expiresAt').optional().isISO8601({ strict: true }).withMessage('expiresAt must be a date').toDate(),
+    body('allowedIps').optional().isArray().withMessage('allowedIps must be an array'),
+    body('allowedIps.*').isIP().withMessage('Invalid IP address in allowedIps'),
+  ],
+  createApiKey
+);
+
+/**
+ * @route   GET /api/api-keys
+ * @desc    List API keys and their usage (apikey:manage)
+ * @access  Private
+ */
+router.get('/', authenticateToken, requirePermission(Permission.API_KEY_MANAGE), getApiKeys);
+
+/**
+ * @route   DELETE /api/api-keys/:apiKeyId
+ * @desc    Revoke an API key (apikey:manage)
+ * @access  Private
+ */
+router.delete(
+  '/:apiKeyId',
+  authenticateToken,
+  requirePermission(Permission.API_KEY_MANAGE),
+  [param('apiKeyId').isMongoId().withMessage('Invalid API key ID')],
+  revokeApiKey
+);
+
+export default router;
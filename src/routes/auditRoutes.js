@@ -0,0 +1,43 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { getAuditLogs, exportAuditLogs } from '../controllers/auditController.js';
+import { authenticateToken } from '../middlewares/authenticate.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission } from '../utils/enums.js';
+
+const router = express.Router();
+
+const auditFilters = [
+  query('actor').optional().isMongoId().withMessage('Invalid actor ID'),
+  query('apiKey').optional().isMongoId().withMessage('Invalid API key ID'),
+  query('entityType').optional().isString().withMessage('Entity type must be a string'),
+  query('entityId').optional().isMongoId().withMessage('Invalid entity ID'),
+  query('from').optional().isISO8601({ strict: true }).withMessage('from must be a date'),
+  query('to').optional().isISO8601({ strict: true }).withMessage('to must be a date'),
+];
+
+/**
+ * @route   GET /api/audit
+ * @desc    Query the audit log by actor, entity and date range (audit:read)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(Permission.AUDIT_READ),
+  [
+    ...auditFilters,
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  ],
+  getAuditLogs
+);
+
+/**
+ * @route   GET /api/audit/export
+ * @desc    Export the filtered audit log as CSV (audit:read)
+ * @access  Private
+ */
+router.get('/export', authenticateToken, requirePermission(Permission.AUDIT_READ), auditFilters, exportAuditLogs);
+
+export default router;
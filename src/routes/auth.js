@@ -1,13 +1,38 @@
 import express from 'express';
-import { body } from 'express-validator';
-import { register, login, logout, getMe, refreshToken } from '../controllers/authController.js';
-import { authenticateToken } from '../middlewares/authenticate.js';
+import { body, param, query } from 'express-validator';
+import {
+  register,
+  login,
+  logout,
+  getMe,
+  refreshToken,
+  getSessions,
+  revokeUserSession,
+  revokeAllSessions,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  completeTwoFactorLogin,
+} from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  enrollTwoFactor,
+  verifyTwoFactorEnrollment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../controllers/twoFactorController.js';
+import { acceptInvitation } from '../controllers/invitationController.js';
+import { authenticateUser, authenticateTokenAllowRestricted } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
 
 const router = express.Router();
 
+// Snapshot entities before they are changed, for the audit log
+router.param('sessionId', auditEntity('Session'));
+
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user (disabled unless ALLOW_PUBLIC_REGISTRATION=true)
  * @access  Public
  */
 router.post(
@@ -28,6 +53,25 @@ router.post(
   register
 );
 
+/**
+ * @route   POST /api/auth/accept-invite
+ * @desc    Complete an invitation by setting a username and password
+ * @access  Public (requires invitation token)
+ */
+router.post(
+  '/accept-invite',
+  [
+    body('token').trim().notEmpty().withMessage('Invitation token is required'),
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+    body('nationality').optional().trim(),
+    body('sex').optional().trim(),
+  ],
+  acceptInvitation
+);
+
 /**
  * @route   POST /api/auth/login
  * @desc    Login user
@@ -42,12 +86,131 @@ router.post(
   login
 );
 
+/**
+ * @route   POST /api/auth/2fa/challenge
+ * @desc    Complete a login with a TOTP or recovery code
+ * @access  Public (requires challenge token from login)
+ */
+router.post(
+  '/2fa/challenge',
+  [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').optional().isString(),
+    body('recoveryCode').optional().isString(),
+    body().custom((value) => {
+      if (!value.code && !value.recoveryCode) throw new Error('A code or recovery code is required');
+      return true;
+    }),
+  ],
+  completeTwoFactorLogin
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get own two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', authenticateTokenAllowRestricted, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/enroll
+ * @desc    Start 2FA enrollment, returns the secret and an otpauth URI
+ * @access  Private (allowed while 2FA enrollment is required)
+ */
+router.post('/2fa/enroll', authenticateTokenAllowRestricted, enrollTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Confirm 2FA enrollment with a code, returns recovery codes
+ * @access  Private (allowed while 2FA enrollment is required)
+ */
+router.post(
+  '/2fa/verify',
+  authenticateTokenAllowRestricted,
+  [body('code').trim().notEmpty().withMessage('Verification code is required')],
+  verifyTwoFactorEnrollment
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authenticateUser,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body().custom((value) => {
+      if (!value.code && !value.recoveryCode) throw new Error('A code or recovery code is required');
+      return true;
+    }),
+  ],
+  disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authenticateUser,
+  [body('code').trim().notEmpty().withMessage('Verification code is required')],
+  regenerateRecoveryCodes
+);
+
 /**
  * @route   POST /api/auth/logout
  * @desc    Logout user
  * @access  Private
  */
-router.post('/logout', authenticateToken, logout);
+router.post('/logout', authenticateTokenAllowRestricted, logout);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Send a password reset link to the given email
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  [body('email').trim().isEmail().withMessage('Valid email is required').normalizeEmail()],
+  forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  [
+    body('token').trim().notEmpty().withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+  ],
+  resetPassword
+);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change own password
+ * @access  Private (allowed while a password change is required)
+ */
+router.post(
+  '/change-password',
+  authenticateTokenAllowRestricted,
+  [
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+  ],
+  changePassword
+);
 
 
 /**
@@ -55,7 +218,44 @@ router.post('/logout', authenticateToken, logout);
  * @desc    Get authenticated user's profile
  * @access  Private
  */
-router.get('/me', authenticateToken, getMe);
+router.get('/me', authenticateTokenAllowRestricted, getMe);
+
+/**
+ * @route   POST /api/auth/refresh-token
+ * @desc    Rotate the refresh token cookie and issue a new access token
+ * @access  Public (requires refresh token cookie)
+ */
 router.post('/refresh-token', refreshToken);
 
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the authenticated user's active sessions
+ * @access  Private
+ */
+router.get('/sessions', authenticateUser, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Revoke all sessions (pass keepCurrent=true to stay logged in here)
+ * @access  Private
+ */
+router.delete(
+  '/sessions',
+  authenticateUser,
+  [query('keepCurrent').optional().isBoolean().withMessage('keepCurrent must be a boolean')],
+  revokeAllSessions
+);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a single session
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authenticateUser,
+  [param('sessionId').isMongoId().withMessage('Invalid session ID')],
+  revokeUserSession
+);
+
 export default router;
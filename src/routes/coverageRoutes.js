@@ -0,0 +1,29 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { getCoverage } from '../controllers/coverageController.js';
+import { authenticateToken } from '../middlewares/authenticate.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission, LocationType } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/coverage?from=&to=&location=&locationType=
+ * @desc    List understaffed shifts for a date range (shift:assign)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [
+    query('from').optional().custom(isDateKey).withMessage('from must be formatted as YYYY-MM-DD'),
+    query('to').optional().custom(isDateKey).withMessage('to must be formatted as YYYY-MM-DD'),
+    query('location').optional().isMongoId().withMessage('Invalid location ID'),
+    query('locationType').optional().isIn(Object.values(LocationType)).withMessage('Invalid location type'),
+  ],
+  getCoverage
+);
+
+export default router;
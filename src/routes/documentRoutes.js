@@ -0,0 +1,150 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  uploadDocumentFile,
+  createDocument,
+  createDocumentVersion,
+  verifyDocument,
+  getMyDocuments,
+  getUserDocuments,
+  getDocument,
+  downloadDocument,
+  deleteDocument,
+} from '../controllers/documentController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { Permission, DocumentType } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('documentId', auditEntity('EmployeeDocument'));
+
+const documentIdParam = param('documentId').isMongoId().withMessage('Invalid document ID');
+const userIdParam = param('userId').isMongoId().withMessage('Invalid user ID');
+const typeQuery = query('type').optional().isIn(Object.values(DocumentType)).withMessage('Invalid document type');
+
+// Form fields of an uploaded version
+const versionValidators = [
+  body('title').optional().trim().isLength({ max: 200 }).withMessage('Title is too long'),
+  body('issueDate').optional().custom(isDateKey).withMessage('issueDate must be formatted as YYYY-MM-DD'),
+  body('expiryDate')
+    .optional()
+    .custom(isDateKey)
+    .withMessage('expiryDate must be formatted as YYYY-MM-DD')
+    .custom((value, { req }) => !req.body.issueDate || value >= req.body.issueDate)
+    .withMessage('expiryDate must be on or after issueDate'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes are too long'),
+];
+const documentValidators = [
+  body('type').isIn(Object.values(DocumentType)).withMessage('Invalid document type'),
+  ...versionValidators,
+];
+
+/**
+ * @route   POST /api/documents/me
+ * @desc    Upload one of own documents (multipart, field `file`: PDF, JPEG or PNG); it is pending until verified
+ * @access  Private
+ */
+router.post('/me', authenticateUser, uploadDocumentFile, documentValidators, createDocument);
+
+/**
+ * @route   GET /api/documents/me?type=
+ * @desc    Get own documents
+ * @access  Private
+ */
+router.get('/me', authenticateUser, typeQuery, getMyDocuments);
+
+/**
+ * @route   POST /api/documents/users/:userId
+ * @desc    Upload a document for a user (document:manage)
+ * @access  Private
+ */
+router.post(
+  '/users/:userId',
+  authenticateUser,
+  requirePermission(Permission.DOCUMENT_MANAGE),
+  userIdParam,
+  requireLocationScope,
+  uploadDocumentFile,
+  documentValidators,
+  createDocument
+);
+
+/**
+ * @route   GET /api/documents/users/:userId?type=
+ * @desc    Get the documents of a user (document:read)
+ * @access  Private
+ */
+router.get(
+  '/users/:userId',
+  authenticateToken,
+  requirePermission(Permission.DOCUMENT_READ),
+  [userIdParam, typeQuery],
+  requireLocationScope,
+  getUserDocuments
+);
+
+/**
+ * @route   GET /api/documents/:documentId
+ * @desc    Get a document with its version history (own, or others' with document:read)
+ * @access  Private
+ */
+router.get('/:documentId', authenticateToken, documentIdParam, getDocument);
+
+/**
+ * @route   GET /api/documents/:documentId/download?version=
+ * @desc    Download the current or a given version of a document (own, or others' with document:read)
+ * @access  Private
+ */
+router.get(
+  '/:documentId/download',
+  authenticateToken,
+  [documentIdParam, query('version').optional().isInt({ min: 1 }).withMessage('Invalid version').toInt()],
+  downloadDocument
+);
+
+/**
+ * @route   POST /api/documents/:documentId/versions
+ * @desc    Upload a new version of a document, e.g. once renewed (own, or others' with document:manage)
+ * @access  Private
+ */
+router.post(
+  '/:documentId/versions',
+  authenticateUser,
+  uploadDocumentFile,
+  [documentIdParam, ...versionValidators],
+  createDocumentVersion
+);
+
+/**
+ * @route   POST /api/documents/:documentId/verify
+ * @desc    Verify the current version of a document its owner uploaded; a visa's expiry then applies to the
+ *          user (document:manage)
+ * @access  Private
+ */
+router.post(
+  '/:documentId/verify',
+  authenticateUser,
+  requirePermission(Permission.DOCUMENT_MANAGE),
+  documentIdParam,
+  verifyDocument
+);
+
+/**
+ * @route   DELETE /api/documents/:documentId
+ * @desc    Remove a document from the vault (document:manage)
+ * @access  Private
+ */
+router.delete(
+  '/:documentId',
+  authenticateUser,
+  requirePermission(Permission.DOCUMENT_MANAGE),
+  documentIdParam,
+  deleteDocument
+);
+
+export default router;
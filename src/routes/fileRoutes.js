@@ -0,0 +1,13 @@
+import express from 'express';
+import { serveFile } from '../controllers/fileController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/files/:key?expires=&signature=
+ * @desc    Fetch a stored file through a signed, expiring URL (see storageService.getFileUrl)
+ * @access  Public (signed URL)
+ */
+router.get('/*', serveFile);
+
+export default router;
@@ -1,16 +1,83 @@
 import express from 'express';
-import { getSalaryHistory, getAvailabilityHistory, getActionHistory } from '../controllers/historyController.js';
-import { authenticateToken } from '../middlewares/authenticate.js';
+import {
+  getSalaryHistory,
+  getSalaryChanges,
+  getPayslip,
+  getAvailabilityHistory,
+  getActionHistory,
+} from '../controllers/historyController.js';
+import { param, query } from 'express-validator';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { Permission, SalaryRecordType, SalaryRecordStatus } from '../utils/enums.js';
 
 const router = express.Router();
 
+const salaryQueryValidators = [
+  query('type').optional().isIn(Object.values(SalaryRecordType)).withMessage('Invalid salary record type'),
+  query('status').optional().isIn(Object.values(SalaryRecordStatus)).withMessage('Invalid salary record status'),
+];
+
 // Route to fetch salary history with pagination
-router.get('/salary-history', authenticateToken, getSalaryHistory);
+router.get('/salary-history', authenticateUser, salaryQueryValidators, getSalaryHistory);
+
+// Route to download the payslip PDF of a salary record (own, or others' with salary:read)
+router.get(
+  '/salary-history/:recordId/payslip',
+  authenticateToken,
+  param('recordId').isMongoId().withMessage('Invalid salary record ID'),
+  getPayslip
+);
+
+// Route to fetch the timeline of own salary changes
+router.get('/salary-changes', authenticateUser, getSalaryChanges);
 
 // Route to fetch availability history with pagination
-router.get('/availability-history', authenticateToken, getAvailabilityHistory);
+router.get('/availability-history', authenticateUser, getAvailabilityHistory);
 
 // Route to fetch user action history with pagination
-router.get('/action-history', authenticateToken, getActionHistory);
+router.get('/action-history', authenticateUser, getActionHistory);
+
+// Route to fetch a staff member's availability history (history:read, within the caller's locations)
+router.get(
+  '/users/:userId/availability-history',
+  authenticateToken,
+  requirePermission(Permission.HISTORY_READ),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  requireLocationScope,
+  getAvailabilityHistory
+);
+
+// Route to fetch a staff member's action history (history:read, within the caller's locations)
+router.get(
+  '/users/:userId/action-history',
+  authenticateToken,
+  requirePermission(Permission.HISTORY_READ),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  requireLocationScope,
+  getActionHistory
+);
+
+// Route to fetch a staff member's salary records (salary:read, within the caller's locations)
+router.get(
+  '/users/:userId/salary-history',
+  authenticateToken,
+  requirePermission(Permission.SALARY_READ),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  salaryQueryValidators,
+  requireLocationScope,
+  getSalaryHistory
+);
+
+// Route to fetch a staff member's salary changes, including scheduled ones (salary:read, within the caller's locations)
+router.get(
+  '/users/:userId/salary-changes',
+  authenticateToken,
+  requirePermission(Permission.SALARY_READ),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  requireLocationScope,
+  getSalaryChanges
+);
 
 export default router;
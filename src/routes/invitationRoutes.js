@@ -0,0 +1,86 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  createInvitation,
+  getInvitations,
+  resendInvitation,
+  revokeInvitation,
+} from '../controllers/invitationController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { InvitationStatus, Permission } from '../utils/enums.js';
+import { roleExists } from '../services/permissionService.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('invitationId', auditEntity('Invitation'));
+
+/**
+ * @route   POST /api/invitations
+ * @desc    Invite a new staff member (user:invite)
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticateUser,
+  requirePermission(Permission.USER_INVITE),
+  [
+    body('email').trim().isEmail().withMessage('Valid email is required').normalizeEmail(),
+    body('role')
+      .trim()
+      .custom(async (role) => {
+        if (!(await roleExists(role))) throw new Error('Invalid role');
+      }),
+    body('salary').optional().isNumeric().withMessage('Salary must be a number'),
+    body('kitchenId').optional().isMongoId().withMessage('Invalid kitchen ID'),
+    body('shopId').optional().isMongoId().withMessage('Invalid shop ID'),
+  ],
+  createInvitation
+);
+
+/**
+ * @route   GET /api/invitations
+ * @desc    List invitations (user:invite)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(Permission.USER_INVITE),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+    query('status').optional().isIn(Object.values(InvitationStatus)).withMessage('Invalid status'),
+  ],
+  getInvitations
+);
+
+/**
+ * @route   POST /api/invitations/:invitationId/resend
+ * @desc    Resend an invitation with a fresh token (user:invite)
+ * @access  Private
+ */
+router.post(
+  '/:invitationId/resend',
+  authenticateToken,
+  requirePermission(Permission.USER_INVITE),
+  [param('invitationId').isMongoId().withMessage('Invalid invitation ID')],
+  resendInvitation
+);
+
+/**
+ * @route   DELETE /api/invitations/:invitationId
+ * @desc    Revoke an invitation (user:invite)
+ * @access  Private
+ */
+router.delete(
+  '/:invitationId',
+  authenticateToken,
+  requirePermission(Permission.USER_INVITE),
+  [param('invitationId').isMongoId().withMessage('Invalid invitation ID')],
+  revokeInvitation
+);
+
+export default router;
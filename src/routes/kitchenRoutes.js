@@ -9,20 +9,28 @@ import {
   assignUsersToKitchenShift,
 } from '../controllers/kitchenController.js';
 import { authenticateToken } from '../middlewares/authenticate.js';
-import { authorizeRole } from '../middlewares/authorize.js';
-import { ShiftType } from '../utils/enums.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { getLocationShifts, updateLocationShift } from '../controllers/shiftDefinitionController.js';
+import { ShiftType, Permission } from '../utils/enums.js';
+import { validateShiftInput, validateRequirements } from '../services/shiftService.js';
+import { TIME_PATTERN, isValidTimeZone } from '../utils/dates.js';
 
 const router = express.Router();
 
+// Snapshot entities before they are changed, for the audit log
+router.param('kitchenId', auditEntity('Kitchen'));
+
 /**
  * @route   POST /api/kitchens
- * @desc    Create a new kitchen (Admin only)
+ * @desc    Create a new kitchen (kitchen:create)
  * @access  Private
  */
 router.post(
   '/',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.KITCHEN_CREATE),
   createKitchen
 );
 
@@ -55,13 +63,13 @@ router.get(
 
 /**
  * @route   PUT /api/kitchens/:kitchenId
- * @desc    Update a kitchen (Admin only)
+ * @desc    Update a kitchen (kitchen:update)
  * @access  Private
  */
 router.put(
   '/:kitchenId',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.KITCHEN_UPDATE),
   [
     param('kitchenId').isMongoId().withMessage('Invalid kitchen ID'),
     body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
@@ -72,34 +80,34 @@ router.put(
       .withMessage('Operating shifts must be an array'),
     body('operatingShifts.*')
       .optional()
-      .isIn(Object.values(ShiftType))
-      .withMessage('Invalid shift type'),
+      .custom(validateShiftInput),
   ],
   updateKitchen
 );
 
 /**
  * @route   DELETE /api/kitchens/:kitchenId
- * @desc    Delete a kitchen (Admin only)
+ * @desc    Delete a kitchen (kitchen:delete)
  * @access  Private
  */
 router.delete(
   '/:kitchenId',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.KITCHEN_DELETE),
   [param('kitchenId').isMongoId().withMessage('Invalid kitchen ID')],
   deleteKitchen
 );
 
 /**
  * @route   POST /api/kitchens/:kitchenId/assign-users
- * @desc    Assign multiple users to a kitchen shift (Admin only)
+ * @desc    Set the default team of a kitchen shift, copied onto dates through the roster (shift:assign)
  * @access  Private
  */
 router.post(
   '/:kitchenId/assign-users',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.SHIFT_ASSIGN),
+  requireLocationScope,
   [
     param('kitchenId').isMongoId().withMessage('Invalid kitchen ID'),
     body('userIds')
@@ -116,4 +124,39 @@ router.post(
   assignUsersToKitchenShift
 );
 
+/**
+ * @route   GET /api/kitchens/:kitchenId/shifts
+ * @desc    Get the kitchen's shift definitions (start/end time, break, time zone)
+ * @access  Private
+ */
+router.get(
+  '/:kitchenId/shifts',
+  authenticateToken,
+  [param('kitchenId').isMongoId().withMessage('Invalid kitchen ID')],
+  getLocationShifts
+);
+
+/**
+ * @route   PUT /api/kitchens/:kitchenId/shifts/:shiftType
+ * @desc    Update the hours or staffing requirements of one of the kitchen's shifts (kitchen:update)
+ * @access  Private
+ */
+router.put(
+  '/:kitchenId/shifts/:shiftType',
+  authenticateToken,
+  requirePermission(Permission.KITCHEN_UPDATE),
+  [
+    param('kitchenId').isMongoId().withMessage('Invalid kitchen ID'),
+    param('shiftType')
+      .isIn(Object.values(ShiftType).filter((shiftType) => shiftType !== ShiftType.BOTH))
+      .withMessage('Invalid shift type'),
+    body('startTime').optional().matches(TIME_PATTERN).withMessage('startTime must be formatted as HH:mm'),
+    body('endTime').optional().matches(TIME_PATTERN).withMessage('endTime must be formatted as HH:mm'),
+    body('breakMinutes').optional().isInt({ min: 0 }).withMessage('breakMinutes must be a positive integer').toInt(),
+    body('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+    body('requirements').optional().custom(validateRequirements),
+  ],
+  updateLocationShift
+);
+
 export default router;
@@ -0,0 +1,104 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  uploadLeaveAttachment,
+  createLeaveRequest,
+  getMyLeaveRequests,
+  getLeaveRequests,
+  cancelLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+} from '../controllers/leaveController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission, LeaveType, LeaveStatus } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('leaveId', auditEntity('LeaveRequest'));
+
+const leaveIdParam = param('leaveId').isMongoId().withMessage('Invalid leave request ID');
+
+/**
+ * @route   POST /api/leave-requests
+ * @desc    Request leave (multipart, with an optional attachment)
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticateUser,
+  uploadLeaveAttachment,
+  [
+    body('type').isIn(Object.values(LeaveType)).withMessage('Invalid leave type'),
+    body('startDate').custom(isDateKey).withMessage('startDate must be formatted as YYYY-MM-DD'),
+    body('endDate').custom(isDateKey).withMessage('endDate must be formatted as YYYY-MM-DD'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason is too long'),
+  ],
+  createLeaveRequest
+);
+
+/**
+ * @route   GET /api/leave-requests/me
+ * @desc    Get own leave requests
+ * @access  Private
+ */
+router.get('/me', authenticateUser, getMyLeaveRequests);
+
+/**
+ * @route   GET /api/leave-requests?status=&type=&user=&from=&to=
+ * @desc    List leave requests of staff in the caller's locations (user:availability)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(Permission.USER_AVAILABILITY),
+  [
+    query('status').optional().isIn(Object.values(LeaveStatus)).withMessage('Invalid status'),
+    query('type').optional().isIn(Object.values(LeaveType)).withMessage('Invalid leave type'),
+    query('user').optional().isMongoId().withMessage('Invalid user ID'),
+    query('from').optional().custom(isDateKey).withMessage('from must be formatted as YYYY-MM-DD'),
+    query('to').optional().custom(isDateKey).withMessage('to must be formatted as YYYY-MM-DD'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  ],
+  getLeaveRequests
+);
+
+/**
+ * @route   DELETE /api/leave-requests/:leaveId
+ * @desc    Cancel own pending leave request
+ * @access  Private
+ */
+router.delete('/:leaveId', authenticateUser, [leaveIdParam], cancelLeaveRequest);
+
+/**
+ * @route   PUT /api/leave-requests/:leaveId/approve
+ * @desc    Approve a leave request; the user is taken off their shifts for those days (user:availability)
+ * @access  Private
+ */
+router.put(
+  '/:leaveId/approve',
+  authenticateUser,
+  requirePermission(Permission.USER_AVAILABILITY),
+  [leaveIdParam, body('note').optional().trim().isLength({ max: 500 }).withMessage('Note is too long')],
+  approveLeaveRequest
+);
+
+/**
+ * @route   PUT /api/leave-requests/:leaveId/reject
+ * @desc    Reject a leave request (user:availability)
+ * @access  Private
+ */
+router.put(
+  '/:leaveId/reject',
+  authenticateUser,
+  requirePermission(Permission.USER_AVAILABILITY),
+  [leaveIdParam, body('note').optional().trim().isLength({ max: 500 }).withMessage('Note is too long')],
+  rejectLeaveRequest
+);
+
+export default router;
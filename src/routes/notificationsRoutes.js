@@ -5,11 +5,16 @@ import {
   markAsRead,
   createNotification,
 } from '../controllers/notificationController.js';
-import { authenticateToken } from '../middlewares/authenticate.js';
-import { authorizeRole } from '../middlewares/authorize.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission } from '../utils/enums.js';
 
 const router = express.Router();
 
+// Snapshot entities before they are changed, for the audit log
+router.param('notificationId', auditEntity('Notification'));
+
 /**
  * @route   GET /api/notifications
  * @desc    Get notifications for the authenticated user
@@ -17,7 +22,7 @@ const router = express.Router();
  */
 router.get(
   '/',
-  authenticateToken,
+  authenticateUser,
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
@@ -32,20 +37,20 @@ router.get(
  */
 router.put(
   '/:notificationId/read',
-  authenticateToken,
+  authenticateUser,
   [param('notificationId').isMongoId().withMessage('Invalid notification ID')],
   markAsRead
 );
 
 /**
  * @route   POST /api/notifications
- * @desc    Create a notification (Admin only)
+ * @desc    Create a notification (notification:broadcast)
  * @access  Private
  */
 router.post(
   '/',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.NOTIFICATION_BROADCAST),
   [
     body('userId').isMongoId().withMessage('Invalid user ID'),
     body('message').trim().notEmpty().withMessage('Message is required'),
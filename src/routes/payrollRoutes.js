@@ -0,0 +1,131 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  createPayrollRun,
+  getPayrollRuns,
+  getPayrollRun,
+  updatePayrollAdjustments,
+  approvePayrollRun,
+  payPayrollRun,
+  downloadPayrollPayslips,
+} from '../controllers/payrollController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission, PayrollRunStatus, PayLineType } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('runId', auditEntity('PayrollRun'));
+
+const runIdParam = param('runId').isMongoId().withMessage('Invalid payroll run ID');
+
+// Bonuses and deductions, e.g. [{ user, type: 'Bonus', amount: 100, description: 'Christmas bonus' }]
+const adjustmentItemValidators = [
+  body('adjustments.*.user').isMongoId().withMessage('Invalid user ID'),
+  body('adjustments.*.type')
+    .isIn([PayLineType.BONUS, PayLineType.DEDUCTION])
+    .withMessage('Adjustment type must be Bonus or Deduction'),
+  body('adjustments.*.amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+  body('adjustments.*.description').optional().trim().isLength({ max: 200 }).withMessage('Description is too long'),
+];
+
+/**
+ * @route   POST /api/payroll/runs
+ * @desc    Calculate the payroll of a period; for an existing draft of the same period it recalculates (salary:update)
+ * @access  Private
+ */
+router.post(
+  '/runs',
+  authenticateUser,
+  requirePermission(Permission.SALARY_UPDATE),
+  [
+    body('periodStart').custom(isDateKey).withMessage('periodStart must be formatted as YYYY-MM-DD'),
+    body('periodEnd').custom(isDateKey).withMessage('periodEnd must be formatted as YYYY-MM-DD'),
+    body('weeklyHours').optional().isFloat({ min: 1, max: 168 }).withMessage('Invalid weekly hours').toFloat(),
+    body('overtimeMultiplier').optional().isFloat({ min: 1 }).withMessage('Invalid overtime multiplier').toFloat(),
+    body('adjustments').optional().isArray().withMessage('Adjustments must be an array'),
+    ...adjustmentItemValidators,
+  ],
+  createPayrollRun
+);
+
+/**
+ * @route   GET /api/payroll/runs?status=
+ * @desc    List payroll runs (salary:read)
+ * @access  Private
+ */
+router.get(
+  '/runs',
+  authenticateToken,
+  requirePermission(Permission.SALARY_READ),
+  [
+    query('status').optional().isIn(Object.values(PayrollRunStatus)).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  ],
+  getPayrollRuns
+);
+
+/**
+ * @route   GET /api/payroll/runs/:runId
+ * @desc    Get a payroll run with its salary records and line items (salary:read)
+ * @access  Private
+ */
+router.get('/runs/:runId', authenticateToken, requirePermission(Permission.SALARY_READ), [runIdParam], getPayrollRun);
+
+/**
+ * @route   PUT /api/payroll/runs/:runId/adjustments
+ * @desc    Replace the bonuses and deductions of a draft run and recalculate it (salary:update)
+ * @access  Private
+ */
+router.put(
+  '/runs/:runId/adjustments',
+  authenticateToken,
+  requirePermission(Permission.SALARY_UPDATE),
+  [runIdParam, body('adjustments').isArray().withMessage('Adjustments must be an array'), ...adjustmentItemValidators],
+  updatePayrollAdjustments
+);
+
+/**
+ * @route   PUT /api/payroll/runs/:runId/approve
+ * @desc    Approve a draft run (salary:update)
+ * @access  Private
+ */
+router.put(
+  '/runs/:runId/approve',
+  authenticateUser,
+  requirePermission(Permission.SALARY_UPDATE),
+  [runIdParam],
+  approvePayrollRun
+);
+
+/**
+ * @route   PUT /api/payroll/runs/:runId/pay
+ * @desc    Mark an approved run paid and notify the employees (salary:update)
+ * @access  Private
+ */
+router.put(
+  '/runs/:runId/pay',
+  authenticateUser,
+  requirePermission(Permission.SALARY_UPDATE),
+  [runIdParam],
+  payPayrollRun
+);
+
+/**
+ * @route   GET /api/payroll/runs/:runId/payslips
+ * @desc    Download a ZIP with the payslip PDF of every employee in an approved or paid run (salary:read)
+ * @access  Private
+ */
+router.get(
+  '/runs/:runId/payslips',
+  authenticateToken,
+  requirePermission(Permission.SALARY_READ),
+  [runIdParam],
+  downloadPayrollPayslips
+);
+
+export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getRoles,
+  getPermissions,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../controllers/roleController.js';
+import { authenticateToken } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission, LocationType } from '../utils/enums.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('roleId', auditEntity('Role'));
+
+/**
+ * @route   GET /api/roles
+ * @desc    List roles and their permissions
+ * @access  Private (role:read)
+ */
+router.get('/', authenticateToken, requirePermission(Permission.ROLE_READ), getRoles);
+
+/**
+ * @route   GET /api/roles/permissions
+ * @desc    List every available permission
+ * @access  Private (role:read)
+ */
+router.get('/permissions', authenticateToken, requirePermission(Permission.ROLE_READ), getPermissions);
+
+/**
+ * @route   POST /api/roles
+ * @desc    Create a custom role
+ * @access  Private (role:manage)
+ */
+router.post(
+  '/',
+  authenticateToken,
+  requirePermission(Permission.ROLE_MANAGE),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('description').optional().trim(),
+    body('permissions').isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').isIn(Object.values(Permission)).withMessage('Invalid permission'),
+    body('locationTypes').optional().isArray().withMessage('Location types must be an array'),
+    body('locationTypes.*').isIn(Object.values(LocationType)).withMessage('Invalid location type'),
+  ],
+  createRole
+);
+
+/**
+ * @route   PUT /api/roles/:roleId
+ * @desc    Update a role's description, permissions or location types
+ * @access  Private (role:manage)
+ */
+router.put(
+  '/:roleId',
+  authenticateToken,
+  requirePermission(Permission.ROLE_MANAGE),
+  [
+    param('roleId').isMongoId().withMessage('Invalid role ID'),
+    body('description').optional().trim(),
+    body('permissions').optional().isArray().withMessage('Permissions must be an array'),
+    body('permissions.*').isIn(Object.values(Permission)).withMessage('Invalid permission'),
+    body('locationTypes').optional().isArray().withMessage('Location types must be an array'),
+    body('locationTypes.*').isIn(Object.values(LocationType)).withMessage('Invalid location type'),
+  ],
+  updateRole
+);
+
+/**
+ * @route   DELETE /api/roles/:roleId
+ * @desc    Delete a custom role
+ * @access  Private (role:manage)
+ */
+router.delete(
+  '/:roleId',
+  authenticateToken,
+  requirePermission(Permission.ROLE_MANAGE),
+  [param('roleId').isMongoId().withMessage('Invalid role ID')],
+  deleteRole
+);
+
+export default router;
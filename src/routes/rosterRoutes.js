@@ -0,0 +1,121 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getRoster,
+  getMyShifts,
+  setRosterShift,
+  setRosterDay,
+  applyPattern,
+} from '../controllers/rosterController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { Permission, ShiftType, LocationType } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('kitchenId', auditEntity('Kitchen'));
+router.param('shopId', auditEntity('Shop'));
+
+const dateParam = param('date').custom(isDateKey).withMessage('Date must be formatted as YYYY-MM-DD');
+
+/**
+ * @route   GET /api/roster?from=&to=&location=&locationType=
+ * @desc    Get dated shifts for a date range (limited to the caller's locations)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  [
+    query('from').optional().custom(isDateKey).withMessage('from must be formatted as YYYY-MM-DD'),
+    query('to').optional().custom(isDateKey).withMessage('to must be formatted as YYYY-MM-DD'),
+    query('location').optional().isMongoId().withMessage('Invalid location ID'),
+    query('locationType').optional().isIn(Object.values(LocationType)).withMessage('Invalid location type'),
+  ],
+  getRoster
+);
+
+/**
+ * @route   GET /api/roster/me?from=&to=
+ * @desc    Get own upcoming shifts
+ * @access  Private
+ */
+router.get(
+  '/me',
+  authenticateUser,
+  [
+    query('from').optional().custom(isDateKey).withMessage('from must be formatted as YYYY-MM-DD'),
+    query('to').optional().custom(isDateKey).withMessage('to must be formatted as YYYY-MM-DD'),
+  ],
+  getMyShifts
+);
+
+// The same write routes exist for kitchens and shops
+for (const [prefix, idParam] of [['kitchens', 'kitchenId'], ['shops', 'shopId']]) {
+  /**
+   * @route   PUT /api/roster/{kitchens|shops}/:id/:date/:shiftType
+   * @desc    Set the team of one dated shift (shift:assign)
+   * @access  Private
+   */
+  router.put(
+    `/${prefix}/:${idParam}/:date/:shiftType`,
+    authenticateUser,
+    requirePermission(Permission.SHIFT_ASSIGN),
+    requireLocationScope,
+    [
+      param(idParam).isMongoId().withMessage('Invalid location ID'),
+      dateParam,
+      param('shiftType').isIn(Object.values(ShiftType)).withMessage('Invalid shift type'),
+      body('userIds').isArray().withMessage('userIds must be an array'),
+      body('userIds.*').isMongoId().withMessage('Invalid user ID in userIds'),
+    ],
+    setRosterShift
+  );
+
+  /**
+   * @route   PUT /api/roster/{kitchens|shops}/:id/:date
+   * @desc    Set the teams of several shifts on one day (shift:assign)
+   * @access  Private
+   */
+  router.put(
+    `/${prefix}/:${idParam}/:date`,
+    authenticateUser,
+    requirePermission(Permission.SHIFT_ASSIGN),
+    requireLocationScope,
+    [
+      param(idParam).isMongoId().withMessage('Invalid location ID'),
+      dateParam,
+      body('shifts').isObject().withMessage('shifts must be an object keyed by shift type'),
+      body('shifts.*').isArray().withMessage('Each shift must be an array of user IDs'),
+      body('shifts.*.*').isMongoId().withMessage('Invalid user ID in shifts'),
+    ],
+    setRosterDay
+  );
+
+  /**
+   * @route   POST /api/roster/{kitchens|shops}/:id/apply-pattern
+   * @desc    Copy the default pattern (assign-users teams) onto a date range (shift:assign)
+   * @access  Private
+   */
+  router.post(
+    `/${prefix}/:${idParam}/apply-pattern`,
+    authenticateUser,
+    requirePermission(Permission.SHIFT_ASSIGN),
+    requireLocationScope,
+    [
+      param(idParam).isMongoId().withMessage('Invalid location ID'),
+      body('from').custom(isDateKey).withMessage('from must be formatted as YYYY-MM-DD'),
+      body('to').custom(isDateKey).withMessage('to must be formatted as YYYY-MM-DD'),
+      body('shiftTypes').optional().isArray().withMessage('shiftTypes must be an array'),
+      body('shiftTypes.*').isIn(Object.values(ShiftType)).withMessage('Invalid shift type'),
+      body('overwrite').optional().isBoolean().withMessage('overwrite must be a boolean').toBoolean(),
+    ],
+    applyPattern
+  );
+}
+
+export default router;
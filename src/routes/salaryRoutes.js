@@ -0,0 +1,88 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  createSalaryChange,
+  createSalaryAdjustment,
+  updateSalaryRecordStatus,
+} from '../controllers/salaryController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { Permission, SalaryRecordType, SalaryRecordStatus } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('recordId', auditEntity('SalaryRecord'));
+
+const userIdParam = param('userId').isMongoId().withMessage('Invalid user ID');
+
+/**
+ * @route   POST /api/salaries/users/:userId/changes
+ * @desc    Change a user's salary and/or hourly rate from an effective date (today by default) (salary:update)
+ * @access  Private
+ */
+router.post(
+  '/users/:userId/changes',
+  authenticateUser,
+  requirePermission(Permission.SALARY_UPDATE),
+  [
+    userIdParam,
+    body('salary').optional().isFloat({ min: 0 }).withMessage('Salary must be a non-negative number').toFloat(),
+    body('hourlyRate')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Hourly rate must be a non-negative number')
+      .toFloat(),
+    body('effectiveDate')
+      .optional()
+      .custom(isDateKey)
+      .withMessage('effectiveDate must be formatted as YYYY-MM-DD'),
+    body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }),
+  ],
+  requireLocationScope,
+  createSalaryChange
+);
+
+/**
+ * @route   POST /api/salaries/users/:userId/records
+ * @desc    Record a bonus or deduction for a user (salary:update)
+ * @access  Private
+ */
+router.post(
+  '/users/:userId/records',
+  authenticateUser,
+  requirePermission(Permission.SALARY_UPDATE),
+  [
+    userIdParam,
+    body('type')
+      .isIn([SalaryRecordType.BONUS, SalaryRecordType.DEDUCTION])
+      .withMessage('Type must be Bonus or Deduction'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number').toFloat(),
+    body('date').optional().custom(isDateKey).withMessage('date must be formatted as YYYY-MM-DD'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes are too long'),
+  ],
+  requireLocationScope,
+  createSalaryAdjustment
+);
+
+/**
+ * @route   PUT /api/salaries/records/:recordId/status
+ * @desc    Mark a pending bonus or deduction Paid or Cancelled (salary:update)
+ * @access  Private
+ */
+router.put(
+  '/records/:recordId/status',
+  authenticateToken,
+  requirePermission(Permission.SALARY_UPDATE),
+  [
+    param('recordId').isMongoId().withMessage('Invalid salary record ID'),
+    body('status').isIn(Object.values(SalaryRecordStatus)).withMessage('Invalid status'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes are too long'),
+  ],
+  updateSalaryRecordStatus
+);
+
+export default router;
@@ -0,0 +1,133 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  createRosterDraft,
+  getRosterDrafts,
+  getRosterDraft,
+  updateRosterDraftShift,
+  publishRosterDraft,
+  discardRosterDraft,
+} from '../controllers/schedulerController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { Permission, ShiftType, LocationType, RosterDraftStatus } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('draftId', auditEntity('RosterDraft'));
+
+const draftIdParam = param('draftId').isMongoId().withMessage('Invalid roster draft ID');
+
+/**
+ * @route   POST /api/scheduler/drafts
+ * @desc    Propose a roster for a date range and save it as a draft (shift:assign)
+ * @access  Private
+ */
+router.post(
+  '/drafts',
+  authenticateUser,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [
+    body('from').custom(isDateKey).withMessage('from must be formatted as YYYY-MM-DD'),
+    body('to').custom(isDateKey).withMessage('to must be formatted as YYYY-MM-DD'),
+    body('locations').optional().isArray().withMessage('locations must be an array'),
+    body('locations.*.locationType').isIn(Object.values(LocationType)).withMessage('Invalid location type'),
+    body('locations.*.location').isMongoId().withMessage('Invalid location ID'),
+    body('constraints.maxShiftsPerWeek')
+      .optional()
+      .isInt({ min: 1, max: 7 })
+      .withMessage('maxShiftsPerWeek must be between 1 and 7')
+      .toInt(),
+    body('constraints.minRestHours')
+      .optional()
+      .isFloat({ min: 0, max: 48 })
+      .withMessage('minRestHours must be between 0 and 48')
+      .toFloat(),
+  ],
+  createRosterDraft
+);
+
+/**
+ * @route   GET /api/scheduler/drafts?status=&page=&limit=
+ * @desc    List roster drafts (shift:assign)
+ * @access  Private
+ */
+router.get(
+  '/drafts',
+  authenticateToken,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [
+    query('status').optional().isIn(Object.values(RosterDraftStatus)).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  ],
+  getRosterDrafts
+);
+
+/**
+ * @route   GET /api/scheduler/drafts/:draftId
+ * @desc    Get a roster draft with its proposed teams (shift:assign)
+ * @access  Private
+ */
+router.get(
+  '/drafts/:draftId',
+  authenticateToken,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [draftIdParam],
+  getRosterDraft
+);
+
+/**
+ * @route   PUT /api/scheduler/drafts/:draftId/shifts
+ * @desc    Change the proposed team of one shift in a draft (shift:assign)
+ * @access  Private
+ */
+router.put(
+  '/drafts/:draftId/shifts',
+  authenticateToken,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [
+    draftIdParam,
+    body('location').isMongoId().withMessage('Invalid location ID'),
+    body('date').custom(isDateKey).withMessage('date must be formatted as YYYY-MM-DD'),
+    body('shiftType')
+      .isIn(Object.values(ShiftType).filter((shiftType) => shiftType !== ShiftType.BOTH))
+      .withMessage('Invalid shift type'),
+    body('userIds').isArray().withMessage('userIds must be an array'),
+    body('userIds.*').isMongoId().withMessage('Invalid user ID in userIds'),
+  ],
+  requireLocationScope, // userIds must be unassigned or work at the caller's locations
+  updateRosterDraftShift
+);
+
+/**
+ * @route   POST /api/scheduler/drafts/:draftId/publish
+ * @desc    Publish every shift of a draft to the roster at once (shift:assign)
+ * @access  Private
+ */
+router.post(
+  '/drafts/:draftId/publish',
+  authenticateUser,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [draftIdParam],
+  publishRosterDraft
+);
+
+/**
+ * @route   DELETE /api/scheduler/drafts/:draftId
+ * @desc    Discard a roster draft (shift:assign)
+ * @access  Private
+ */
+router.delete(
+  '/drafts/:draftId',
+  authenticateToken,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [draftIdParam],
+  discardRosterDraft
+);
+
+export default router;
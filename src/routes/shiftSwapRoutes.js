@@ -0,0 +1,122 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  createShiftSwap,
+  getAvailableShiftSwaps,
+  getMyShiftSwaps,
+  acceptShiftSwap,
+  cancelShiftSwap,
+  getShiftSwaps,
+  approveShiftSwap,
+  rejectShiftSwap,
+} from '../controllers/shiftSwapController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission, ShiftSwapType, ShiftSwapStatus } from '../utils/enums.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('swapId', auditEntity('ShiftSwap'));
+
+const swapIdParam = param('swapId').isMongoId().withMessage('Invalid shift swap ID');
+const noteBody = body('note').optional().trim().isLength({ max: 500 }).withMessage('Note is too long');
+
+/**
+ * @route   POST /api/shift-swaps
+ * @desc    Offer one of your upcoming shifts for swap or cover; expires at the shift start at the latest
+ * @access  Private
+ */
+router.post(
+  '/',
+  authenticateUser,
+  [
+    body('shiftAssignmentId').isMongoId().withMessage('Invalid shift assignment ID'),
+    body('type').isIn(Object.values(ShiftSwapType)).withMessage('Invalid shift swap type'),
+    body('expiresAt').optional().isISO8601({ strict: true }).withMessage('expiresAt must be an ISO 8601 date'),
+    noteBody,
+  ],
+  createShiftSwap
+);
+
+/**
+ * @route   GET /api/shift-swaps/available
+ * @desc    Open offers from colleagues with the same role at your location
+ * @access  Private
+ */
+router.get('/available', authenticateUser, getAvailableShiftSwaps);
+
+/**
+ * @route   GET /api/shift-swaps/me
+ * @desc    Offers you made or accepted
+ * @access  Private
+ */
+router.get('/me', authenticateUser, getMyShiftSwaps);
+
+/**
+ * @route   GET /api/shift-swaps?status=
+ * @desc    List offers for shifts at the caller's locations, accepted ones by default (shift:assign)
+ * @access  Private
+ */
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [
+    query('status').optional().isIn(Object.values(ShiftSwapStatus)).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  ],
+  getShiftSwaps
+);
+
+/**
+ * @route   PUT /api/shift-swaps/:swapId/accept
+ * @desc    Accept an open offer; swaps need counterShiftAssignmentId, one of your own upcoming shifts
+ * @access  Private
+ */
+router.put(
+  '/:swapId/accept',
+  authenticateUser,
+  [
+    swapIdParam,
+    body('counterShiftAssignmentId').optional().isMongoId().withMessage('Invalid shift assignment ID'),
+  ],
+  acceptShiftSwap
+);
+
+/**
+ * @route   DELETE /api/shift-swaps/:swapId
+ * @desc    Withdraw your own offer before it is approved
+ * @access  Private
+ */
+router.delete('/:swapId', authenticateUser, [swapIdParam], cancelShiftSwap);
+
+/**
+ * @route   PUT /api/shift-swaps/:swapId/approve
+ * @desc    Approve an accepted offer and update the roster; conflicting offers are rejected (shift:assign)
+ * @access  Private
+ */
+router.put(
+  '/:swapId/approve',
+  authenticateUser,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [swapIdParam],
+  approveShiftSwap
+);
+
+/**
+ * @route   PUT /api/shift-swaps/:swapId/reject
+ * @desc    Reject an accepted offer (shift:assign)
+ * @access  Private
+ */
+router.put(
+  '/:swapId/reject',
+  authenticateUser,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  [swapIdParam, noteBody],
+  rejectShiftSwap
+);
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { authenticateToken } from '../middlewares/authenticate.js';
-import { authorizeRole } from '../middlewares/authorize.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
 import { body, param } from 'express-validator';
 
 import {
@@ -12,15 +14,21 @@ import {
   assignUsersToShopShift,
   restoreShop,
 } from '../controllers/shopController.js';
-import { ShiftType } from '../utils/enums.js';
+import { getLocationShifts, updateLocationShift } from '../controllers/shiftDefinitionController.js';
+import { ShiftType, Permission } from '../utils/enums.js';
+import { validateShiftInput, validateRequirements } from '../services/shiftService.js';
+import { TIME_PATTERN, isValidTimeZone } from '../utils/dates.js';
 
 const router = express.Router();
 
-// POST /api/shops - Create a new shop (Admin only)
+// Snapshot entities before they are changed, for the audit log
+router.param('shopId', auditEntity('Shop'));
+
+// POST /api/shops - Create a new shop (shop:create)
 router.post(
   '/',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.SHOP_CREATE),
  
   createShop
 );
@@ -36,11 +44,11 @@ router.get(
   getShopById
 );
 
-// PUT /api/shops/:shopId - Update a shop (Admin only)
+// PUT /api/shops/:shopId - Update a shop (shop:update)
 router.put(
   '/:shopId',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.SHOP_UPDATE),
   [
     param('shopId').isMongoId().withMessage('Invalid shop ID'),
     body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
@@ -51,30 +59,30 @@ router.put(
       .withMessage('Operating shifts must be an array'),
     body('operatingShifts.*')
       .optional()
-      .isIn(Object.values(ShiftType))
-      .withMessage('Invalid shift type'),
+      .custom(validateShiftInput),
   ],
   updateShop
 );
 
-// DELETE /api/shops/:shopId - Delete a shop (Admin only)
+// DELETE /api/shops/:shopId - Delete a shop (shop:delete)
 router.delete(
   '/:shopId',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.SHOP_DELETE),
   [param('shopId').isMongoId().withMessage('Invalid shop ID')],
   deleteShop
 );
 
 /**
  * @route   POST /api/shops/:shopId/assign-users
- * @desc    Assign multiple users to a shop shift (Admin only)
+ * @desc    Set the default team of a shop shift, copied onto dates through the roster (shift:assign)
  * @access  Private
  */
 router.post(
   '/:shopId/assign-users',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.SHIFT_ASSIGN),
+  requireLocationScope,
   [
     param('shopId').isMongoId().withMessage('Invalid shop ID'),
     body('userIds')
@@ -91,7 +99,48 @@ router.post(
   assignUsersToShopShift
 );
 
-router.put('/:shopId/restore-shop', authenticateToken, restoreShop);
+// PUT /api/shops/:shopId/restore-shop - Restore a soft-deleted shop (shop:restore)
+router.put(
+  '/:shopId/restore-shop',
+  authenticateToken,
+  requirePermission(Permission.SHOP_RESTORE),
+  [param('shopId').isMongoId().withMessage('Invalid shop ID')],
+  restoreShop
+);
 
+/**
+ * @route   GET /api/shops/:shopId/shifts
+ * @desc    Get the shop's shift definitions (start/end time, break, time zone)
+ * @access  Private
+ */
+router.get(
+  '/:shopId/shifts',
+  authenticateToken,
+  [param('shopId').isMongoId().withMessage('Invalid shop ID')],
+  getLocationShifts
+);
+
+/**
+ * @route   PUT /api/shops/:shopId/shifts/:shiftType
+ * @desc    Update the hours or staffing requirements of one of the shop's shifts (shop:update)
+ * @access  Private
+ */
+router.put(
+  '/:shopId/shifts/:shiftType',
+  authenticateToken,
+  requirePermission(Permission.SHOP_UPDATE),
+  [
+    param('shopId').isMongoId().withMessage('Invalid shop ID'),
+    param('shiftType')
+      .isIn(Object.values(ShiftType).filter((shiftType) => shiftType !== ShiftType.BOTH))
+      .withMessage('Invalid shift type'),
+    body('startTime').optional().matches(TIME_PATTERN).withMessage('startTime must be formatted as HH:mm'),
+    body('endTime').optional().matches(TIME_PATTERN).withMessage('endTime must be formatted as HH:mm'),
+    body('breakMinutes').optional().isInt({ min: 0 }).withMessage('breakMinutes must be a positive integer').toInt(),
+    body('timeZone').optional().custom(isValidTimeZone).withMessage('Invalid time zone'),
+    body('requirements').optional().custom(validateRequirements),
+  ],
+  updateLocationShift
+);
 
 export default router;
@@ -0,0 +1,174 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  clockIn,
+  clockOut,
+  startBreak,
+  endBreak,
+  setPin,
+  removePin,
+  getMyTimesheet,
+  getLocationTimesheet,
+  getUserTimesheet,
+  correctTimeEntry,
+} from '../controllers/timeEntryController.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { Permission, TimeEntryStatus } from '../utils/enums.js';
+import { isDateKey } from '../utils/dates.js';
+
+const router = express.Router();
+
+// Snapshot entities before they are changed, for the audit log
+router.param('entryId', auditEntity('TimeEntry'));
+
+// Set to record time for a colleague on a shared device (timesheet:manage and the manager's PIN)
+const clockUserValidators = [
+  body('userId').optional().isMongoId().withMessage('Invalid user ID'),
+  body('pin').optional().isString().withMessage('PIN must be a string'),
+];
+
+const timesheetQueryValidators = [
+  query('from').optional().custom(isDateKey).withMessage('from must be formatted as YYYY-MM-DD'),
+  query('to').optional().custom(isDateKey).withMessage('to must be formatted as YYYY-MM-DD'),
+  query('status').optional().isIn(Object.values(TimeEntryStatus)).withMessage('Invalid status'),
+];
+
+const optionalTimestamp = (field) =>
+  body(field)
+    .optional({ values: 'null' })
+    .isISO8601({ strict: true })
+    .withMessage(`${field} must be an ISO 8601 date`)
+    .toDate();
+
+/**
+ * @route   POST /api/time-entries/clock-in
+ * @desc    Clock in to the scheduled shift starting now (or the given shiftAssignmentId); late arrivals are flagged
+ * @access  Private
+ */
+router.post(
+  '/clock-in',
+  authenticateUser,
+  [...clockUserValidators, body('shiftAssignmentId').optional().isMongoId().withMessage('Invalid shift assignment ID')],
+  clockIn
+);
+
+/**
+ * @route   POST /api/time-entries/clock-out
+ * @desc    Clock out, ending any running break
+ * @access  Private
+ */
+router.post('/clock-out', authenticateUser, clockUserValidators, clockOut);
+
+/**
+ * @route   POST /api/time-entries/breaks/start
+ * @desc    Start a break
+ * @access  Private
+ */
+router.post('/breaks/start', authenticateUser, clockUserValidators, startBreak);
+
+/**
+ * @route   POST /api/time-entries/breaks/end
+ * @desc    End the running break
+ * @access  Private
+ */
+router.post('/breaks/end', authenticateUser, clockUserValidators, endBreak);
+
+/**
+ * @route   PUT /api/time-entries/pin
+ * @desc    Set the PIN used to confirm time recorded for colleagues
+ * @access  Private
+ */
+router.put(
+  '/pin',
+  authenticateUser,
+  [
+    body('pin').matches(/^\d{4,8}$/).withMessage('PIN must be 4 to 8 digits'),
+    body('password').notEmpty().withMessage('Password is required'),
+  ],
+  setPin
+);
+
+/**
+ * @route   DELETE /api/time-entries/pin
+ * @desc    Remove own PIN
+ * @access  Private
+ */
+router.delete('/pin', authenticateUser, removePin);
+
+/**
+ * @route   GET /api/time-entries/me?from=&to=&status=
+ * @desc    Get own timesheet, the current week by default
+ * @access  Private
+ */
+router.get('/me', authenticateUser, timesheetQueryValidators, getMyTimesheet);
+
+/**
+ * @route   GET /api/time-entries/kitchens/:kitchenId?from=&to=&status=
+ * @desc    Timesheet of a kitchen with per-user totals (timesheet:read)
+ * @access  Private
+ */
+router.get(
+  '/kitchens/:kitchenId',
+  authenticateToken,
+  requirePermission(Permission.TIMESHEET_READ),
+  requireLocationScope,
+  [param('kitchenId').isMongoId().withMessage('Invalid kitchen ID'), ...timesheetQueryValidators],
+  getLocationTimesheet
+);
+
+/**
+ * @route   GET /api/time-entries/shops/:shopId?from=&to=&status=
+ * @desc    Timesheet of a shop with per-user totals (timesheet:read)
+ * @access  Private
+ */
+router.get(
+  '/shops/:shopId',
+  authenticateToken,
+  requirePermission(Permission.TIMESHEET_READ),
+  requireLocationScope,
+  [param('shopId').isMongoId().withMessage('Invalid shop ID'), ...timesheetQueryValidators],
+  getLocationTimesheet
+);
+
+/**
+ * @route   GET /api/time-entries/users/:userId?from=&to=&status=
+ * @desc    Timesheet of a user at the caller's locations (timesheet:read)
+ * @access  Private
+ */
+router.get(
+  '/users/:userId',
+  authenticateToken,
+  requirePermission(Permission.TIMESHEET_READ),
+  requireLocationScope,
+  [param('userId').isMongoId().withMessage('Invalid user ID'), ...timesheetQueryValidators],
+  getUserTimesheet
+);
+
+/**
+ * @route   PUT /api/time-entries/:entryId
+ * @desc    Correct clockInAt, clockOutAt or breaks with a reason kept on the entry (timesheet:manage)
+ * @access  Private
+ */
+router.put(
+  '/:entryId',
+  authenticateUser,
+  requirePermission(Permission.TIMESHEET_MANAGE),
+  [
+    param('entryId').isMongoId().withMessage('Invalid time entry ID'),
+    body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 }),
+    optionalTimestamp('clockInAt'),
+    optionalTimestamp('clockOutAt'),
+    body('breaks').optional().isArray().withMessage('Breaks must be an array'),
+    body('breaks.*.startedAt')
+      .isISO8601({ strict: true })
+      .withMessage('Break startedAt must be an ISO 8601 date')
+      .toDate(),
+    optionalTimestamp('breaks.*.endedAt'),
+  ],
+  correctTimeEntry
+);
+
+export default router;
@@ -7,21 +7,34 @@ import {
   deleteUser,
   updateUserAvailability,
   getAssignedAndAvailableUsers,
+  setMustChangePassword,
+  setManagedLocations,
+  getLockouts,
+  clearLockout,
+  uploadImportFile,
+  importUsers,
 } from '../controllers/userController.js';
-import { authenticateToken } from '../middlewares/authenticate.js';
-import { authorizeRole } from '../middlewares/authorize.js';
+import { authenticateToken, authenticateUser } from '../middlewares/authenticate.js';
+import { auditEntity } from '../middlewares/audit.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { requireLocationScope } from '../middlewares/scope.js';
+import { uploadImage } from '../middlewares/upload.js';
+import { Permission, ImportNotification } from '../utils/enums.js';
 
 const router = express.Router();
 
+// Snapshot entities before they are changed, for the audit log
+router.param('userId', auditEntity('User'));
+
 /**
  * @route   GET /api/users
- * @desc    Get all users (Admin only)
+ * @desc    Get all users (user:read)
  * @access  Private
  */
 router.get(
   '/',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.USER_READ),
   [
     query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
     query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
@@ -30,50 +43,91 @@ router.get(
   getAllUsers
 );
 
+/**
+ * @route   GET /api/users/lockouts
+ * @desc    List locked accounts and accounts with failed logins (user:update)
+ * @access  Private
+ */
+router.get('/lockouts', authenticateToken, requirePermission(Permission.USER_UPDATE), getLockouts);
+
 /**
  * @route   GET /api/users/profile
  * @desc    Get own profile
  * @access  Private
  */
-router.get('/profile', authenticateToken, getUserProfile);
+router.get('/profile', authenticateUser, getUserProfile);
 
 /**
  * @route   PUT /api/users/profile
- * @desc    Update own profile
+ * @desc    Update own profile (optionally multipart with an `image` file)
  * @access  Private
  */
 router.put(
   '/profile',
-  authenticateToken,
+  authenticateUser,
+  uploadImage,
   [
     body('email').optional().isEmail().withMessage('Valid email is required').normalizeEmail(),
     body('username').optional().trim().notEmpty().withMessage('Username cannot be empty'),
+    body('password').not().exists().withMessage('Change your password through /api/auth/change-password'),
   ],
   updateUserProfile
 );
 
+/**
+ * @route   POST /api/users/import
+ * @desc    Import staff from a CSV or XLSX (multipart, field `file`). `mapping` is a JSON object of field to
+ *          column header; `dryRun` (default true) only validates; `notify` is invitation or temporaryPassword
+ *          (user:invite)
+ * @access  Private
+ */
+router.post(
+  '/import',
+  authenticateUser,
+  requirePermission(Permission.USER_INVITE),
+  uploadImportFile,
+  [
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be a boolean').toBoolean(),
+    body('notify').optional().isIn(Object.values(ImportNotification)).withMessage('Invalid notify option'),
+    body('mapping')
+      .optional()
+      .customSanitizer((value) => {
+        if (typeof value !== 'string') return value;
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return null;
+        }
+      })
+      .custom((value) => value !== null && typeof value === 'object' && !Array.isArray(value))
+      .withMessage('mapping must be a JSON object of field to column header'),
+  ],
+  importUsers
+);
+
 /**
  * @route   DELETE /api/users/:userId
- * @desc    Delete a user (Admin only)
+ * @desc    Delete a user (user:delete)
  * @access  Private
  */
 router.delete(
   '/:userId',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.USER_DELETE),
   [param('userId').isMongoId().withMessage('Invalid user ID')],
   deleteUser
 );
 
 /**
  * @route   PUT /api/users/:userId/availability
- * @desc    Update user availability (Admin only)
+ * @desc    Update user availability (user:availability)
  * @access  Private
  */
 router.put(
   '/:userId/availability',
   authenticateToken,
-  authorizeRole('Admin'),
+  requirePermission(Permission.USER_AVAILABILITY),
+  requireLocationScope,
   [
     param('userId').isMongoId().withMessage('Invalid user ID'),
     body('isAvailable').isBoolean().withMessage('isAvailable must be a boolean'),
@@ -82,5 +136,66 @@ router.put(
   updateUserAvailability
 );
 
-router.get('/assigned-available/:entityType/:entityId',authenticateToken, authorizeRole('Admin'),getAssignedAndAvailableUsers);
+/**
+ * @route   PUT /api/users/:userId/must-change-password
+ * @desc    Force a user to change their password at next use (user:update)
+ * @access  Private
+ */
+router.put(
+  '/:userId/must-change-password',
+  authenticateToken,
+  requirePermission(Permission.USER_UPDATE),
+  requireLocationScope,
+  [
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('mustChangePassword').isBoolean().withMessage('mustChangePassword must be a boolean').toBoolean(),
+  ],
+  setMustChangePassword
+);
+
+/**
+ * @route   GET /api/users/assigned-available/:entityType/:entityId
+ * @desc    Get assigned and available users for a kitchen or shop (shift:assign)
+ * @access  Private
+ */
+router.get(
+  '/assigned-available/:entityType/:entityId',
+  authenticateToken,
+  requirePermission(Permission.SHIFT_ASSIGN),
+  requireLocationScope,
+  getAssignedAndAvailableUsers
+);
+
+/**
+ * @route   DELETE /api/users/:userId/lockout
+ * @desc    Unlock an account (user:update)
+ * @access  Private
+ */
+router.delete(
+  '/:userId/lockout',
+  authenticateUser,
+  requirePermission(Permission.USER_UPDATE),
+  requireLocationScope,
+  [param('userId').isMongoId().withMessage('Invalid user ID')],
+  clearLockout
+);
+
+/**
+ * @route   PUT /api/users/:userId/managed-locations
+ * @desc    Set the kitchens and shops a manager is responsible for (user:update, location:all)
+ * @access  Private
+ */
+router.put(
+  '/:userId/managed-locations',
+  authenticateToken,
+  requirePermission(Permission.USER_UPDATE, Permission.LOCATION_ALL),
+  [
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('kitchenIds').optional().isArray().withMessage('kitchenIds must be an array'),
+    body('kitchenIds.*').isMongoId().withMessage('Invalid kitchen ID in kitchenIds'),
+    body('shopIds').optional().isArray().withMessage('shopIds must be an array'),
+    body('shopIds.*').isMongoId().withMessage('Invalid shop ID in shopIds'),
+  ],
+  setManagedLocations
+);
 export default router;
@@ -0,0 +1,24 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { getVisaExpiries } from '../controllers/visaController.js';
+import { authenticateToken } from '../middlewares/authenticate.js';
+import { requirePermission } from '../middlewares/authorize.js';
+import { Permission } from '../utils/enums.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/visas/expiries?days=
+ * @desc    List lapsed visas and documents, and those expiring within `days` (the largest alert window
+ *          by default), grouped by nationality and location (user:read)
+ * @access  Private
+ */
+router.get(
+  '/expiries',
+  authenticateToken,
+  requirePermission(Permission.USER_READ),
+  [query('days').optional().isInt({ min: 0, max: 730 }).withMessage('days must be between 0 and 730').toInt()],
+  getVisaExpiries
+);
+
+export default router;
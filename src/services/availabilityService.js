@@ -0,0 +1,101 @@
+import Kitchen from '../models/Kitchen.js';
+import Shop from '../models/Shop.js';
+import AvailabilityHistory from '../models/AvailabilityHistory.js';
+import UserHistory from '../models/UserHistory.js';
+import { AvailabilityStatus, ActionType } from '../utils/enums.js';
+import { removeUserFromShifts } from './rosterService.js';
+import { sendAvailabilityNotification } from '../controllers/notificationController.js';
+
+const currentStatus = (user) =>
+  user.computedIsAvailable ? AvailabilityStatus.AVAILABLE : AvailabilityStatus.UNAVAILABLE;
+
+// Write the AvailabilityHistory and UserHistory entries for the user's
+// availability (current unless a status and date are given) and link them to
+// the user. The caller saves the user.
+export const recordAvailabilityChange = async (
+  user,
+  reason,
+  session,
+  { date = new Date(), status = currentStatus(user) } = {}
+) => {
+  const availabilityRecord = await new AvailabilityHistory({
+    user: user._id,
+    date,
+    status,
+    reason,
+  }).save({ session });
+
+  const userHistoryRecord = await new UserHistory({
+    user: user._id,
+    action: ActionType.AVAILABILITY_UPDATED,
+    details: { status, reason, date },
+  }).save({ session });
+
+  user.availabilityHistory.push(availabilityRecord._id);
+  user.history.push(userHistoryRecord._id);
+
+  return availabilityRecord;
+};
+
+// Remove an unavailable user from their work. Without a date range the user
+// leaves their kitchen/shop teams and every upcoming dated shift; with one
+// (e.g. approved leave) only the dated shifts in that range are dropped.
+export const handleUserUnavailability = async (user, session, { from, to } = {}) => {
+  if (from) {
+    await removeUserFromShifts(user._id, session, { from, to });
+    return;
+  }
+
+  // Remove user from kitchen teams
+  if (user.kitchenId) {
+    const kitchen = await Kitchen.findById(user.kitchenId).session(session);
+    if (kitchen) {
+      for (const [shiftType, team] of kitchen.teams) {
+        const index = team.indexOf(user._id);
+        if (index !== -1) {
+          team.splice(index, 1);
+          kitchen.teams.set(shiftType, team);
+        }
+      }
+      await kitchen.save({ session });
+    }
+    user.kitchenId = undefined;
+  }
+
+  // Remove user from shop teams
+  if (user.shopId) {
+    const shop = await Shop.findById(user.shopId).session(session);
+    if (shop) {
+      for (const [shiftType, team] of shop.teams) {
+        const index = team.indexOf(user._id);
+        if (index !== -1) {
+          team.splice(index, 1);
+          shop.teams.set(shiftType, team);
+        }
+      }
+      await shop.save({ session });
+    }
+    user.shopId = undefined;
+  }
+
+  // Remove user from upcoming dated shifts
+  await removeUserFromShifts(user._id, session);
+
+  // Update user document
+  await user.save({ session });
+};
+
+// Set or clear a user's manual unavailability: record the change, take an
+// unavailable user off their work and notify them
+export const setManualAvailability = async (user, isAvailable, reason, session) => {
+  user.manualAvailability = isAvailable ? null : AvailabilityStatus.UNAVAILABLE;
+
+  await recordAvailabilityChange(user, reason, session);
+  await user.save({ session });
+
+  if (!user.computedIsAvailable) {
+    await handleUserUnavailability(user, session);
+  }
+
+  await sendAvailabilityNotification(user, user.computedIsAvailable, reason, 'ManualUpdate', session);
+};
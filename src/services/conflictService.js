@@ -0,0 +1,236 @@
+import User from '../models/User.js';
+import RoleModel from '../models/Role.js';
+import Kitchen from '../models/Kitchen.js';
+import Shop from '../models/Shop.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import ShiftDefinition from '../models/ShiftDefinition.js';
+import LeaveRequest from '../models/LeaveRequest.js';
+import {
+  AvailabilityStatus,
+  ConflictCode,
+  ConflictSeverity,
+  LeaveStatus,
+  LocationType,
+  ShiftType,
+} from '../utils/enums.js';
+import { addDays, toDateKey } from '../utils/dates.js';
+import { expandShiftType, getShiftInterval } from './shiftService.js';
+import { withShiftTimes } from './rosterService.js';
+
+const conflict = (code, severity, user, message, details = {}) => ({
+  code,
+  severity,
+  user: { _id: user._id, username: user.username },
+  message,
+  ...details,
+});
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+// Conflicts that depend only on the user: availability and whether their role
+// may work at this type of location
+const getUserConflicts = async (users, locationType, session) => {
+  const roles = await RoleModel.find({ name: { $in: [...new Set(users.map((user) => user.role))] } })
+    .select('name locationTypes')
+    .session(session || null)
+    .lean();
+  const locationTypesByRole = new Map(roles.map((role) => [role.name, role.locationTypes || []]));
+
+  const conflicts = [];
+  for (const user of users) {
+    if (user.manualAvailability === AvailabilityStatus.UNAVAILABLE) {
+      conflicts.push(
+        conflict(ConflictCode.USER_UNAVAILABLE, ConflictSeverity.ERROR, user, `${user.username} is marked unavailable`)
+      );
+    }
+
+    const allowed = locationTypesByRole.get(user.role) || [];
+    if (allowed.length > 0 && !allowed.includes(locationType)) {
+      conflicts.push(
+        conflict(
+          ConflictCode.ROLE_LOCATION_MISMATCH,
+          ConflictSeverity.ERROR,
+          user,
+          `${user.role} ${user.username} cannot work at a ${locationType.toLowerCase()}`,
+          { role: user.role, allowedLocationTypes: allowed }
+        )
+      );
+    }
+  }
+  return conflicts;
+};
+
+const findUsers = (userIds, session) =>
+  User.find({ _id: { $in: userIds } })
+    .select('username role manualAvailability kitchenId shopId')
+    .session(session || null)
+    .lean();
+
+// Check users about to join one dated shift. Approved leave and overlapping
+// shifts at another location are errors; overlapping shifts at the same
+// location are flagged.
+export const checkShiftConflicts = async ({ location, locationType, date, shiftType, userIds, session }) => {
+  if (userIds.length === 0) return [];
+
+  const users = await findUsers(userIds, session);
+  const conflicts = await getUserConflicts(users, locationType, session);
+
+  const leaves = await LeaveRequest.find({
+    user: { $in: userIds },
+    status: LeaveStatus.APPROVED,
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+  })
+    .session(session || null)
+    .lean();
+  for (const leave of leaves) {
+    const user = users.find((entry) => entry._id.equals(leave.user));
+    conflicts.push(
+      conflict(ConflictCode.ON_LEAVE, ConflictSeverity.ERROR, user, `${user.username} is on ${leave.type} leave`, {
+        leaveRequest: {
+          _id: leave._id,
+          type: leave.type,
+          startDate: toDateKey(leave.startDate),
+          endDate: toDateKey(leave.endDate),
+        },
+      })
+    );
+  }
+
+  const definition = await ShiftDefinition.findOne({ location: location._id, shiftType })
+    .session(session || null)
+    .lean();
+  const interval = definition ? getShiftInterval(definition, date) : null;
+
+  // Overnight shifts can reach into the neighbouring days
+  const others = await withShiftTimes(
+    await ShiftAssignment.find({
+      users: { $in: userIds },
+      date: { $gte: addDays(date, -1), $lte: addDays(date, 1) },
+    })
+      .populate('location', 'name')
+      .session(session || null)
+      .lean(),
+    session
+  );
+
+  for (const other of others) {
+    if (!other.location) continue;
+    const sameShift =
+      other.location._id.equals(location._id) &&
+      toDateKey(other.date) === toDateKey(date) &&
+      other.shiftType === shiftType;
+    if (sameShift) continue;
+
+    const clashes =
+      interval && other.startsAt
+        ? overlaps(interval, other)
+        : toDateKey(other.date) === toDateKey(date) && other.shiftType === shiftType;
+    if (!clashes) continue;
+
+    const sameLocation = other.location._id.equals(location._id);
+    const otherDate = toDateKey(other.date);
+    for (const user of users.filter((entry) => other.users.some((id) => id.equals(entry._id)))) {
+      conflicts.push(
+        conflict(
+          ConflictCode.OVERLAPPING_SHIFT,
+          sameLocation ? ConflictSeverity.WARNING : ConflictSeverity.ERROR,
+          user,
+          `${user.username} already works the ${other.shiftType} shift at ${other.location.name} on ${otherDate}`,
+          {
+            conflictingShift: {
+              locationType: other.locationType,
+              location: other.location._id,
+              date: otherDate,
+              shiftType: other.shiftType,
+              startsAt: other.startsAt,
+              endsAt: other.endsAt,
+            },
+          }
+        )
+      );
+    }
+  }
+
+  return conflicts;
+};
+
+// Check users about to join a location's default pattern team for a shift type
+export const checkPatternConflicts = async ({ location, locationType, shiftType, userIds, session }) => {
+  if (userIds.length === 0) return [];
+
+  const users = await findUsers(userIds, session);
+  const conflicts = await getUserConflicts(users, locationType, session);
+
+  // Pattern teams elsewhere that share a real shift with this one (Both covers Morning and Afternoon)
+  const components = expandShiftType(shiftType);
+  const overlappingTypes = Object.values(ShiftType).filter((type) =>
+    expandShiftType(type).some((component) => components.includes(component))
+  );
+  const teamQuery = (excludeId) => ({
+    isDeleted: false,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    $or: overlappingTypes.map((type) => ({ [`teams.${type}`]: { $in: userIds } })),
+  });
+  const ownId = location._id;
+  const [kitchens, shops] = await Promise.all([
+    Kitchen.find(teamQuery(locationType === LocationType.KITCHEN && ownId))
+      .select('name teams')
+      .session(session || null),
+    Shop.find(teamQuery(locationType === LocationType.SHOP && ownId))
+      .select('name teams')
+      .session(session || null),
+  ]);
+
+  for (const [otherType, others] of [[LocationType.KITCHEN, kitchens], [LocationType.SHOP, shops]]) {
+    for (const other of others) {
+      for (const type of overlappingTypes) {
+        const team = (other.teams.get(type) || []).map((id) => id.toString());
+        for (const user of users.filter((entry) => team.includes(entry._id.toString()))) {
+          conflicts.push(
+            conflict(
+              ConflictCode.OVERLAPPING_SHIFT,
+              ConflictSeverity.ERROR,
+              user,
+              `${user.username} is already on the ${type} team at ${other.name}`,
+              { conflictingShift: { locationType: otherType, location: other._id, shiftType: type } }
+            )
+          );
+        }
+      }
+    }
+  }
+
+  // Joining a team moves the user's home location; flag users who already belong elsewhere
+  const homeField = locationType === LocationType.KITCHEN ? 'kitchenId' : 'shopId';
+  const otherField = locationType === LocationType.KITCHEN ? 'shopId' : 'kitchenId';
+  for (const user of users) {
+    const homeElsewhere = user[homeField] && !user[homeField].equals(ownId);
+    if (homeElsewhere || user[otherField]) {
+      conflicts.push(
+        conflict(
+          ConflictCode.ASSIGNED_ELSEWHERE,
+          ConflictSeverity.WARNING,
+          user,
+          `${user.username} is already assigned to another location`,
+          { kitchenId: user.kitchenId, shopId: user.shopId }
+        )
+      );
+    }
+  }
+
+  return conflicts;
+};
+
+// Throw a 409 carrying the conflicts if any of them is an error; otherwise
+// return the warnings so they can be shown with the result
+export const assertNoConflicts = (conflicts) => {
+  const errors = conflicts.filter((entry) => entry.severity === ConflictSeverity.ERROR);
+  if (errors.length > 0) {
+    const error = new Error('Assignment conflicts with existing schedules');
+    error.status = 409;
+    error.conflicts = errors;
+    throw error;
+  }
+  return conflicts.filter((entry) => entry.severity === ConflictSeverity.WARNING);
+};
@@ -0,0 +1,112 @@
+import User from '../models/User.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import ShiftDefinition from '../models/ShiftDefinition.js';
+import { StaffingStatus } from '../utils/enums.js';
+import { eachDay, toDateKey, toUtcDate } from '../utils/dates.js';
+import { expandShiftType, getShiftInterval } from './shiftService.js';
+
+const countByRole = (users) => {
+  const counts = new Map();
+  for (const user of users) counts.set(user.role, (counts.get(user.role) || 0) + 1);
+  return counts;
+};
+
+// Compare a team (users with a role) against a shift's requirements. Shifts
+// without requirements never produce warnings; roles that are not required
+// at all count as overstaffed.
+export const getStaffingWarnings = (definition, users) => {
+  if (!definition?.requirements?.length) return [];
+
+  const assigned = countByRole(users);
+  const warnings = [];
+
+  for (const { role, count } of definition.requirements) {
+    const assignedCount = assigned.get(role) || 0;
+    if (assignedCount !== count) {
+      warnings.push({
+        shiftType: definition.shiftType,
+        role,
+        required: count,
+        assigned: assignedCount,
+        status: assignedCount < count ? StaffingStatus.UNDERSTAFFED : StaffingStatus.OVERSTAFFED,
+      });
+    }
+  }
+
+  const requiredRoles = definition.requirements.map((requirement) => requirement.role);
+  for (const [role, assignedCount] of assigned) {
+    if (!requiredRoles.includes(role)) {
+      warnings.push({
+        shiftType: definition.shiftType,
+        role,
+        required: 0,
+        assigned: assignedCount,
+        status: StaffingStatus.OVERSTAFFED,
+      });
+    }
+  }
+
+  return warnings;
+};
+
+// Staffing warnings for a team put on a shift type (Both checks Morning and Afternoon)
+export const getTeamWarnings = async ({ locationId, shiftType, userIds, session }) => {
+  const [definitions, users] = await Promise.all([
+    ShiftDefinition.find({ location: locationId, shiftType: { $in: expandShiftType(shiftType) } })
+      .session(session || null)
+      .lean(),
+    User.find({ _id: { $in: userIds } })
+      .select('role')
+      .session(session || null)
+      .lean(),
+  ]);
+
+  return definitions.flatMap((definition) => getStaffingWarnings(definition, users));
+};
+
+// Every understaffed dated shift between two days. Shifts with requirements
+// but no assignment yet count as fully unstaffed.
+export const getCoverageReport = async ({ from, to, locationType, locationIds }) => {
+  const definitionQuery = {
+    'requirements.0': { $exists: true },
+    ...(locationType && { locationType }),
+    ...(locationIds && { location: { $in: locationIds } }),
+  };
+  const definitions = await ShiftDefinition.find(definitionQuery).populate('location', 'name isDeleted').lean();
+  const activeDefinitions = definitions.filter((definition) => definition.location && !definition.location.isDeleted);
+
+  const assignments = await ShiftAssignment.find({
+    location: { $in: activeDefinitions.map((definition) => definition.location._id) },
+    date: { $gte: toUtcDate(from), $lte: toUtcDate(to) },
+  })
+    .populate('users', 'role')
+    .lean();
+  const teams = new Map(
+    assignments.map((assignment) => [
+      `${assignment.location}|${toDateKey(assignment.date)}|${assignment.shiftType}`,
+      assignment.users,
+    ])
+  );
+
+  const shifts = [];
+  for (const day of eachDay(from, to)) {
+    for (const definition of activeDefinitions) {
+      const team = teams.get(`${definition.location._id}|${toDateKey(day)}|${definition.shiftType}`) || [];
+      const shortages = getStaffingWarnings(definition, team).filter(
+        (warning) => warning.status === StaffingStatus.UNDERSTAFFED
+      );
+      if (shortages.length === 0) continue;
+
+      shifts.push({
+        locationType: definition.locationType,
+        location: { _id: definition.location._id, name: definition.location.name },
+        date: toDateKey(day),
+        shiftType: definition.shiftType,
+        ...getShiftInterval(definition, day),
+        shortages: shortages.map(({ role, required, assigned }) => ({ role, required, assigned })),
+      });
+    }
+  }
+
+  return shifts.sort((a, b) => a.startsAt - b.startsAt);
+};
@@ -0,0 +1,72 @@
+import { DocumentType } from '../utils/enums.js';
+import { updateVisaExpiry } from './visaService.js';
+
+// Accepted files, by MIME type and the extensions that go with it
+export const DOCUMENT_FILE_TYPES = {
+  'application/pdf': ['.pdf'],
+  'image/jpeg': ['.jpg', '.jpeg'],
+  'image/png': ['.png'],
+};
+
+export const getMaxDocumentSize = () => (parseInt(process.env.DOCUMENT_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Copy a verified visa's expiry date to the user for visa tracking
+const syncVisaExpiry = async (document, expiryDate, session) => {
+  if (document.type === DocumentType.VISA && expiryDate) {
+    await updateVisaExpiry(document.user, expiryDate, session);
+  }
+};
+
+// Add a stored file as the latest version of a document (new or existing) and
+// save it. The latest version's dates become the document's. Only verified
+// versions (see verifyDocumentVersion) update the user's visa expiry, so users
+// cannot lift an expired-visa lockout by uploading a visa themselves.
+export const addDocumentVersion = async (
+  document,
+  file,
+  { issueDate, expiryDate, notes },
+  { actorId, verified },
+  session
+) => {
+  const version = (document.versions.at(-1)?.version || 0) + 1;
+  document.versions.push({
+    version,
+    storageKey: file.storageKey,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    issueDate,
+    expiryDate,
+    notes,
+    uploadedBy: actorId,
+    ...(verified && { verifiedBy: actorId, verifiedAt: new Date() }),
+  });
+  document.currentVersion = version;
+  document.issueDate = issueDate;
+  document.expiryDate = expiryDate;
+  await document.save({ session });
+
+  if (verified) await syncVisaExpiry(document, expiryDate, session);
+
+  return document;
+};
+
+// Mark the current version of a document as verified and apply a visa's expiry date
+export const verifyDocumentVersion = async (document, actorId, session) => {
+  const version = document.versions.find((entry) => entry.version === document.currentVersion);
+  if (!version) throw httpError(404, 'Document version not found');
+  if (version.verifiedAt) throw httpError(409, 'The current version is already verified');
+
+  version.verifiedBy = actorId;
+  version.verifiedAt = new Date();
+  await document.save({ session });
+
+  await syncVisaExpiry(document, version.expiryDate, session);
+  return document;
+};
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import { saveBuffer, readFile, removeFile, getFileUrl } from './storageService.js';
+
+// Longest side of each stored variant, in pixels
+export const IMAGE_VARIANTS = {
+  thumbnail: 128,
+  medium: 512,
+  large: 1280,
+};
+
+// Formats accepted from clients, detected from the file content rather than its name
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'avif', 'heif', 'tiff'];
+const FORMAT_MESSAGE = 'image must be a JPEG, PNG, WebP, GIF, AVIF, HEIF or TIFF image';
+
+// Guards against decompression bombs: tiny files that decode to huge images
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const WEBP_QUALITY = 82;
+
+const httpError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Check that a buffer holds an image we accept, whatever its name or MIME type says
+const sniffImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw httpError(FORMAT_MESSAGE);
+  }
+
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) throw httpError(FORMAT_MESSAGE);
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw httpError(`image must be at most ${MAX_INPUT_PIXELS / 1e6} megapixels`);
+  }
+};
+
+// Resize an image into every variant as WebP. Images are rotated upright
+// first; EXIF, GPS and other metadata are not copied to the output.
+export const renderImageVariants = async (buffer) => {
+  await sniffImage(buffer);
+
+  const variants = {};
+  for (const [variant, size] of Object.entries(IMAGE_VARIANTS)) {
+    try {
+      variants[variant] = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer();
+    } catch (error) {
+      throw httpError('image could not be processed, it may be corrupt');
+    }
+  }
+  return variants;
+};
+
+const storeVariants = async (variants, folder) => {
+  const id = crypto.randomUUID();
+  const image = {};
+  try {
+    for (const [variant, buffer] of Object.entries(variants)) {
+      image[variant] = await saveBuffer(buffer, `${folder}/${id}/${variant}.webp`, 'image/webp');
+    }
+  } catch (error) {
+    await removeImage(image);
+    throw error;
+  }
+  return image;
+};
+
+// Validate, resize and store an uploaded image (multer memory storage) under
+// `folder`; returns the storage keys of its variants
+export const saveImage = async (file, folder) => storeVariants(await renderImageVariants(file.buffer), folder);
+
+// Delete every stored variant of an image (or an image stored before variants existed)
+export const removeImage = async (image) => {
+  if (!image) return;
+  const keys = typeof image === 'string' ? [image] : Object.values(image);
+  await Promise.all(keys.map(removeFile));
+};
+
+// Signed URL of each variant; images stored before variants existed use their one file for all
+export const getImageUrls = async (image) => {
+  if (typeof image === 'string') {
+    const url = await getFileUrl(image);
+    return Object.fromEntries(Object.keys(IMAGE_VARIANTS).map((variant) => [variant, url]));
+  }
+
+  const variants = Object.keys(IMAGE_VARIANTS).filter((variant) => image?.[variant]);
+  if (variants.length === 0) return undefined;
+  return Object.fromEntries(
+    await Promise.all(variants.map(async (variant) => [variant, await getFileUrl(image[variant])]))
+  );
+};
+
+// Copy of a document (or each of a list) with `image` replaced by the signed URLs of its variants
+export const withImageUrls = async (docs) => {
+  const sign = async (doc) => {
+    if (!doc) return doc;
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+    plain.image = await getImageUrls(plain.image);
+    return plain;
+  };
+  return Array.isArray(docs) ? Promise.all(docs.map(sign)) : sign(docs);
+};
+
+// Users, kitchens and shops used to store images as a single uploaded file;
+// convert them into WebP variants. Images that cannot be converted keep
+// working as a single file and are retried on the next start.
+export const migrateLegacyImages = async () => {
+  for (const modelName of ['User', 'Kitchen', 'Shop']) {
+    const collection = mongoose.model(modelName).collection;
+    const docs = await collection.find({ image: { $type: 'string' } }, { projection: { image: 1 } }).toArray();
+
+    for (const doc of docs) {
+      try {
+        const buffer = await readFile(doc.image);
+        if (!buffer) throw new Error('file not found');
+
+        const image = await storeVariants(await renderImageVariants(buffer), modelName.toLowerCase() + 's');
+        const { modifiedCount } = await collection.updateOne({ _id: doc._id, image: doc.image }, { $set: { image } });
+        await removeImage(modifiedCount ? doc.image : image); // the image changed meanwhile
+      } catch (error) {
+        console.error(`Error converting the image of ${modelName} ${doc._id}:`, error.message);
+      }
+    }
+  }
+};
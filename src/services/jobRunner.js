@@ -0,0 +1,95 @@
+import os from 'os';
+import JobState from '../models/JobState.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// How often the runner looks for due jobs
+const POLL_MS = MINUTE_MS;
+
+// Identifies this process in JobState.lockedBy
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+let polling = false;
+
+// Register a job to run every intervalMinutes. Jobs with runAtStartup run as
+// soon as the runner starts; others wait one interval.
+export const registerJob = ({ name, intervalMinutes, run, runAtStartup = false }) => {
+  jobs.set(name, { name, intervalMinutes, run, runAtStartup });
+};
+
+// Claim a job if it is due and no other process holds it. The lock expires
+// after one interval so a crashed process does not block the job forever.
+const claimJob = (job, now) =>
+  JobState.findOneAndUpdate(
+    {
+      name: job.name,
+      nextRunAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    {
+      $set: {
+        lockedUntil: new Date(now.getTime() + job.intervalMinutes * MINUTE_MS),
+        lockedBy: WORKER_ID,
+        lastRunAt: now,
+      },
+      $inc: { runCount: 1 },
+    },
+    { new: true }
+  ).lean();
+
+const runJob = async (job) => {
+  const now = new Date();
+  if (!(await claimJob(job, now))) return;
+
+  let lastError = null;
+  try {
+    await job.run();
+  } catch (error) {
+    lastError = error.message;
+    console.error(`Error running job ${job.name}:`, error);
+  }
+
+  await JobState.updateOne(
+    { name: job.name, lockedBy: WORKER_ID },
+    {
+      $set: {
+        nextRunAt: new Date(now.getTime() + job.intervalMinutes * MINUTE_MS),
+        lockedUntil: null,
+        lockedBy: null,
+        lastError,
+        ...(!lastError && { lastSuccessAt: new Date() }),
+      },
+    }
+  );
+};
+
+const runDueJobs = async () => {
+  if (polling) return; // the previous poll is still running a job
+  polling = true;
+  try {
+    for (const job of jobs.values()) {
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`Error scheduling job ${job.name}:`, error);
+      }
+    }
+  } finally {
+    polling = false;
+  }
+};
+
+// Create the state of registered jobs and poll for due ones
+export const startJobRunner = async () => {
+  const now = new Date();
+  for (const job of jobs.values()) {
+    const update = job.runAtStartup
+      ? { $min: { nextRunAt: now } }
+      : { $setOnInsert: { nextRunAt: new Date(now.getTime() + job.intervalMinutes * MINUTE_MS) } };
+    await JobState.updateOne({ name: job.name }, update, { upsert: true });
+  }
+
+  await runDueJobs();
+  setInterval(runDueJobs, POLL_MS);
+};
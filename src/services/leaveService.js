@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import UserHistory from '../models/UserHistory.js';
+import LeaveRequest from '../models/LeaveRequest.js';
+import { ActionType, AvailabilityStatus, LeaveStatus } from '../utils/enums.js';
+import { eachDay, toDateKey, today } from '../utils/dates.js';
+import { recordAvailabilityChange, handleUserUnavailability } from './availabilityService.js';
+import { createUserNotification } from '../controllers/notificationController.js';
+
+const describeLeave = (leave) =>
+  `${leave.type} leave from ${toDateKey(leave.startDate)} to ${toDateKey(leave.endDate)}`;
+
+// Pending or approved leave of the user that shares at least one day with the range
+export const findOverlappingLeave = (userId, from, to, session) =>
+  LeaveRequest.findOne({
+    user: userId,
+    status: { $in: [LeaveStatus.PENDING, LeaveStatus.APPROVED] },
+    startDate: { $lte: to },
+    endDate: { $gte: from },
+  }).session(session || null);
+
+// Days ('YYYY-MM-DD') each user has approved leave between two dates
+export const getApprovedLeaveDays = async (userIds, from, to, session) => {
+  const leaves = await LeaveRequest.find({
+    user: { $in: userIds },
+    status: LeaveStatus.APPROVED,
+    startDate: { $lte: to },
+    endDate: { $gte: from },
+  })
+    .session(session || null)
+    .lean();
+
+  const days = new Map();
+  for (const leave of leaves) {
+    const userDays = days.get(leave.user.toString()) || new Set();
+    eachDay(leave.startDate, leave.endDate).forEach((day) => userDays.add(toDateKey(day)));
+    days.set(leave.user.toString(), userDays);
+  }
+  return days;
+};
+
+// Mark the user unavailable for a leave that has started (the availability
+// history entry is written on approval). A user who is already unavailable,
+// e.g. set by an admin or for a lapsed visa, is left as is.
+const startLeave = async (leave, user, session) => {
+  if (user.manualAvailability !== AvailabilityStatus.UNAVAILABLE) {
+    user.manualAvailability = AvailabilityStatus.UNAVAILABLE;
+    await user.save({ session });
+    leave.availabilityChanged = true;
+  }
+
+  leave.availabilityAppliedAt = new Date();
+  await leave.save({ session });
+};
+
+// Make the user available again once their leave is over, if the leave made them
+// unavailable. When another leave has started it takes over restoring availability.
+const endLeave = async (leave, user, session) => {
+  const otherLeave = await LeaveRequest.findOne({
+    _id: { $ne: leave._id },
+    user: user._id,
+    status: LeaveStatus.APPROVED,
+    availabilityAppliedAt: { $ne: null },
+    availabilityRestoredAt: null,
+  }).session(session);
+
+  if (otherLeave && leave.availabilityChanged) {
+    otherLeave.availabilityChanged = true;
+    await otherLeave.save({ session });
+  } else if (!otherLeave && leave.availabilityChanged && !user.visaLapsedFor) {
+    user.manualAvailability = null;
+    await recordAvailabilityChange(user, `Returned from ${describeLeave(leave)}`, session);
+    await user.save({ session });
+    await createUserNotification(user._id, `Your ${describeLeave(leave)} has ended. You are available again.`, session);
+  }
+
+  leave.availabilityRestoredAt = new Date();
+  await leave.save({ session });
+};
+
+// Approve a pending request: drop the user from their shifts on those days,
+// mark them unavailable if the leave has already started and notify them
+export const approveLeave = async ({ leave, actorId, note, session }) => {
+  const user = await User.findById(leave.user).session(session);
+  if (!user) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+
+  leave.status = LeaveStatus.APPROVED;
+  leave.reviewedBy = actorId;
+  leave.reviewedAt = new Date();
+  leave.reviewNote = note;
+  await leave.save({ session });
+
+  const userHistory = await new UserHistory({
+    user: user._id,
+    action: ActionType.LEAVE_APPROVED,
+    details: {
+      leaveRequestId: leave._id,
+      type: leave.type,
+      startDate: toDateKey(leave.startDate),
+      endDate: toDateKey(leave.endDate),
+    },
+  }).save({ session });
+  user.history.push(userHistory._id);
+  await recordAvailabilityChange(user, `On ${describeLeave(leave)}`, session, {
+    date: leave.startDate,
+    status: AvailabilityStatus.UNAVAILABLE,
+  });
+  await user.save({ session });
+
+  await handleUserUnavailability(user, session, { from: leave.startDate, to: leave.endDate });
+
+  if (leave.startDate <= today()) {
+    await startLeave(leave, user, session);
+    if (leave.endDate < today()) await endLeave(leave, user, session);
+  }
+
+  await createUserNotification(user._id, `Your ${describeLeave(leave)} has been approved.`, session);
+};
+
+export const rejectLeave = async ({ leave, actorId, note, session }) => {
+  leave.status = LeaveStatus.REJECTED;
+  leave.reviewedBy = actorId;
+  leave.reviewedAt = new Date();
+  leave.reviewNote = note;
+  await leave.save({ session });
+
+  const userHistory = await new UserHistory({
+    user: leave.user,
+    action: ActionType.LEAVE_REJECTED,
+    details: { leaveRequestId: leave._id, type: leave.type, reason: note },
+  }).save({ session });
+  await User.updateOne({ _id: leave.user }, { $push: { history: userHistory._id } }, { session });
+
+  await createUserNotification(
+    leave.user,
+    `Your ${describeLeave(leave)} has been rejected.${note ? ` Reason: ${note}` : ''}`,
+    session
+  );
+};
+
+// Start approved leave whose first day has come and end leave whose last day
+// has passed. Runs periodically; each leave is handled in its own transaction.
+export const syncLeaveAvailability = async () => {
+  const day = today();
+  const [starting, ending] = await Promise.all([
+    LeaveRequest.find({
+      status: LeaveStatus.APPROVED,
+      startDate: { $lte: day },
+      endDate: { $gte: day },
+      availabilityAppliedAt: null,
+    }),
+    LeaveRequest.find({
+      status: LeaveStatus.APPROVED,
+      endDate: { $lt: day },
+      availabilityAppliedAt: { $ne: null },
+      availabilityRestoredAt: null,
+    }),
+  ]);
+
+  for (const [leaves, apply] of [[starting, startLeave], [ending, endLeave]]) {
+    for (const leave of leaves) {
+      const session = await mongoose.startSession();
+      session.startTransaction();
+      try {
+        const user = await User.findById(leave.user).session(session);
+        if (user) await apply(leave, user, session);
+        await session.commitTransaction();
+      } catch (error) {
+        await session.abortTransaction();
+        console.error(`Error updating availability for leave request ${leave._id}:`, error);
+      } finally {
+        session.endSession();
+      }
+    }
+  }
+};
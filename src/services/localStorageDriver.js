@@ -0,0 +1,47 @@
+import fs from 'fs';
+import path from 'path';
+
+// Stores files on local disk under `root`. Files are not publicly served;
+// storageService signs URLs to the /api/files route for them.
+export const createLocalStorageDriver = ({ root }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      const error = new Error('Invalid file key');
+      error.status = 400;
+      throw error;
+    }
+    return filePath;
+  };
+
+  return {
+    put: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+    },
+
+    // Readable stream of a file, or null if it does not exist
+    open: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        const { size } = await fs.promises.stat(filePath);
+        return { stream: fs.createReadStream(filePath), size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      const filePath = resolveKey(key);
+      try {
+        await fs.promises.unlink(filePath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+      // Drop the folder once empty, e.g. the one holding an image's variants
+      await fs.promises.rmdir(path.dirname(filePath)).catch(() => {});
+    },
+  };
+};
@@ -0,0 +1,82 @@
+import User from '../models/User.js';
+import UserHistory from '../models/UserHistory.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { ActionType } from '../utils/enums.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCKOUT_BASE_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 10) || 5;
+const LOCKOUT_MAX_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 10) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+
+// Each consecutive lockout doubles in length, up to the configured maximum
+const getLockoutMinutes = (lockoutCount) =>
+  Math.min(LOCKOUT_BASE_MINUTES * 2 ** lockoutCount, LOCKOUT_MAX_MINUTES);
+
+const recordUserHistory = async (userId, action, details) => {
+  const userHistory = await new UserHistory({ user: userId, action, details }).save();
+  await User.updateOne({ _id: userId }, { $push: { history: userHistory._id } });
+};
+
+// Has this IP failed too many logins recently (across all accounts)?
+export const isIpBlocked = async (ip) => {
+  const since = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+  const failures = await LoginAttempt.countDocuments({ ip, success: false, createdAt: { $gte: since } });
+  return failures >= IP_MAX_ATTEMPTS;
+};
+
+export const getIpRetryAfterSeconds = () => IP_WINDOW_MINUTES * 60;
+
+export const isAccountLocked = (user) => Boolean(user.lockUntil && user.lockUntil > new Date());
+
+// Record a failed login and lock the account once the threshold is reached
+export const recordFailedLogin = async ({ user, email, ip }) => {
+  await new LoginAttempt({ email, user: user?._id, ip, success: false }).save();
+  if (!user) return null;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, select: 'failedLoginAttempts lockoutCount' }
+  );
+  if (updated.failedLoginAttempts < MAX_ATTEMPTS) return null;
+
+  const minutes = getLockoutMinutes(updated.lockoutCount);
+  const lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lockUntil, failedLoginAttempts: 0 }, $inc: { lockoutCount: 1 } }
+  );
+  await recordUserHistory(user._id, ActionType.ACCOUNT_LOCKED, {
+    reason: `${MAX_ATTEMPTS} failed login attempts`,
+    lockUntil,
+    ip,
+  });
+
+  return lockUntil;
+};
+
+// Record a successful login and reset the failure counters
+export const recordSuccessfulLogin = async ({ user, email, ip }) => {
+  await new LoginAttempt({ email, user: user._id, ip, success: true }).save();
+
+  if (user.failedLoginAttempts || user.lockoutCount || user.lockUntil) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: '' } }
+    );
+  }
+};
+
+// Clear a lockout on behalf of an admin
+export const unlockAccount = async (user, unlockedBy) => {
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockoutCount: 0 }, $unset: { lockUntil: '' } }
+  );
+  await recordUserHistory(user._id, ActionType.ACCOUNT_UNLOCKED, {
+    reason: 'Unlocked by admin',
+    unlockedBy,
+  });
+};
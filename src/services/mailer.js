@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Writes each message as a JSON file to a local outbox directory (development)
+const outboxTransport = async (message) => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || 'outbox';
+  await fs.mkdir(outboxDir, { recursive: true });
+
+  const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+  await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+
+  return { id: fileName };
+};
+
+// Sends through an SMTP server configured with the SMTP_* environment variables
+let smtpTransporter;
+const smtpTransport = async (message) => {
+  if (!smtpTransporter) {
+    const { default: nodemailer } = await import('nodemailer');
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+
+  const info = await smtpTransporter.sendMail(message);
+  return { id: info.messageId };
+};
+
+const transports = {
+  outbox: outboxTransport,
+  smtp: smtpTransport,
+};
+
+// Register an additional transport, e.g. for a transactional email API
+export const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransportName = () =>
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'outbox');
+
+// Send an email through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = getTransportName();
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@donbambaloni.local',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  };
+
+  return transport(message);
+};
@@ -0,0 +1,233 @@
+import User from '../models/User.js';
+import TimeEntry from '../models/TimeEntry.js';
+import PayrollRun from '../models/PayrollRun.js';
+import SalaryRecord from '../models/SalaryRecord.js';
+import {
+  PayLineType,
+  PayrollRunStatus,
+  SalaryRecordStatus,
+  SalaryRecordType,
+  TimeEntryStatus,
+} from '../utils/enums.js';
+import { eachDay, startOfWeek, toDateKey } from '../utils/dates.js';
+import { createUserNotification } from '../controllers/notificationController.js';
+
+export const getDefaultPayrollRules = () => ({
+  weeklyHours: parseFloat(process.env.OVERTIME_WEEKLY_HOURS) || 40,
+  overtimeMultiplier: parseFloat(process.env.OVERTIME_MULTIPLIER) || 1.5,
+});
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundHours = (value) => Math.round(value * 100) / 100;
+
+const daysInMonth = (day) => new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 0)).getUTCDate();
+
+// Months covered by the period, each day counting as a fraction of its month
+// (a full calendar month is exactly 1)
+const countMonths = (from, to) => eachDay(from, to).reduce((total, day) => total + 1 / daysInMonth(day), 0);
+
+// Split worked hours into regular and overtime per ISO week
+const splitOvertime = (entries, weeklyHours) => {
+  const weeks = new Map();
+  for (const entry of entries) {
+    const week = toDateKey(startOfWeek(entry.date));
+    weeks.set(week, (weeks.get(week) || 0) + entry.workedMinutes / 60);
+  }
+
+  let regularHours = 0;
+  let overtimeHours = 0;
+  for (const hours of weeks.values()) {
+    regularHours += Math.min(hours, weeklyHours);
+    overtimeHours += Math.max(0, hours - weeklyHours);
+  }
+  return { regularHours: roundHours(regularHours), overtimeHours: roundHours(overtimeHours) };
+};
+
+// Pay of one user for a period: base (monthly salary prorated, or regular hours
+// at the hourly rate), overtime, then bonuses and deductions. Pure, so reruns
+// over the same inputs give the same result.
+export const calculatePay = ({ user, entries, periodStart, periodEnd, rules, adjustments = [] }) => {
+  const { regularHours, overtimeHours } = splitOvertime(entries, rules.weeklyHours);
+  const lineItems = [];
+  let overtimeRate = 0;
+
+  if (user.hourlyRate) {
+    lineItems.push({
+      type: PayLineType.BASE,
+      description: 'Regular hours',
+      quantity: regularHours,
+      rate: user.hourlyRate,
+      amount: roundMoney(regularHours * user.hourlyRate),
+    });
+    overtimeRate = user.hourlyRate * rules.overtimeMultiplier;
+  } else if (user.salary) {
+    const months = countMonths(periodStart, periodEnd);
+    lineItems.push({
+      type: PayLineType.BASE,
+      description: `Base salary ${toDateKey(periodStart)} to ${toDateKey(periodEnd)}`,
+      quantity: Math.round(months * 10000) / 10000,
+      rate: user.salary,
+      amount: roundMoney(months * user.salary),
+    });
+    // Hourly equivalent of the monthly salary over a standard week
+    overtimeRate = ((user.salary * 12) / 52 / rules.weeklyHours) * rules.overtimeMultiplier;
+  }
+
+  if (overtimeHours > 0 && overtimeRate > 0) {
+    lineItems.push({
+      type: PayLineType.OVERTIME,
+      description: `Hours over ${rules.weeklyHours} a week`,
+      quantity: overtimeHours,
+      rate: roundMoney(overtimeRate),
+      amount: roundMoney(overtimeHours * overtimeRate),
+    });
+  }
+
+  for (const adjustment of adjustments) {
+    const sign = adjustment.type === PayLineType.DEDUCTION ? -1 : 1;
+    lineItems.push({
+      type: adjustment.type,
+      description: adjustment.description,
+      amount: roundMoney(sign * adjustment.amount),
+    });
+  }
+
+  return {
+    lineItems,
+    amount: roundMoney(lineItems.reduce((total, item) => total + item.amount, 0)),
+    workedHours: roundHours(regularHours + overtimeHours),
+    overtimeHours,
+  };
+};
+
+const groupByUser = (items) => {
+  const groups = new Map();
+  for (const item of items) {
+    const userId = item.user.toString();
+    groups.set(userId, [...(groups.get(userId) || []), item]);
+  }
+  return groups;
+};
+
+// (Re)calculate a draft run: one salary record per paid user, upserted so a
+// rerun over the same time entries and adjustments changes nothing, and records
+// of users no longer paid in the period removed. The records join the users'
+// salary history only once the run is approved.
+export const calculatePayrollRun = async ({ run, session }) => {
+  const { periodStart, periodEnd, rules } = run;
+  const period = { date: { $gte: periodStart, $lte: periodEnd } };
+
+  const adjustments = groupByUser(run.adjustments);
+  const users = await User.find({
+    $or: [{ salary: { $gt: 0 } }, { hourlyRate: { $gt: 0 } }, { _id: { $in: [...adjustments.keys()] } }],
+  })
+    .select('username salary hourlyRate')
+    .session(session)
+    .lean();
+
+  const entries = groupByUser(
+    await TimeEntry.find({ ...period, status: TimeEntryStatus.CLOCKED_OUT })
+      .select('user date workedMinutes')
+      .session(session)
+      .lean()
+  );
+  const unclosed = await TimeEntry.find({ ...period, status: TimeEntryStatus.MISSED_CLOCK_OUT })
+    .select('user date')
+    .session(session)
+    .lean();
+
+  const warnings = unclosed.map((entry) => ({
+    user: entry.user,
+    message: `Missed clock-out on ${toDateKey(entry.date)} is not paid until corrected`,
+  }));
+
+  const recordIds = [];
+  let totalAmount = 0;
+  for (const user of users) {
+    const pay = calculatePay({
+      user,
+      entries: entries.get(user._id.toString()) || [],
+      periodStart,
+      periodEnd,
+      rules,
+      adjustments: adjustments.get(user._id.toString()),
+    });
+    if (pay.amount < 0) warnings.push({ user: user._id, message: 'Deductions exceed pay' });
+
+    const record = await SalaryRecord.findOneAndUpdate(
+      { payrollRun: run._id, user: user._id },
+      {
+        $set: {
+          date: periodEnd,
+          periodStart,
+          periodEnd,
+          type: SalaryRecordType.PAYROLL,
+          status: SalaryRecordStatus.PENDING,
+          ...pay,
+        },
+      },
+      { upsert: true, new: true, session }
+    );
+
+    recordIds.push(record._id);
+    totalAmount += pay.amount;
+  }
+
+  await SalaryRecord.deleteMany({ payrollRun: run._id, _id: { $nin: recordIds } }, { session });
+
+  run.warnings = warnings;
+  run.employeeCount = recordIds.length;
+  run.totalAmount = roundMoney(totalAmount);
+  run.calculatedAt = new Date();
+  return run.save({ session });
+};
+
+// Another run sharing at least one day with the period
+export const findOverlappingRun = (periodStart, periodEnd, session) =>
+  PayrollRun.findOne({ periodStart: { $lte: periodEnd }, periodEnd: { $gte: periodStart } }).session(session || null);
+
+// Records of draft runs may still change, so they stay out of what employees see
+export const visibleSalaryRecordFilter = async () => ({
+  payrollRun: { $nin: await PayrollRun.distinct('_id', { status: PayrollRunStatus.DRAFT }) },
+});
+
+// Approve a draft run and add its records to each employee's salary history
+export const markPayrollRunApproved = async ({ run, actorId, session }) => {
+  run.status = PayrollRunStatus.APPROVED;
+  run.approvedBy = actorId;
+  run.approvedAt = new Date();
+  await run.save({ session });
+
+  const records = await SalaryRecord.find({ payrollRun: run._id }).select('_id user').session(session).lean();
+  if (!records.length) return;
+  await User.bulkWrite(
+    records.map((record) => ({
+      updateOne: { filter: { _id: record.user }, update: { $addToSet: { salaryHistory: record._id } } },
+    })),
+    { session }
+  );
+};
+
+// Mark an approved run and its records paid, and tell each employee
+export const markPayrollRunPaid = async ({ run, actorId, session }) => {
+  const paidAt = new Date();
+
+  run.status = PayrollRunStatus.PAID;
+  run.paidBy = actorId;
+  run.paidAt = paidAt;
+  await run.save({ session });
+
+  const records = await SalaryRecord.find({ payrollRun: run._id }).session(session);
+  for (const record of records) {
+    record.status = SalaryRecordStatus.PAID;
+    record.paidAt = paidAt;
+    await record.save({ session });
+
+    const period = `${toDateKey(run.periodStart)} to ${toDateKey(run.periodEnd)}`;
+    await createUserNotification(
+      record.user,
+      `Your pay of ${record.amount.toFixed(2)} for ${period} has been paid.`,
+      session
+    );
+  }
+};
@@ -0,0 +1,133 @@
+import PDFDocument from 'pdfkit';
+import { ZipArchive } from 'archiver';
+import SalaryRecord from '../models/SalaryRecord.js';
+import { PayLineType, SalaryRecordStatus } from '../utils/enums.js';
+import { toDateKey } from '../utils/dates.js';
+import { visibleSalaryRecordFilter } from './payrollService.js';
+
+const getCompany = () => ({
+  name: process.env.COMPANY_NAME || 'Don Bambaloni',
+  address: process.env.COMPANY_ADDRESS || '',
+});
+
+const formatMoney = (amount) => amount.toFixed(2);
+
+const PAGE_MARGIN = 50;
+const AMOUNT_COLUMN_WIDTH = 100;
+
+// Line items of a record; bonuses and deductions recorded by hand have none
+const getLineItems = (record) =>
+  record.lineItems?.length
+    ? record.lineItems
+    : [{ type: record.type, description: record.notes, amount: record.amount }];
+
+// Load a salary record with what its payslip shows, or null (also for records
+// of payroll runs still in draft)
+export const findPayslipRecord = async (recordId) =>
+  SalaryRecord.findOne({
+    _id: recordId,
+    status: { $ne: SalaryRecordStatus.CANCELLED },
+    ...(await visibleSalaryRecordFilter()),
+  })
+    .populate({
+      path: 'user',
+      select: 'username email role nationality kitchenId shopId',
+      populate: [
+        { path: 'kitchenId', select: 'name' },
+        { path: 'shopId', select: 'name' },
+      ],
+    })
+    .lean();
+
+export const getPayslipFileName = (record) =>
+  `payslip-${record.user.username}-${toDateKey(record.periodStart || record.date)}.pdf`.replace(/[^\w.-]/g, '_');
+
+const writeSection = (doc, title, items) => {
+  const width = doc.page.width - PAGE_MARGIN * 2;
+
+  doc.moveDown().font('Helvetica-Bold').fontSize(12).text(title);
+  doc.font('Helvetica').fontSize(10);
+  for (const item of items) {
+    const detail = item.quantity !== undefined && item.rate !== undefined ? ` (${item.quantity} x ${item.rate})` : '';
+    const y = doc.y;
+    doc.text(`${item.description || item.type}${detail}`, PAGE_MARGIN, y, { width: width - AMOUNT_COLUMN_WIDTH });
+    const nextY = doc.y;
+    doc.text(formatMoney(Math.abs(item.amount)), PAGE_MARGIN + width - AMOUNT_COLUMN_WIDTH, y, {
+      width: AMOUNT_COLUMN_WIDTH,
+      align: 'right',
+    });
+    doc.y = Math.max(nextY, doc.y);
+  }
+
+  const total = items.reduce((sum, item) => sum + Math.abs(item.amount), 0);
+  doc.font('Helvetica-Bold').text(`Total ${formatMoney(total)}`, PAGE_MARGIN, doc.y, { width, align: 'right' });
+};
+
+// Render the payslip of a salary record (user populated) as a PDF
+export const renderPayslip = (record) =>
+  new Promise((resolve, reject) => {
+    const company = getCompany();
+    const { user } = record;
+    const location = user.kitchenId?.name || user.shopId?.name;
+    const period = record.periodStart
+      ? `${toDateKey(record.periodStart)} to ${toDateKey(record.periodEnd)}`
+      : toDateKey(record.date);
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `Payslip ${period}` } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(company.name);
+    if (company.address) doc.font('Helvetica').fontSize(10).text(company.address);
+    doc.moveDown().font('Helvetica-Bold').fontSize(14).text('Payslip');
+
+    doc.moveDown().font('Helvetica').fontSize(10);
+    doc.text(`Employee: ${user.username}`);
+    doc.text(`Email: ${user.email}`);
+    doc.text(`Role: ${user.role}`);
+    if (location) doc.text(`Location: ${location}`);
+    if (user.nationality) doc.text(`Nationality: ${user.nationality}`);
+    doc.text(`Period: ${period}`);
+    if (record.workedHours !== undefined) {
+      doc.text(`Hours worked: ${record.workedHours} (overtime ${record.overtimeHours || 0})`);
+    }
+    doc.text(`Status: ${record.status}${record.paidAt ? ` on ${toDateKey(record.paidAt)}` : ''}`);
+
+    const items = getLineItems(record);
+    writeSection(doc, 'Earnings', items.filter((item) => item.type !== PayLineType.DEDUCTION));
+    const deductions = items.filter((item) => item.type === PayLineType.DEDUCTION);
+    if (deductions.length > 0) writeSection(doc, 'Deductions', deductions);
+
+    doc
+      .moveDown(2)
+      .font('Helvetica-Bold')
+      .fontSize(14)
+      .text(`Net pay: ${formatMoney(record.amount)}`, { align: 'right' });
+
+    doc.end();
+  });
+
+// Stream a ZIP with the payslip of every record of a payroll run
+export const streamPayslipArchive = async (payrollRunId, output) => {
+  const records = await SalaryRecord.find({ payrollRun: payrollRunId, status: { $ne: SalaryRecordStatus.CANCELLED } })
+    .select('_id')
+    .lean();
+
+  const archive = new ZipArchive({ zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('finish', resolve);
+  });
+  archive.pipe(output);
+
+  for (const { _id } of records) {
+    const record = await findPayslipRecord(_id);
+    if (!record?.user) continue; // deleted users
+    archive.append(await renderPayslip(record), { name: getPayslipFileName(record) });
+  }
+
+  await archive.finalize();
+  await done;
+};
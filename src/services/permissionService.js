@@ -0,0 +1,81 @@
+import RoleModel from '../models/Role.js';
+import { Role, Permission, LocationType } from '../utils/enums.js';
+
+const CACHE_TTL = 60 * 1000; // 1 minute
+
+// Permissions each seeded role starts with; Admin always gets every permission
+const DEFAULT_ROLE_PERMISSIONS = {
+  [Role.ADMIN]: Object.values(Permission),
+  [Role.CHEF]: [],
+  [Role.CASHIER]: [],
+  [Role.CLEANER]: [],
+  [Role.TRAINEE_CHEF]: [],
+  [Role.DRIVER]: [],
+  [Role.MANAGER]: [
+    Permission.USER_READ,
+    Permission.USER_AVAILABILITY,
+    Permission.SHIFT_ASSIGN,
+    Permission.TIMESHEET_READ,
+    Permission.TIMESHEET_MANAGE,
+    Permission.HISTORY_READ,
+    Permission.DOCUMENT_READ,
+  ],
+};
+
+// Where each seeded role can work; roles not listed can work anywhere
+const DEFAULT_ROLE_LOCATION_TYPES = {
+  [Role.CHEF]: [LocationType.KITCHEN],
+  [Role.TRAINEE_CHEF]: [LocationType.KITCHEN],
+  [Role.CASHIER]: [LocationType.SHOP],
+};
+
+const permissionCache = new Map();
+
+// Create the default roles if missing and grant Admin any newly added permission
+export const seedDefaultRoles = async () => {
+  await Promise.all(
+    Object.entries(DEFAULT_ROLE_PERMISSIONS).map(([name, permissions]) =>
+      RoleModel.updateOne(
+        { name },
+        name === Role.ADMIN
+          ? { $setOnInsert: { isSystem: true }, $addToSet: { permissions: { $each: permissions } } }
+          : {
+              $setOnInsert: { isSystem: true, permissions, locationTypes: DEFAULT_ROLE_LOCATION_TYPES[name] || [] },
+            },
+        { upsert: true }
+      )
+    )
+  );
+  // Roles created before location types existed get the defaults once
+  await Promise.all(
+    Object.entries(DEFAULT_ROLE_LOCATION_TYPES).map(([name, locationTypes]) =>
+      RoleModel.updateOne({ name, locationTypes: { $exists: false } }, { $set: { locationTypes } })
+    )
+  );
+  clearPermissionCache();
+};
+
+// Resolve the permissions of a role, cached briefly to avoid a lookup per request
+export const getRolePermissions = async (roleName) => {
+  const cached = permissionCache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await RoleModel.findOne({ name: roleName }).select('permissions').lean();
+  const permissions = role?.permissions || [];
+  permissionCache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL });
+
+  return permissions;
+};
+
+// Whether a role grants nothing beyond the given permissions; nobody can hand
+// out a role more powerful than their own permissions
+export const isRoleWithinPermissions = async (roleName, permissions) =>
+  (await getRolePermissions(roleName)).every((permission) => permissions.includes(permission));
+
+export const clearPermissionCache = () => {
+  permissionCache.clear();
+};
+
+export const roleExists = async (roleName) => Boolean(await RoleModel.exists({ name: roleName }));
@@ -0,0 +1,223 @@
+import Kitchen from '../models/Kitchen.js';
+import Shop from '../models/Shop.js';
+import User from '../models/User.js';
+import UserHistory from '../models/UserHistory.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import ShiftDefinition from '../models/ShiftDefinition.js';
+import { ActionType, LocationType, ShiftType } from '../utils/enums.js';
+import { eachDay, toDateKey, toUtcDate, today } from '../utils/dates.js';
+import { createUserNotification } from '../controllers/notificationController.js';
+import { getStaffingWarnings } from './coverageService.js';
+import { checkShiftConflicts, assertNoConflicts } from './conflictService.js';
+import { getApprovedLeaveDays } from './leaveService.js';
+import { expandShiftType, getDefinitionMap, getOperatingShiftTypes, getShiftInterval } from './shiftService.js';
+
+export const MAX_ROSTER_DAYS = 62;
+
+export const getLocationModel = (locationType) => (locationType === LocationType.KITCHEN ? Kitchen : Shop);
+
+// Find an active kitchen or shop
+export const findLocation = (locationType, locationId, session) =>
+  getLocationModel(locationType).findOne({ _id: locationId, isDeleted: false }).session(session || null);
+
+const idsToStrings = (ids) => ids.map((id) => id.toString());
+
+// Concrete start/end of a dated shift, or nulls if the location no longer defines it
+const getAssignmentInterval = (assignment, definition) =>
+  definition ? getShiftInterval(definition, assignment.date) : { startsAt: null, endsAt: null };
+
+// Add startsAt/endsAt to dated shifts (lean, with location populated or not)
+export const withShiftTimes = async (assignments, session) => {
+  const locationIds = [...new Set(assignments.map((entry) => (entry.location._id || entry.location).toString()))];
+  const definitions = await getDefinitionMap(locationIds, session);
+
+  return assignments.map((entry) => ({
+    ...entry,
+    ...getAssignmentInterval(entry, definitions.get(`${entry.location._id || entry.location}|${entry.shiftType}`)),
+  }));
+};
+
+// Write history entries pointing at the dated shift and notify the users
+const recordShiftChanges = async (assignment, interval, location, userIds, action, session) => {
+  const dateKey = toDateKey(assignment.date);
+  const verb = action === ActionType.ASSIGNED_TO_SHIFT ? 'scheduled for' : 'removed from';
+
+  for (const userId of userIds) {
+    const userHistory = await new UserHistory({
+      user: userId,
+      action,
+      details: {
+        shiftAssignmentId: assignment._id,
+        locationType: assignment.locationType,
+        location: assignment.location,
+        date: dateKey,
+        shiftType: assignment.shiftType,
+        startsAt: interval.startsAt,
+        endsAt: interval.endsAt,
+      },
+    }).save({ session });
+
+    await User.updateOne({ _id: userId }, { $push: { history: userHistory._id } }, { session });
+    await createUserNotification(
+      userId,
+      `You have been ${verb} the ${assignment.shiftType} shift at ${location.name} on ${dateKey}.`,
+      session
+    );
+  }
+};
+
+// Set the team of one dated shift, recording who was added and removed and
+// returning staffing warnings and non-blocking conflicts for the new team
+export const setShiftAssignment = async ({ location, locationType, date, shiftType, userIds, actorId, session }) => {
+  const day = toUtcDate(date);
+  const requestedUserIds = [...new Set(idsToStrings(userIds))];
+
+  let assignment = await ShiftAssignment.findOne({ location: location._id, date: day, shiftType }).session(
+    session || null
+  );
+  const previousUserIds = assignment ? idsToStrings(assignment.users) : [];
+
+  const users = await User.find({ _id: { $in: [...new Set([...requestedUserIds, ...previousUserIds])] } })
+    .select('role')
+    .session(session || null)
+    .lean();
+  const existingUserIds = new Set(idsToStrings(users.map((user) => user._id)));
+
+  // Users deleted since they were rostered are dropped quietly; unknown new ones are an error
+  if (requestedUserIds.some((id) => !existingUserIds.has(id) && !previousUserIds.includes(id))) {
+    const error = new Error('One or more users do not exist');
+    error.status = 400;
+    throw error;
+  }
+  const uniqueUserIds = requestedUserIds.filter((id) => existingUserIds.has(id));
+
+  const added = uniqueUserIds.filter((id) => !previousUserIds.includes(id));
+  const removed = previousUserIds.filter((id) => !uniqueUserIds.includes(id) && existingUserIds.has(id));
+
+  // Rejects the change (409) if a newly added user cannot work this shift
+  const conflicts = assertNoConflicts(
+    await checkShiftConflicts({ location, locationType, date: day, shiftType, userIds: added, session })
+  );
+
+  if (!assignment) {
+    assignment = new ShiftAssignment({ locationType, location: location._id, date: day, shiftType });
+  }
+  assignment.users = uniqueUserIds;
+  assignment.updatedBy = actorId;
+  await assignment.save({ session });
+
+  const definition = await ShiftDefinition.findOne({ location: location._id, shiftType })
+    .session(session || null)
+    .lean();
+  const interval = getAssignmentInterval(assignment, definition);
+
+  await recordShiftChanges(assignment, interval, location, added, ActionType.ASSIGNED_TO_SHIFT, session);
+  await recordShiftChanges(assignment, interval, location, removed, ActionType.UNASSIGNED_FROM_SHIFT, session);
+
+  const warnings = getStaffingWarnings(
+    definition,
+    users.filter((user) => uniqueUserIds.includes(user._id.toString()))
+  );
+
+  return { assignment: { ...assignment.toObject(), ...interval }, added, removed, warnings, conflicts };
+};
+
+// Copy a location's default pattern (its teams) onto every day of a date range.
+// Existing dated shifts are kept unless overwrite is set.
+export const applyDefaultPattern = async ({
+  location,
+  locationType,
+  from,
+  to,
+  shiftTypes,
+  overwrite,
+  actorId,
+  session,
+}) => {
+  const operatingShiftTypes = await getOperatingShiftTypes(location, session);
+  const patternShifts = (shiftTypes?.length ? shiftTypes.flatMap(expandShiftType) : operatingShiftTypes).filter(
+    (shiftType) => operatingShiftTypes.includes(shiftType)
+  );
+
+  // A pattern team for a combined shift (e.g. Both) also works each of its component shifts
+  const getPatternTeam = (shiftType) => {
+    const team = [];
+    location.teams.forEach((userIds, patternShiftType) => {
+      if (expandShiftType(patternShiftType).includes(shiftType)) team.push(...userIds);
+    });
+    return team;
+  };
+
+  const existing = await ShiftAssignment.find({
+    location: location._id,
+    date: { $gte: toUtcDate(from), $lte: toUtcDate(to) },
+  })
+    .select('date shiftType')
+    .session(session || null)
+    .lean();
+  const existingKeys = new Set(existing.map((entry) => `${toDateKey(entry.date)}|${entry.shiftType}`));
+
+  // Pattern team members on approved leave are left off those days, deleted users always
+  const patternUserIds = [...location.teams.values()].flat();
+  const leaveDays = await getApprovedLeaveDays(patternUserIds, toUtcDate(from), toUtcDate(to), session);
+  const patternUsers = await User.find({ _id: { $in: patternUserIds } })
+    .select('_id')
+    .session(session || null)
+    .lean();
+  const existingPatternUserIds = new Set(idsToStrings(patternUsers.map((user) => user._id)));
+
+  const results = [];
+  for (const day of eachDay(from, to)) {
+    for (const shiftType of patternShifts) {
+      if (!overwrite && existingKeys.has(`${toDateKey(day)}|${shiftType}`)) continue;
+
+      const userIds = getPatternTeam(shiftType).filter(
+        (userId) =>
+          existingPatternUserIds.has(userId.toString()) && !leaveDays.get(userId.toString())?.has(toDateKey(day))
+      );
+      results.push(
+        await setShiftAssignment({ location, locationType, date: day, shiftType, userIds, actorId, session })
+      );
+    }
+  }
+
+  return results;
+};
+
+// Take a deleted user off upcoming dated shifts and the default teams of every
+// location, without history entries or notifications for them
+export const removeDeletedUserFromRoster = async (userId, session) => {
+  const teamPaths = Object.values(ShiftType).map((shiftType) => `teams.${shiftType}`);
+  const pullFromTeams = { $pull: Object.fromEntries(teamPaths.map((path) => [path, userId])) };
+  const inAnyTeam = { $or: teamPaths.map((path) => ({ [path]: userId })) };
+
+  await Promise.all([
+    ShiftAssignment.updateMany({ users: userId, date: { $gte: today() } }, { $pull: { users: userId } }, { session }),
+    Kitchen.updateMany(inAnyTeam, pullFromTeams, { session }),
+    Shop.updateMany(inAnyTeam, pullFromTeams, { session }),
+  ]);
+};
+
+// Remove a user from every dated shift from `from` (default today) onwards
+export const removeUserFromShifts = async (userId, session, { from = today(), to } = {}) => {
+  const assignments = await ShiftAssignment.find({
+    users: userId,
+    date: { $gte: toUtcDate(from), ...(to && { $lte: toUtcDate(to) }) },
+  }).session(session || null);
+
+  for (const assignment of assignments) {
+    const location = (await getLocationModel(assignment.locationType)
+      .findById(assignment.location)
+      .session(session || null)) || { _id: assignment.location, name: 'a removed location' };
+    await setShiftAssignment({
+      location,
+      locationType: assignment.locationType,
+      date: assignment.date,
+      shiftType: assignment.shiftType,
+      userIds: assignment.users.filter((id) => !id.equals(userId)),
+      session,
+    });
+  }
+
+  return assignments.length;
+};
@@ -0,0 +1,38 @@
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO...). URLs are
+// presigned by the bucket itself.
+export const createS3StorageDriver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle }) => {
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint }),
+    ...(accessKeyId && { credentials: { accessKeyId, secretAccessKey } }),
+    // MinIO and most self-hosted stand-ins only support path-style URLs
+    forcePathStyle,
+  });
+
+  return {
+    put: async (key, body, contentType) => {
+      await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+    },
+
+    // Readable stream of a file, or null if it does not exist
+    open: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: object.Body, size: object.ContentLength, contentType: object.ContentType };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getSignedUrl: (key, { expiresIn }) =>
+      getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn }),
+  };
+};
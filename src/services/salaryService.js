@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import UserHistory from '../models/UserHistory.js';
+import SalaryChange from '../models/SalaryChange.js';
+import { ActionType } from '../utils/enums.js';
+import { toDateKey, today } from '../utils/dates.js';
+import { createUserNotification } from '../controllers/notificationController.js';
+
+const describeChange = (change) =>
+  [
+    change.salary !== undefined && `salary ${change.salary}`,
+    change.hourlyRate !== undefined && `hourly rate ${change.hourlyRate}`,
+  ]
+    .filter(Boolean)
+    .join(' and ');
+
+// Set the user's salary and/or hourly rate from a change, keeping the values it replaced
+export const applySalaryChange = async (change, session) => {
+  const user = await User.findById(change.user).select('salary hourlyRate').session(session).lean();
+  if (!user) {
+    const error = new Error('User not found');
+    error.status = 404;
+    throw error;
+  }
+
+  const updates = {
+    ...(change.salary !== undefined && { salary: change.salary }),
+    ...(change.hourlyRate !== undefined && { hourlyRate: change.hourlyRate }),
+  };
+
+  const userHistory = await new UserHistory({
+    user: user._id,
+    action: ActionType.SALARY_CHANGED,
+    details: {
+      salaryChangeId: change._id,
+      ...updates,
+      previousSalary: user.salary,
+      previousHourlyRate: user.hourlyRate,
+      effectiveDate: toDateKey(change.effectiveDate),
+      reason: change.reason,
+    },
+  }).save({ session });
+
+  await User.updateOne({ _id: user._id }, { $set: updates, $push: { history: userHistory._id } }, { session });
+
+  change.previousSalary = user.salary;
+  change.previousHourlyRate = user.hourlyRate;
+  change.appliedAt = new Date();
+  await change.save({ session });
+
+  await createUserNotification(
+    user._id,
+    `Your ${describeChange(change)} applies from ${toDateKey(change.effectiveDate)}.`,
+    session
+  );
+};
+
+// Record a salary change; it applies right away unless dated in the future
+export const recordSalaryChange = async ({ userId, salary, hourlyRate, effectiveDate, reason, actorId, session }) => {
+  const change = await new SalaryChange({
+    user: userId,
+    salary,
+    hourlyRate,
+    effectiveDate,
+    reason,
+    changedBy: actorId,
+  }).save({ session });
+
+  if (change.effectiveDate <= today()) await applySalaryChange(change, session);
+  return change;
+};
+
+// Apply changes whose effective date has come. Runs periodically; each change
+// is applied in its own transaction.
+export const applyDueSalaryChanges = async () => {
+  const due = await SalaryChange.find({ appliedAt: null, effectiveDate: { $lte: today() } }).sort({
+    effectiveDate: 1,
+    createdAt: 1,
+  });
+
+  for (const change of due) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await applySalaryChange(change, session);
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Error applying salary change ${change._id}:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+};
@@ -0,0 +1,141 @@
+// Roster proposal engine. Works on plain data only (no database access) and
+// is deterministic: the same input always gives the same roster.
+import { ShiftType } from '../utils/enums.js';
+import { addDays, isWeekend, startOfWeek, toDateKey } from '../utils/dates.js';
+
+export const DEFAULT_CONSTRAINTS = Object.freeze({
+  maxShiftsPerWeek: 5,
+  // Minimum hours off between two shifts of the same person
+  minRestHours: 11,
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const compareIds = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+// A Night shift may not be followed by the next day's Morning shift
+const isNightBeforeMorning = (earlier, later) =>
+  earlier.shiftType === ShiftType.NIGHT &&
+  later.shiftType === ShiftType.MORNING &&
+  toDateKey(addDays(earlier.date, 1)) === toDateKey(later.date);
+
+// Why `user` cannot take `shift`, or null if they can
+const getViolation = (state, shift, constraints) => {
+  const weekKey = toDateKey(startOfWeek(shift.date));
+  if ((state.weeks.get(weekKey) || 0) >= constraints.maxShiftsPerWeek) return 'maxShiftsPerWeek';
+
+  const minRest = constraints.minRestHours * HOUR_MS;
+  for (const other of state.shifts) {
+    if (overlaps(other, shift)) return 'overlap';
+    if (isNightBeforeMorning(other, shift) || isNightBeforeMorning(shift, other)) return 'nightToMorning';
+    const rest = other.endsAt <= shift.startsAt ? shift.startsAt - other.endsAt : other.startsAt - shift.endsAt;
+    if (rest < minRest) return 'minRest';
+  }
+  return null;
+};
+
+const createState = () => ({ shifts: [], weeks: new Map(), weekendShifts: 0, hours: 0 });
+
+const addShiftToState = (state, shift) => {
+  const weekKey = toDateKey(startOfWeek(shift.date));
+  state.shifts.push(shift);
+  state.weeks.set(weekKey, (state.weeks.get(weekKey) || 0) + 1);
+  if (isWeekend(shift.date)) state.weekendShifts += 1;
+  state.hours += (shift.endsAt - shift.startsAt) / HOUR_MS;
+};
+
+/**
+ * Propose teams for a set of shifts.
+ *
+ * @param {Object}   input
+ * @param {Array}    input.shifts      [{ location, locationType, date, shiftType, startsAt, endsAt, requirements: [{ role, count }] }]
+ * @param {Array}    input.users       [{ _id, role, locations, unavailable, daysOff }] where locations are the user's
+ *                                     kitchen/shop and daysOff the 'YYYY-MM-DD' days they are on leave
+ * @param {Array}    [input.commitments] Shifts users already work outside the proposal: [{ user, date, shiftType, startsAt, endsAt }]
+ * @param {Object}   [input.constraints] Overrides for DEFAULT_CONSTRAINTS
+ * @returns {{ shifts: Array, unfilled: Array, workload: Array }}
+ */
+export const buildSchedule = ({ shifts, users, commitments = [], constraints = {} }) => {
+  const rules = { ...DEFAULT_CONSTRAINTS, ...constraints };
+  const sortedUsers = [...users].sort((a, b) => compareIds(String(a._id), String(b._id)));
+
+  const states = new Map(sortedUsers.map((user) => [String(user._id), createState()]));
+  for (const commitment of commitments) {
+    const state = states.get(String(commitment.user));
+    if (state) addShiftToState(state, commitment);
+  }
+
+  // Earliest shifts first so rest rules look backwards at what is already planned
+  const sortedShifts = [...shifts].sort(
+    (a, b) =>
+      a.startsAt - b.startsAt ||
+      compareIds(String(a.location), String(b.location)) ||
+      compareIds(a.shiftType, b.shiftType)
+  );
+
+  const proposed = [];
+  const unfilled = [];
+
+  for (const shift of sortedShifts) {
+    const team = [];
+    const weekend = isWeekend(shift.date);
+    const requirements = [...(shift.requirements || [])].sort((a, b) => compareIds(a.role, b.role));
+
+    for (const { role, count } of requirements) {
+      const candidates = sortedUsers
+        .filter(
+          (user) =>
+            user.role === role &&
+            !user.unavailable &&
+            !user.daysOff?.includes(toDateKey(shift.date)) &&
+            user.locations.some((location) => String(location) === String(shift.location)) &&
+            !team.includes(String(user._id)) &&
+            !getViolation(states.get(String(user._id)), shift, rules)
+        )
+        // Fairness: fewest weekend shifts (on weekends), then fewest shifts, then fewest hours
+        .sort((a, b) => {
+          const stateA = states.get(String(a._id));
+          const stateB = states.get(String(b._id));
+          return (
+            (weekend ? stateA.weekendShifts - stateB.weekendShifts : 0) ||
+            stateA.shifts.length - stateB.shifts.length ||
+            stateA.hours - stateB.hours
+          );
+        });
+
+      const chosen = candidates.slice(0, count);
+      for (const user of chosen) {
+        team.push(String(user._id));
+        addShiftToState(states.get(String(user._id)), shift);
+      }
+
+      if (chosen.length < count) {
+        unfilled.push({
+          location: shift.location,
+          locationType: shift.locationType,
+          date: toDateKey(shift.date),
+          shiftType: shift.shiftType,
+          role,
+          required: count,
+          assigned: chosen.length,
+        });
+      }
+    }
+
+    proposed.push({ ...shift, users: team });
+  }
+
+  const workload = sortedUsers.map((user) => {
+    const state = states.get(String(user._id));
+    return {
+      user: String(user._id),
+      shifts: state.shifts.length,
+      weekendShifts: state.weekendShifts,
+      hours: state.hours,
+    };
+  });
+
+  return { shifts: proposed, unfilled, workload };
+};
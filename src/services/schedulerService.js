@@ -0,0 +1,122 @@
+import User from '../models/User.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import ShiftDefinition from '../models/ShiftDefinition.js';
+import RosterDraft from '../models/RosterDraft.js';
+import { AvailabilityStatus, RosterDraftStatus } from '../utils/enums.js';
+import { addDays, eachDay, startOfWeek, toDateKey, toUtcDate } from '../utils/dates.js';
+import { getShiftInterval } from './shiftService.js';
+import { buildSchedule } from './schedulerEngine.js';
+import { getApprovedLeaveDays } from './leaveService.js';
+import { findLocation, setShiftAssignment, withShiftTimes } from './rosterService.js';
+
+const shiftKey = (location, date, shiftType) => `${location}|${toDateKey(date)}|${shiftType}`;
+
+// Load everything the engine needs for the given locations and date range,
+// run it and store the result as a draft
+export const proposeRoster = async ({ from, to, locations, constraints, actorId }) => {
+  const locationIds = locations.map((entry) => entry.location);
+
+  // Only shifts with staffing requirements can be planned
+  const definitions = await ShiftDefinition.find({
+    location: { $in: locationIds },
+    'requirements.0': { $exists: true },
+  }).lean();
+
+  const shifts = eachDay(from, to).flatMap((day) =>
+    definitions.map((definition) => ({
+      location: definition.location.toString(),
+      locationType: definition.locationType,
+      date: day,
+      shiftType: definition.shiftType,
+      ...getShiftInterval(definition, day),
+      requirements: definition.requirements,
+    }))
+  );
+
+  const users = await User.find({ $or: [{ kitchenId: { $in: locationIds } }, { shopId: { $in: locationIds } }] })
+    .select('role kitchenId shopId manualAvailability')
+    .lean();
+
+  // Shifts already worked elsewhere (or around the range) count towards the
+  // weekly limit and rest rules
+  const plannedKeys = new Set(shifts.map((shift) => shiftKey(shift.location, shift.date, shift.shiftType)));
+  const existing = await withShiftTimes(
+    await ShiftAssignment.find({
+      users: { $in: users.map((user) => user._id) },
+      date: { $gte: addDays(startOfWeek(from), -1), $lte: addDays(to, 7) },
+    }).lean()
+  );
+  const commitments = existing
+    .filter(
+      (assignment) =>
+        assignment.startsAt && !plannedKeys.has(shiftKey(assignment.location, assignment.date, assignment.shiftType))
+    )
+    .flatMap((assignment) => assignment.users.map((user) => ({ ...assignment, user: user.toString() })));
+
+  const leaveDays = await getApprovedLeaveDays(users.map((user) => user._id), toUtcDate(from), toUtcDate(to));
+
+  const schedule = buildSchedule({
+    shifts,
+    users: users.map((user) => ({
+      _id: user._id.toString(),
+      role: user.role,
+      locations: [user.kitchenId, user.shopId].filter(Boolean).map((id) => id.toString()),
+      unavailable: user.manualAvailability === AvailabilityStatus.UNAVAILABLE,
+      daysOff: [...(leaveDays.get(user._id.toString()) || [])],
+    })),
+    commitments,
+    constraints,
+  });
+
+  const rosterDraft = await new RosterDraft({
+    from: toUtcDate(from),
+    to: toUtcDate(to),
+    locations,
+    constraints,
+    shifts: schedule.shifts,
+    unfilled: schedule.unfilled,
+    createdBy: actorId,
+  }).save();
+
+  return { rosterDraft, workload: schedule.workload };
+};
+
+// Turn a draft into dated shifts. Runs inside the caller's transaction so
+// either every shift is published or none is (e.g. when one has a conflict).
+export const publishDraftShifts = async ({ rosterDraft, actorId, session }) => {
+  if (rosterDraft.status !== RosterDraftStatus.DRAFT) {
+    const error = new Error(`Roster draft is already ${rosterDraft.status.toLowerCase()}`);
+    error.status = 409;
+    throw error;
+  }
+
+  const warnings = [];
+  const conflicts = [];
+  for (const shift of rosterDraft.shifts) {
+    const location = await findLocation(shift.locationType, shift.location, session);
+    if (!location) {
+      const error = new Error(`${shift.locationType} ${shift.location} has been deleted`);
+      error.status = 409;
+      throw error;
+    }
+
+    const result = await setShiftAssignment({
+      location,
+      locationType: shift.locationType,
+      date: shift.date,
+      shiftType: shift.shiftType,
+      userIds: shift.users,
+      actorId,
+      session,
+    });
+    warnings.push(...result.warnings.map((warning) => ({ date: toDateKey(shift.date), ...warning })));
+    conflicts.push(...result.conflicts);
+  }
+
+  rosterDraft.status = RosterDraftStatus.PUBLISHED;
+  rosterDraft.publishedBy = actorId;
+  rosterDraft.publishedAt = new Date();
+  await rosterDraft.save({ session });
+
+  return { warnings, conflicts };
+};
@@ -0,0 +1,179 @@
+import mongoose from 'mongoose';
+import ShiftDefinition from '../models/ShiftDefinition.js';
+import { ShiftType, ShiftComponents, LocationType } from '../utils/enums.js';
+import { zonedTimeToUtc, addDays, TIME_PATTERN, isValidTimeZone } from '../utils/dates.js';
+import { roleExists } from './permissionService.js';
+
+// Hours used when a shift is enabled without explicit times
+export const DEFAULT_SHIFT_TIMES = Object.freeze({
+  [ShiftType.MORNING]: { startTime: '06:00', endTime: '14:00', breakMinutes: 30 },
+  [ShiftType.AFTERNOON]: { startTime: '14:00', endTime: '22:00', breakMinutes: 30 },
+  [ShiftType.NIGHT]: { startTime: '22:00', endTime: '06:00', breakMinutes: 30 },
+});
+
+// Fields of a shift definition that can be set through the API
+export const SHIFT_DEFINITION_FIELDS = ['startTime', 'endTime', 'breakMinutes', 'timeZone', 'requirements'];
+
+export const getDefaultTimeZone = () => process.env.DEFAULT_TIME_ZONE || 'UTC';
+
+// The real shifts a shift type stands for, e.g. Both -> Morning, Afternoon
+export const expandShiftType = (shiftType) => ShiftComponents[shiftType] || [shiftType];
+
+// Turn operatingShifts input (shift type names and/or { shiftType, startTime, ... }
+// objects) into one entry per real shift type
+export const normalizeShiftInput = (shifts = []) => {
+  const byType = new Map();
+  for (const shift of shifts) {
+    const definition = typeof shift === 'string' ? { shiftType: shift } : shift;
+    for (const shiftType of expandShiftType(definition.shiftType)) {
+      byType.set(shiftType, { ...byType.get(shiftType), ...definition, shiftType });
+    }
+  }
+  return [...byType.values()];
+};
+
+// Create/update the location's shift definitions to match `shifts` and remove
+// the rest. Updates location.operatingShifts but does not save the location.
+export const syncShiftDefinitions = async ({ location, locationType, shifts, session }) => {
+  const normalized = normalizeShiftInput(shifts);
+  const definitions = [];
+
+  for (const shift of normalized) {
+    const existing = await ShiftDefinition.findOne({ location: location._id, shiftType: shift.shiftType }).session(
+      session || null
+    );
+    const definition =
+      existing ||
+      new ShiftDefinition({
+        locationType,
+        location: location._id,
+        shiftType: shift.shiftType,
+        ...DEFAULT_SHIFT_TIMES[shift.shiftType],
+        timeZone: getDefaultTimeZone(),
+      });
+
+    for (const field of SHIFT_DEFINITION_FIELDS) {
+      if (shift[field] !== undefined) definition[field] = shift[field];
+    }
+    await definition.save({ session });
+    definitions.push(definition);
+  }
+
+  await ShiftDefinition.deleteMany(
+    { location: location._id, shiftType: { $nin: normalized.map((shift) => shift.shiftType) } },
+    { session }
+  );
+
+  location.operatingShifts = definitions.map((definition) => definition._id);
+  return definitions;
+};
+
+// Shift definitions of a location (whose operatingShifts may or may not be populated)
+export const getShiftDefinitions = (location, session) =>
+  ShiftDefinition.find({ _id: { $in: location.operatingShifts.map((shift) => shift._id || shift) } })
+    .session(session || null)
+    .lean();
+
+export const getOperatingShiftTypes = async (location, session) =>
+  (await getShiftDefinitions(location, session)).map((definition) => definition.shiftType);
+
+// Does the location operate every real shift behind this shift type?
+export const operatesShiftType = (operatingShiftTypes, shiftType) =>
+  expandShiftType(shiftType).every((component) => operatingShiftTypes.includes(component));
+
+// Concrete start and end of a shift on a calendar day, in UTC
+export const getShiftInterval = (definition, date) => {
+  const startsAt = zonedTimeToUtc(date, definition.startTime, definition.timeZone);
+  const overnight = definition.endTime <= definition.startTime;
+  const endsAt = zonedTimeToUtc(overnight ? addDays(date, 1) : date, definition.endTime, definition.timeZone);
+  return { startsAt, endsAt };
+};
+
+// Paid hours of a shift (length minus break)
+export const getShiftHours = (definition, date) => {
+  const { startsAt, endsAt } = getShiftInterval(definition, date);
+  return (endsAt - startsAt) / 3600000 - (definition.breakMinutes || 0) / 60;
+};
+
+// Look up definitions for a set of locations, keyed by `${locationId}|${shiftType}`
+export const getDefinitionMap = async (locationIds, session) => {
+  const definitions = await ShiftDefinition.find({ location: { $in: locationIds } })
+    .session(session || null)
+    .lean();
+  return new Map(definitions.map((definition) => [`${definition.location}|${definition.shiftType}`, definition]));
+};
+
+// Kitchens and shops used to store operatingShifts as shift type names;
+// replace them with shift definitions using the default hours
+export const migrateOperatingShifts = async () => {
+  for (const locationType of Object.values(LocationType)) {
+    const collection = mongoose.model(locationType).collection;
+    const locations = await collection.find({ 'operatingShifts.0': { $type: 'string' } }).toArray();
+
+    for (const location of locations) {
+      const shifts = location.operatingShifts.filter((shift) => typeof shift === 'string');
+      const holder = { _id: location._id, operatingShifts: [] };
+      await syncShiftDefinitions({ location: holder, locationType, shifts });
+      await collection.updateOne({ _id: location._id }, { $set: { operatingShifts: holder.operatingShifts } });
+    }
+  }
+};
+
+// operatingShifts may arrive from FormData as a single value or JSON strings
+export const parseShiftInput = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap((item) => {
+    if (typeof item !== 'string' || !/^\s*[[{]/.test(item)) return [item];
+    try {
+      return JSON.parse(item);
+    } catch (err) {
+      const error = new Error('operatingShifts contains invalid JSON');
+      error.status = 400;
+      throw error;
+    }
+  });
+};
+
+// express-validator custom check for staffing requirements: [{ role, count }]
+export const validateRequirements = async (requirements) => {
+  if (!Array.isArray(requirements)) throw new Error('requirements must be an array');
+
+  const roles = new Set();
+  for (const requirement of requirements) {
+    if (!requirement || typeof requirement.role !== 'string' || !(await roleExists(requirement.role))) {
+      throw new Error(`Invalid role in requirements: ${requirement?.role}`);
+    }
+    if (!Number.isInteger(Number(requirement.count)) || Number(requirement.count) < 1) {
+      throw new Error(`Required count for ${requirement.role} must be a positive integer`);
+    }
+    if (roles.has(requirement.role)) throw new Error(`Duplicate requirement for ${requirement.role}`);
+    roles.add(requirement.role);
+  }
+  return true;
+};
+
+// express-validator custom check for one operatingShifts entry
+export const validateShiftInput = async (value) => {
+  const [shift] = parseShiftInput(value);
+  const definition = typeof shift === 'string' ? { shiftType: shift } : shift;
+
+  if (!definition || !Object.values(ShiftType).includes(definition.shiftType)) {
+    throw new Error('Invalid shift type');
+  }
+  for (const field of ['startTime', 'endTime']) {
+    if (definition[field] !== undefined && !TIME_PATTERN.test(definition[field])) {
+      throw new Error(`${field} must be formatted as HH:mm`);
+    }
+  }
+  if (definition.breakMinutes !== undefined && !(Number(definition.breakMinutes) >= 0)) {
+    throw new Error('breakMinutes must be a positive number');
+  }
+  if (definition.timeZone !== undefined && !isValidTimeZone(definition.timeZone)) {
+    throw new Error('Invalid time zone');
+  }
+  if (definition.requirements !== undefined) {
+    await validateRequirements(definition.requirements);
+  }
+  return true;
+};
@@ -0,0 +1,111 @@
+import User from '../models/User.js';
+import UserHistory from '../models/UserHistory.js';
+import ShiftSwap from '../models/ShiftSwap.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import { ActionType, ShiftSwapStatus, ShiftSwapType } from '../utils/enums.js';
+import { toDateKey } from '../utils/dates.js';
+import { findLocation, setShiftAssignment } from './rosterService.js';
+import { createUserNotification } from '../controllers/notificationController.js';
+
+const describeShift = (assignment) => `${assignment.shiftType} shift on ${toDateKey(assignment.date)}`;
+
+// Mark offers whose deadline has passed as expired
+export const expireShiftSwaps = () =>
+  ShiftSwap.updateMany(
+    { status: { $in: [ShiftSwapStatus.OPEN, ShiftSwapStatus.ACCEPTED] }, expiresAt: { $lte: new Date() } },
+    { $set: { status: ShiftSwapStatus.EXPIRED } }
+  );
+
+const conflictError = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Load a dated shift and its location for a roster change
+const loadShift = async (assignmentId, session) => {
+  const assignment = await ShiftAssignment.findById(assignmentId).session(session);
+  const location = assignment && (await findLocation(assignment.locationType, assignment.location, session));
+  if (!assignment || !location) throw conflictError('The shift no longer exists');
+  return { assignment, location };
+};
+
+const replaceUser = (userIds, removeId, addId) => [
+  ...userIds.filter((id) => !id.equals(removeId)),
+  ...(addId ? [addId] : []),
+];
+
+// Apply an accepted offer to the roster: the accepter takes over the
+// requester's shift and, for swaps, the requester takes the accepter's shift.
+// Runs in the caller's transaction; scheduling conflicts abort it with a 409.
+export const applyShiftSwap = async ({ swap, actorId, session }) => {
+  const { assignment: shift, location } = await loadShift(swap.shift, session);
+  if (!shift.users.some((id) => id.equals(swap.requester))) {
+    throw conflictError('The requester is no longer on the offered shift');
+  }
+
+  const results = [];
+  const apply = async (target, targetLocation, userIds) =>
+    results.push(
+      await setShiftAssignment({
+        location: targetLocation,
+        locationType: target.locationType,
+        date: target.date,
+        shiftType: target.shiftType,
+        userIds,
+        actorId,
+        session,
+      })
+    );
+
+  if (swap.type === ShiftSwapType.SWAP) {
+    const { assignment: counterShift, location: counterLocation } = await loadShift(swap.counterShift, session);
+    if (!counterShift.users.some((id) => id.equals(swap.accepter))) {
+      throw conflictError('The accepter is no longer on the shift offered in exchange');
+    }
+
+    // Free the accepter first so their old shift does not count as an overlap
+    await apply(counterShift, counterLocation, replaceUser(counterShift.users, swap.accepter));
+    await apply(shift, location, replaceUser(shift.users, swap.requester, swap.accepter));
+    await apply(counterShift, counterLocation, [...replaceUser(counterShift.users, swap.accepter), swap.requester]);
+  } else {
+    await apply(shift, location, replaceUser(shift.users, swap.requester, swap.accepter));
+  }
+
+  for (const userId of [swap.requester, swap.accepter]) {
+    const userHistory = await new UserHistory({
+      user: userId,
+      action: ActionType.SHIFT_SWAP_APPROVED,
+      details: {
+        shiftSwapId: swap._id,
+        type: swap.type,
+        shiftAssignmentId: swap.shift,
+        counterShiftAssignmentId: swap.counterShift,
+        requester: swap.requester,
+        accepter: swap.accepter,
+      },
+    }).save({ session });
+    await User.updateOne({ _id: userId }, { $push: { history: userHistory._id } }, { session });
+  }
+
+  await createUserNotification(
+    swap.requester,
+    `Your ${swap.type.toLowerCase()} request for the ${describeShift(shift)} has been approved.`,
+    session
+  );
+  await createUserNotification(
+    swap.accepter,
+    `The ${swap.type.toLowerCase()} you accepted for the ${describeShift(shift)} has been approved.`,
+    session
+  );
+
+  swap.status = ShiftSwapStatus.APPROVED;
+  swap.reviewedBy = actorId;
+  swap.reviewedAt = new Date();
+  await swap.save({ session });
+
+  return {
+    warnings: results.flatMap((result) => result.warnings),
+    conflicts: results.flatMap((result) => result.conflicts),
+  };
+};
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import path from 'path';
+import { createLocalStorageDriver } from './localStorageDriver.js';
+import { createS3StorageDriver } from './s3StorageDriver.js';
+
+let driver = null;
+
+// STORAGE_DRIVER selects 'local' (default) or 's3'. Created on first use, once .env is loaded.
+const getDriver = () => {
+  if (driver) return driver;
+
+  if (process.env.STORAGE_DRIVER === 's3') {
+    driver = createS3StorageDriver({
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+        ? process.env.S3_FORCE_PATH_STYLE === 'true'
+        : Boolean(process.env.S3_ENDPOINT),
+    });
+  } else {
+    driver = createLocalStorageDriver({ root: path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads') });
+  }
+  return driver;
+};
+
+// How long signed file URLs stay valid
+const getUrlTtlSeconds = () => parseInt(process.env.FILE_URL_TTL_SECONDS, 10) || 15 * 60;
+
+const getSigningSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+// Files uploaded before the storage service were saved as their multer path, e.g. 'uploads/123.png'
+export const toStorageKey = (value) => value.replace(/\\/g, '/').replace(/^uploads\//, '');
+
+const signKey = (key, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${key}\n${expires}`).digest('base64url');
+
+// Whether a signature from a local file URL is valid and unexpired
+export const verifyFileSignature = (key, expires, signature) => {
+  if (!(Number(expires) > Date.now() / 1000) || typeof signature !== 'string') return false;
+  const expected = Buffer.from(signKey(key, expires));
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Store content under a key; returns the key
+export const saveBuffer = async (buffer, key, contentType) => {
+  await getDriver().put(key, buffer, contentType);
+  return key;
+};
+
+// Store an uploaded file (multer memory storage) under `folder`; returns its key
+export const saveFile = (file, folder) => {
+  const key = `${folder}/${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`;
+  return saveBuffer(file.buffer, key, file.mimetype);
+};
+
+// Stream of a stored file with its size and (when known) content type, or null
+export const openFile = (value) => getDriver().open(toStorageKey(value));
+
+// Content of a stored file, or null
+export const readFile = async (value) => {
+  const file = await openFile(value);
+  if (!file) return null;
+
+  const chunks = [];
+  for await (const chunk of file.stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Delete a stored file, e.g. one replaced by a new upload. Failures are only
+// logged so they never fail the request that replaced the file.
+export const removeFile = async (value) => {
+  if (!value) return;
+  try {
+    await getDriver().remove(toStorageKey(value));
+  } catch (error) {
+    console.error(`Error removing stored file ${value}:`, error);
+  }
+};
+
+// Signed URL to fetch a stored file until it expires
+export const getFileUrl = async (value) => {
+  if (!value) return undefined;
+  const key = toStorageKey(value);
+  const expiresIn = getUrlTtlSeconds();
+
+  const storage = getDriver();
+  if (storage.getSignedUrl) return storage.getSignedUrl(key, { expiresIn });
+
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  const base = process.env.FILE_URL_BASE || '';
+  return `${base}/api/files/${encodedKey}?expires=${expires}&signature=${signKey(key, expires)}`;
+};
+
+// Copy of a document (or each of a list) with a signed `<field>Url` next to each file field
+export const withFileUrls = async (docs, fields) => {
+  const sign = async (doc) => {
+    if (!doc) return doc;
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+    for (const field of fields) {
+      plain[`${field}Url`] = await getFileUrl(plain[field]);
+    }
+    return plain;
+  };
+  return Array.isArray(docs) ? Promise.all(docs.map(sign)) : sign(docs);
+};
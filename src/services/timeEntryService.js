@@ -0,0 +1,319 @@
+import { genSalt, hash, compare } from 'bcrypt';
+import User from '../models/User.js';
+import UserHistory from '../models/UserHistory.js';
+import TimeEntry from '../models/TimeEntry.js';
+import ShiftAssignment from '../models/ShiftAssignment.js';
+import { ActionType, LocationType, TimeEntryStatus } from '../utils/enums.js';
+import { addDays, toDateKey, today } from '../utils/dates.js';
+import { withShiftTimes } from './rosterService.js';
+import { createUserNotification } from '../controllers/notificationController.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const getMinutes = (name, fallback) => {
+  const minutes = parseInt(process.env[name], 10);
+  return Number.isNaN(minutes) ? fallback : minutes;
+};
+
+// How early before its start a shift can be clocked into
+export const getEarlyClockInMinutes = () => getMinutes('CLOCK_IN_EARLY_MINUTES', 30);
+// Clocking in later than this after the start counts as late
+export const getLateGraceMinutes = () => getMinutes('LATE_GRACE_MINUTES', 5);
+// Nobody clocked in this long after the start: no-show
+export const getNoShowMinutes = () => getMinutes('NO_SHOW_AFTER_MINUTES', 60);
+// Still clocked in this long after the scheduled end: missed clock-out
+export const getMissedClockOutMinutes = () => getMinutes('MISSED_CLOCK_OUT_AFTER_MINUTES', 120);
+
+export const OPEN_STATUSES = [TimeEntryStatus.CLOCKED_IN, TimeEntryStatus.ON_BREAK];
+
+// Entry fields a correction can change
+export const CORRECTABLE_FIELDS = ['clockInAt', 'clockOutAt', 'breaks'];
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const minutesBetween = (from, to) => Math.max(0, Math.round((to - from) / MINUTE_MS));
+
+const describeEntry = (entry) => `${entry.shiftType} shift on ${toDateKey(entry.date)}`;
+
+// Minutes past the scheduled start, or 0 within the grace period
+const getLateMinutes = (scheduledStart, clockInAt) => {
+  const minutes = minutesBetween(scheduledStart, clockInAt);
+  return minutes > getLateGraceMinutes() ? minutes : 0;
+};
+
+// Recalculate break and worked minutes once both clock times are known
+const computeTotals = (entry) => {
+  entry.lateMinutes = entry.clockInAt ? getLateMinutes(entry.scheduledStart, entry.clockInAt) : 0;
+  if (!entry.clockInAt || !entry.clockOutAt) {
+    entry.breakMinutes = 0;
+    entry.workedMinutes = undefined;
+    return;
+  }
+  entry.breakMinutes = entry.breaks.reduce(
+    (total, entryBreak) => total + minutesBetween(entryBreak.startedAt, entryBreak.endedAt || entry.clockOutAt),
+    0
+  );
+  entry.workedMinutes = Math.max(0, minutesBetween(entry.clockInAt, entry.clockOutAt) - entry.breakMinutes);
+};
+
+export const findOpenEntry = (userId, session) =>
+  TimeEntry.findOne({ user: userId, status: { $in: OPEN_STATUSES } }).session(session || null);
+
+// The user's shift that can be clocked into now: started (or about to) and not
+// over yet, without a time entry
+const findClockableShift = async (userId, now, shiftAssignmentId) => {
+  const assignments = await ShiftAssignment.find({
+    users: userId,
+    date: { $gte: addDays(today(), -1), $lte: addDays(today(), 1) },
+    ...(shiftAssignmentId && { _id: shiftAssignmentId }),
+  }).lean();
+
+  const earliest = now.getTime() + getEarlyClockInMinutes() * MINUTE_MS;
+  const candidates = (await withShiftTimes(assignments))
+    .filter((shift) => shift.startsAt && shift.startsAt <= earliest && shift.endsAt > now)
+    .sort((a, b) => a.startsAt - b.startsAt);
+
+  for (const shift of candidates) {
+    if (!(await TimeEntry.exists({ user: userId, shift: shift._id }))) return shift;
+  }
+  return null;
+};
+
+// Hash and store the PIN a user confirms shared-device clock-ins with
+export const setClockPin = async (userId, pin) => {
+  const salt = await genSalt(10);
+  await User.updateOne({ _id: userId }, { $set: { pinHash: await hash(pin, salt) } });
+};
+
+export const removeClockPin = (userId) => User.updateOne({ _id: userId }, { $unset: { pinHash: 1 } });
+
+// Throw unless the user has a PIN and the given one matches
+export const verifyClockPin = async (userId, pin) => {
+  const user = await User.findById(userId).select('+pinHash').lean();
+  if (!user?.pinHash) throw httpError(403, 'Set a PIN before recording time for colleagues');
+  if (!pin || !(await compare(pin, user.pinHash))) throw httpError(403, 'Invalid PIN');
+};
+
+export const clockInUser = async ({ userId, shiftAssignmentId, confirmedBy }) => {
+  if (await findOpenEntry(userId)) throw httpError(409, 'Already clocked in');
+
+  const now = new Date();
+  const shift = await findClockableShift(userId, now, shiftAssignmentId);
+  if (!shift) throw httpError(409, 'No scheduled shift to clock in to right now');
+
+  try {
+    return await new TimeEntry({
+      user: userId,
+      shift: shift._id,
+      locationType: shift.locationType,
+      location: shift.location,
+      date: shift.date,
+      shiftType: shift.shiftType,
+      scheduledStart: shift.startsAt,
+      scheduledEnd: shift.endsAt,
+      status: TimeEntryStatus.CLOCKED_IN,
+      clockInAt: now,
+      lateMinutes: getLateMinutes(shift.startsAt, now),
+      clockInConfirmedBy: confirmedBy,
+    }).save();
+  } catch (error) {
+    // Two clock-ins for the same shift at once
+    if (error.code === 11000) throw httpError(409, 'Already clocked in for this shift');
+    throw error;
+  }
+};
+
+export const clockOutUser = async ({ userId, confirmedBy }) => {
+  const entry = await findOpenEntry(userId);
+  if (!entry) throw httpError(409, 'Not clocked in');
+
+  const now = new Date();
+  const openBreak = entry.breaks.find((entryBreak) => !entryBreak.endedAt);
+  if (openBreak) openBreak.endedAt = now;
+
+  entry.clockOutAt = now;
+  entry.clockOutConfirmedBy = confirmedBy;
+  entry.status = TimeEntryStatus.CLOCKED_OUT;
+  computeTotals(entry);
+  return entry.save();
+};
+
+export const startUserBreak = async (userId) => {
+  const entry = await findOpenEntry(userId);
+  if (!entry) throw httpError(409, 'Not clocked in');
+  if (entry.status === TimeEntryStatus.ON_BREAK) throw httpError(409, 'Already on a break');
+
+  entry.breaks.push({ startedAt: new Date() });
+  entry.status = TimeEntryStatus.ON_BREAK;
+  return entry.save();
+};
+
+export const endUserBreak = async (userId) => {
+  const entry = await findOpenEntry(userId);
+  if (entry?.status !== TimeEntryStatus.ON_BREAK) throw httpError(409, 'Not on a break');
+
+  entry.breaks.find((entryBreak) => !entryBreak.endedAt).endedAt = new Date();
+  entry.status = TimeEntryStatus.CLOCKED_IN;
+  return entry.save();
+};
+
+const validateEntryTimes = (entry) => {
+  if (entry.clockOutAt && !entry.clockInAt) throw httpError(400, 'clockOutAt needs a clockInAt');
+  if (entry.clockOutAt && entry.clockOutAt <= entry.clockInAt) {
+    throw httpError(400, 'clockOutAt must be after clockInAt');
+  }
+
+  for (const entryBreak of entry.breaks) {
+    const end = entryBreak.endedAt || entry.clockOutAt;
+    if (
+      !entry.clockInAt ||
+      entryBreak.startedAt < entry.clockInAt ||
+      (end && end <= entryBreak.startedAt) ||
+      (entry.clockOutAt && end > entry.clockOutAt)
+    ) {
+      throw httpError(400, 'Breaks must fall between clockInAt and clockOutAt');
+    }
+  }
+};
+
+// Status implied by the clock times after a correction
+const correctedStatus = (entry) => {
+  if (!entry.clockInAt) return TimeEntryStatus.NO_SHOW;
+  if (entry.clockOutAt) return TimeEntryStatus.CLOCKED_OUT;
+  return entry.breaks.some((entryBreak) => !entryBreak.endedAt) ? TimeEntryStatus.ON_BREAK : TimeEntryStatus.CLOCKED_IN;
+};
+
+// Change the clock times of an entry, keeping what changed, who changed it and why
+export const applyTimeEntryCorrection = async ({ entry, changes, reason, actorId, session }) => {
+  const before = entry.toObject();
+  const recorded = [];
+
+  for (const field of CORRECTABLE_FIELDS) {
+    if (changes[field] === undefined) continue;
+    entry[field] = changes[field];
+    const from = before[field];
+    const to = entry.toObject()[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) recorded.push({ field, from, to });
+  }
+
+  if (recorded.length === 0) throw httpError(400, 'Nothing to correct');
+
+  validateEntryTimes(entry);
+  computeTotals(entry);
+  entry.status = correctedStatus(entry);
+  entry.corrections.push({ correctedBy: actorId, reason, changes: recorded });
+  await entry.save({ session });
+
+  const userHistory = await new UserHistory({
+    user: entry.user,
+    action: ActionType.TIME_ENTRY_CORRECTED,
+    details: { timeEntryId: entry._id, date: toDateKey(entry.date), shiftType: entry.shiftType, reason },
+  }).save({ session });
+  await User.updateOne({ _id: entry.user }, { $push: { history: userHistory._id } }, { session });
+
+  await createUserNotification(
+    entry.user,
+    `Your time entry for the ${describeEntry(entry)} was corrected. Reason: ${reason}`,
+    session
+  );
+
+  return entry;
+};
+
+// Notify the managers of the entry's location
+const notifyLocationManagers = async (entry, message) => {
+  const managedField = entry.locationType === LocationType.KITCHEN ? 'managedKitchens' : 'managedShops';
+  const managers = await User.find({ [managedField]: entry.location }).select('_id').lean();
+  for (const manager of managers) {
+    await createUserNotification(manager._id, message);
+  }
+};
+
+// Flag open entries long past their scheduled end, and create no-show entries
+// for scheduled users who never clocked in. Runs periodically; entries are
+// unique per user and shift, so repeated runs change nothing.
+export const detectAttendanceIssues = async () => {
+  const now = new Date();
+
+  const missed = await TimeEntry.find({
+    status: { $in: OPEN_STATUSES },
+    scheduledEnd: { $lte: new Date(now.getTime() - getMissedClockOutMinutes() * MINUTE_MS) },
+  }).populate('user', 'username');
+
+  for (const entry of missed) {
+    entry.status = TimeEntryStatus.MISSED_CLOCK_OUT;
+    await entry.save();
+    await createUserNotification(
+      entry.user._id,
+      `You did not clock out of the ${describeEntry(entry)}. Ask a manager to correct your time entry.`
+    );
+    await notifyLocationManagers(entry, `${entry.user.username} did not clock out of the ${describeEntry(entry)}.`);
+  }
+
+  const noShowBefore = now.getTime() - getNoShowMinutes() * MINUTE_MS;
+  const assignments = await ShiftAssignment.find({
+    date: { $gte: addDays(today(), -2), $lte: today() },
+    'users.0': { $exists: true },
+  }).lean();
+  const dueShifts = (await withShiftTimes(assignments)).filter(
+    (shift) => shift.startsAt && shift.startsAt <= noShowBefore
+  );
+
+  for (const shift of dueShifts) {
+    for (const userId of shift.users) {
+      const result = await TimeEntry.updateOne(
+        { user: userId, shift: shift._id },
+        {
+          $setOnInsert: {
+            locationType: shift.locationType,
+            location: shift.location,
+            date: shift.date,
+            shiftType: shift.shiftType,
+            scheduledStart: shift.startsAt,
+            scheduledEnd: shift.endsAt,
+            status: TimeEntryStatus.NO_SHOW,
+          },
+        },
+        { upsert: true }
+      );
+      if (!result.upsertedCount) continue;
+
+      const user = await User.findById(userId).select('username').lean();
+      await createUserNotification(userId, `You were marked absent from the ${describeEntry(shift)}.`);
+      await notifyLocationManagers(shift, `${user?.username} did not show up for the ${describeEntry(shift)}.`);
+    }
+  }
+};
+
+// Per-user totals of a list of entries (lean, user populated or not)
+export const summarizeTimesheet = (entries) => {
+  const summaries = new Map();
+  for (const entry of entries) {
+    const userId = (entry.user._id || entry.user).toString();
+    const summary = summaries.get(userId) || {
+      user: entry.user,
+      shifts: 0,
+      scheduledMinutes: 0,
+      workedMinutes: 0,
+      breakMinutes: 0,
+      lateCount: 0,
+      lateMinutes: 0,
+      noShowCount: 0,
+      missedClockOutCount: 0,
+    };
+    summary.shifts += 1;
+    summary.scheduledMinutes += minutesBetween(entry.scheduledStart, entry.scheduledEnd);
+    summary.workedMinutes += entry.workedMinutes || 0;
+    summary.breakMinutes += entry.breakMinutes || 0;
+    if (entry.lateMinutes > 0) summary.lateCount += 1;
+    summary.lateMinutes += entry.lateMinutes || 0;
+    if (entry.status === TimeEntryStatus.NO_SHOW) summary.noShowCount += 1;
+    if (entry.status === TimeEntryStatus.MISSED_CLOCK_OUT) summary.missedClockOutCount += 1;
+    summaries.set(userId, summary);
+  }
+  return [...summaries.values()];
+};
@@ -0,0 +1,57 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import { hashToken } from '../utils/tokens.js';
+import { verifyTotp } from '../utils/totp.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Roles listed in TWO_FACTOR_REQUIRED_ROLES (comma separated) must enroll in 2FA
+export const isTwoFactorRequired = (roleName) =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+    .split(',')
+    .map((role) => role.trim())
+    .filter(Boolean)
+    .includes(roleName);
+
+// Generate one-time recovery codes; only their hashes are stored
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashed: codes.map((code) => ({ hash: hashToken(code), usedAt: null })),
+  };
+};
+
+// Load a user together with their 2FA secrets
+export const findUserWithTwoFactor = (userId) => User.findById(userId).select(TWO_FACTOR_SECRET_FIELDS);
+
+// Verify a TOTP code (rejecting a replay of the last accepted code) or a
+// recovery code (which is consumed). Saves the user when it succeeds.
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || (user.twoFactor.lastUsedStep && step <= user.twoFactor.lastUsedStep)) {
+      return false;
+    }
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(recoveryCode.trim().toLowerCase());
+    const entry = user.twoFactor.recoveryCodes.find((candidate) => candidate.hash === hash && !candidate.usedAt);
+    if (!entry) return false;
+    entry.usedAt = new Date();
+    await user.save();
+    return true;
+  }
+
+  return false;
+};
@@ -0,0 +1,384 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import User from '../models/User.js';
+import Kitchen from '../models/Kitchen.js';
+import Shop from '../models/Shop.js';
+import RoleModel from '../models/Role.js';
+import UserHistory from '../models/UserHistory.js';
+import PasswordResetToken from '../models/PasswordResetToken.js';
+import { ActionType, ImportNotification, LocationType } from '../utils/enums.js';
+import { isDateKey, toDateKey, toUtcDate } from '../utils/dates.js';
+import { parseCsv } from '../utils/csv.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { sendMail } from './mailer.js';
+
+export const IMPORT_FILE_TYPES = {
+  'text/csv': ['.csv'],
+  'application/vnd.ms-excel': ['.csv'], // what some browsers send for CSV
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+  'application/octet-stream': ['.csv', '.xlsx'],
+};
+
+export const MAX_IMPORT_SIZE = 2 * 1024 * 1024;
+export const MAX_IMPORT_ROWS = 500;
+
+// Fields a column can be mapped to; kitchen and shop take a name or an ID
+export const IMPORT_FIELDS = [
+  'username',
+  'email',
+  'role',
+  'salary',
+  'hourlyRate',
+  'nationality',
+  'sex',
+  'visaStatus',
+  'visaExpiryDate',
+  'kitchen',
+  'shop',
+];
+
+const REQUIRED_FIELDS = ['username', 'email', 'role'];
+
+// Other header names recognised without a mapping
+const HEADER_ALIASES = {
+  kitchen: ['kitchenid', 'kitchenname'],
+  shop: ['shopid', 'shopname'],
+  visaExpiryDate: ['visaexpiry', 'visaexpires'],
+  email: ['emailaddress'],
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const getSetupLinkTtlDays = () => parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7;
+
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Text of an XLSX cell; dates become 'YYYY-MM-DD'
+const cellToText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return toDateKey(value);
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellToText(value.result); // formula
+    if (value.text !== undefined) return String(value.text); // hyperlink
+    if (value.richText) return value.richText.map((part) => part.text).join('');
+  }
+  return String(value);
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw httpError(400, 'The file is not a valid XLSX workbook');
+  }
+
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+  worksheet?.eachRow((row, rowNumber) => {
+    // row.values is 1-based
+    rows.push({ rowNumber, cells: row.values.slice(1).map(cellToText) });
+  });
+  return rows;
+};
+
+const readCsv = (buffer) =>
+  parseCsv(buffer.toString('utf8')).map((cells, index) => ({ rowNumber: index + 1, cells }));
+
+// Read the header and data rows of an uploaded CSV or XLSX file (first sheet)
+export const readSpreadsheet = async (file) => {
+  const rows =
+    path.extname(file.originalname).toLowerCase() === '.xlsx' ? await readXlsx(file.buffer) : readCsv(file.buffer);
+  const [header, ...data] = rows.filter((row) => row.cells.some((cell) => String(cell).trim() !== ''));
+
+  if (!header) throw httpError(400, 'The file is empty');
+  if (data.length === 0) throw httpError(400, 'The file has no rows below its header');
+  if (data.length > MAX_IMPORT_ROWS) throw httpError(400, `Import at most ${MAX_IMPORT_ROWS} rows at a time`);
+
+  return { headers: header.cells.map((cell) => String(cell).trim()), rows: data };
+};
+
+// Column index of each field: from the mapping ({ field: header }) where given,
+// otherwise from a header matching the field name, e.g. 'Visa Expiry Date'
+export const resolveColumns = (headers, mapping = {}) => {
+  const unknownFields = Object.keys(mapping).filter((field) => !IMPORT_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw httpError(400, `Unknown fields in mapping: ${unknownFields.join(', ')}`);
+  }
+
+  const normalizedHeaders = headers.map(normalizeHeader);
+  const columns = {};
+  for (const field of IMPORT_FIELDS) {
+    if (mapping[field] !== undefined) {
+      const index = headers.indexOf(String(mapping[field]).trim());
+      if (index === -1) throw httpError(400, `Column "${mapping[field]}" mapped to ${field} is not in the file`);
+      columns[field] = index;
+      continue;
+    }
+
+    const names = [field.toLowerCase(), ...(HEADER_ALIASES[field] || [])];
+    const index = normalizedHeaders.findIndex((header) => names.includes(header));
+    if (index !== -1) columns[field] = index;
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => columns[field] === undefined);
+  if (missing.length > 0) {
+    throw httpError(400, `No column found for ${missing.join(', ')}; map them explicitly`);
+  }
+  if (columns.kitchen !== undefined && columns.kitchen === columns.shop) {
+    throw httpError(400, 'kitchen and shop cannot be read from the same column');
+  }
+  return columns;
+};
+
+// Find a kitchen or shop by ID or (case-insensitive) name
+const createLocationLookup = (locations) => {
+  const byId = new Map(locations.map((location) => [String(location._id), location]));
+  const byName = new Map();
+  for (const location of locations) {
+    const name = location.name.trim().toLowerCase();
+    byName.set(name, byName.has(name) ? null : location); // null marks an ambiguous name
+  }
+  return (value) => (byId.has(value) ? byId.get(value) : byName.get(value.toLowerCase()));
+};
+
+const parseAmount = (value, field, errors) => {
+  if (value === undefined) return undefined;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    errors.push({ field, message: `${field} must be a non-negative number` });
+    return undefined;
+  }
+  return amount;
+};
+
+// Validate every row and check usernames and emails against each other and
+// existing users. Roles may only grant `permissions`, those of the importing caller.
+// Returns one entry per row with the user to create and its errors.
+export const validateImportRows = async (rows, columns, { permissions }) => {
+  const [roles, kitchens, shops] = await Promise.all([
+    RoleModel.find().select('name permissions locationTypes').lean(),
+    Kitchen.find({ isDeleted: false }).select('name').lean(),
+    Shop.find({ isDeleted: false }).select('name').lean(),
+  ]);
+  const rolesByName = new Map(roles.map((role) => [role.name, role]));
+  const findKitchen = createLocationLookup(kitchens);
+  const findShop = createLocationLookup(shops);
+
+  const read = (row, field) => {
+    if (columns[field] === undefined) return undefined;
+    const value = String(row.cells[columns[field]] ?? '').trim();
+    return value === '' ? undefined : value;
+  };
+
+  const results = rows.map((row) => {
+    const errors = [];
+    const username = read(row, 'username');
+    const email = read(row, 'email')?.toLowerCase();
+    const role = read(row, 'role');
+    const kitchenName = read(row, 'kitchen');
+    const shopName = read(row, 'shop');
+    const visaExpiryDate = read(row, 'visaExpiryDate');
+
+    if (!username) errors.push({ field: 'username', message: 'Username is required' });
+    if (!email) errors.push({ field: 'email', message: 'Email is required' });
+    else if (!EMAIL_PATTERN.test(email)) errors.push({ field: 'email', message: 'Email is not valid' });
+
+    const roleDefinition = role && rolesByName.get(role);
+    if (!role) errors.push({ field: 'role', message: 'Role is required' });
+    else if (!roleDefinition) errors.push({ field: 'role', message: `Unknown role: ${role}` });
+    else if (!roleDefinition.permissions.every((permission) => permissions.includes(permission))) {
+      errors.push({ field: 'role', message: `You cannot assign ${role}, it has permissions you do not hold` });
+    }
+
+    if (visaExpiryDate && !isDateKey(visaExpiryDate)) {
+      errors.push({ field: 'visaExpiryDate', message: 'visaExpiryDate must be formatted as YYYY-MM-DD' });
+    }
+
+    let kitchen;
+    let shop;
+    if (kitchenName && shopName) {
+      errors.push({ field: 'shop', message: 'A user can work at a kitchen or a shop, not both' });
+    } else if (kitchenName || shopName) {
+      const [field, name, location] = kitchenName
+        ? ['kitchen', kitchenName, (kitchen = findKitchen(kitchenName))]
+        : ['shop', shopName, (shop = findShop(shopName))];
+      const locationType = kitchenName ? LocationType.KITCHEN : LocationType.SHOP;
+      const allowedTypes = roleDefinition?.locationTypes || [];
+
+      if (location === null) {
+        errors.push({ field, message: `Several ${field}s are named "${name}", use its ID` });
+      } else if (!location) {
+        errors.push({ field, message: `No ${field} found for "${name}"` });
+      } else if (allowedTypes.length > 0 && !allowedTypes.includes(locationType)) {
+        errors.push({ field, message: `${role} cannot work at a ${field}` });
+      }
+    }
+
+    return {
+      row: row.rowNumber,
+      user: {
+        username,
+        email,
+        role,
+        salary: parseAmount(read(row, 'salary'), 'salary', errors),
+        hourlyRate: parseAmount(read(row, 'hourlyRate'), 'hourlyRate', errors),
+        nationality: read(row, 'nationality'),
+        sex: read(row, 'sex'),
+        visaStatus: read(row, 'visaStatus'),
+        visaExpiryDate: isDateKey(visaExpiryDate) ? visaExpiryDate : undefined,
+        kitchenId: kitchen?._id,
+        kitchen: kitchen?.name,
+        shopId: shop?._id,
+        shop: shop?.name,
+      },
+      errors,
+    };
+  });
+
+  // Duplicates within the file point at the first row using the value
+  for (const field of ['username', 'email']) {
+    const firstRows = new Map();
+    for (const result of results) {
+      const value = result.user[field];
+      if (!value) continue;
+      if (firstRows.has(value)) {
+        result.errors.push({ field, message: `Duplicate of row ${firstRows.get(value)}` });
+      } else {
+        firstRows.set(value, result.row);
+      }
+    }
+  }
+
+  const existing = await User.find({
+    $or: [
+      { username: { $in: results.map((result) => result.user.username).filter(Boolean) } },
+      { email: { $in: results.map((result) => result.user.email).filter(Boolean) } },
+    ],
+  })
+    .select('username email')
+    .lean();
+  const existingUsernames = new Set(existing.map((user) => user.username));
+  const existingEmails = new Set(existing.map((user) => user.email));
+  for (const result of results) {
+    if (existingUsernames.has(result.user.username)) {
+      result.errors.push({ field: 'username', message: 'A user with this username already exists' });
+    }
+    if (existingEmails.has(result.user.email)) {
+      result.errors.push({ field: 'email', message: 'A user with this email already exists' });
+    }
+  }
+
+  return results;
+};
+
+const sendAccountEmail = async (user, { token, password }) => {
+  const clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  const intro = `Hello ${user.username},\n\nAn account has been created for you at Don Bambaloni as ${user.role}.\n\n`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your Don Bambaloni account',
+    text: token
+      ? `${intro}Choose your password here (valid for ${getSetupLinkTtlDays()} days):\n\n` +
+        `${clientUrl}/reset-password?token=${token}`
+      : `${intro}Log in at ${clientUrl}/login with your email and this temporary password:\n\n${password}\n\n` +
+        'You will be asked to choose a new password.',
+  });
+};
+
+// Create the users of validated rows in one transaction, then email each of
+// them a password setup link or a temporary password. Emails that fail are
+// reported; the accounts stay and a password reset can be requested instead.
+export const commitImport = async (results, { notification, actorId }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  const created = [];
+  try {
+    for (const { row, user: fields } of results) {
+      const password = generateToken(6);
+      const user = new User({
+        username: fields.username,
+        email: fields.email,
+        role: fields.role,
+        salary: fields.salary,
+        hourlyRate: fields.hourlyRate,
+        nationality: fields.nationality,
+        sex: fields.sex,
+        visaStatus: fields.visaStatus,
+        visaExpiryDate: fields.visaExpiryDate ? toUtcDate(fields.visaExpiryDate) : undefined,
+        kitchenId: fields.kitchenId,
+        shopId: fields.shopId,
+        password,
+        mustChangePassword: true,
+      });
+
+      // Record the initial location in the user's history
+      if (fields.kitchenId || fields.shopId) {
+        const userHistory = await new UserHistory({
+          user: user._id,
+          action: fields.kitchenId ? ActionType.ASSIGNED_TO_KITCHEN : ActionType.ASSIGNED_TO_SHOP,
+          details: {
+            ...(fields.kitchenId ? { kitchenId: fields.kitchenId } : { shopId: fields.shopId }),
+            reason: 'Assigned through user import',
+            importedBy: actorId,
+          },
+        }).save({ session });
+        user.history.push(userHistory._id);
+      }
+
+      await user.save({ session });
+
+      let token;
+      if (notification === ImportNotification.INVITATION) {
+        token = generateToken();
+        await new PasswordResetToken({
+          user: user._id,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + getSetupLinkTtlDays() * 24 * 60 * 60 * 1000),
+        }).save({ session });
+      }
+
+      created.push({ row, user, credentials: token ? { token } : { password } });
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    if (error.code === 11000) {
+      throw httpError(409, 'A username or email was taken while importing; run the dry run again');
+    }
+    throw error;
+  }
+
+  const notificationFailures = [];
+  for (const { row, user, credentials } of created) {
+    try {
+      await sendAccountEmail(user, credentials);
+    } catch (error) {
+      console.error(`Error emailing imported user ${user._id}:`, error);
+      notificationFailures.push({ row, email: user.email, message: error.message });
+    }
+  }
+
+  return {
+    users: created.map(({ row, user }) => ({
+      row,
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+    })),
+    notificationFailures,
+  };
+};
@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import EmployeeDocument from '../models/EmployeeDocument.js';
+import { AvailabilityStatus, DocumentType, LocationType, Role } from '../utils/enums.js';
+import { addDays, daysBetween, toDateKey, today } from '../utils/dates.js';
+import { setManualAvailability } from './availabilityService.js';
+import { createUniqueNotification } from '../controllers/notificationController.js';
+
+// Days before expiry at which employees and admins are reminded, e.g. '90,30,7'
+export const getVisaAlertDays = () => {
+  const days = (process.env.VISA_ALERT_DAYS || '90,30,7')
+    .split(',')
+    .map((value) => parseInt(value, 10))
+    .filter((value) => value > 0);
+  return [...new Set(days)].sort((a, b) => a - b);
+};
+
+// Smallest alert window the expiry falls in, or undefined
+const getAlertWindow = (daysLeft, windows) => windows.find((window) => daysLeft <= window);
+
+const describeExpiry = (daysLeft, expiryDate) =>
+  daysLeft === 0
+    ? 'expires today'
+    : `expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'} (${toDateKey(expiryDate)})`;
+
+// Visas and other documents expiring from `from` up to (not including) `until`,
+// each with the reminder key of its expiry date
+const findExpiries = async (from, until) => {
+  const expiryDate = { $gte: from, $lt: until };
+  const [users, documents] = await Promise.all([
+    User.find({ visaExpiryDate: expiryDate }).select('username visaExpiryDate').lean(),
+    // Visa documents are tracked through the user's visa expiry date
+    EmployeeDocument.find({ isDeleted: false, type: { $ne: DocumentType.VISA }, expiryDate })
+      .select('user type title expiryDate')
+      .populate('user', 'username')
+      .lean(),
+  ]);
+
+  return [
+    ...users.map((user) => ({
+      user,
+      label: 'visa',
+      expiryDate: user.visaExpiryDate,
+      key: `visa-expiry:${user._id}:${toDateKey(user.visaExpiryDate)}`,
+    })),
+    ...documents
+      .filter((document) => document.user)
+      .map((document) => ({
+        user: document.user,
+        label: document.title || document.type,
+        expiryDate: document.expiryDate,
+        key: `document-expiry:${document._id}:${toDateKey(document.expiryDate)}`,
+      })),
+  ];
+};
+
+// Remind employees, and all admins, of visas and documents expiring within an
+// alert window. Each reminder is keyed by document, expiry date and window so
+// it is sent once; a renewal gets reminders again.
+export const sendVisaExpiryAlerts = async () => {
+  const windows = getVisaAlertDays();
+  if (windows.length === 0) return;
+
+  const day = today();
+  const [expiries, admins] = await Promise.all([
+    findExpiries(day, addDays(day, windows[windows.length - 1] + 1)),
+    User.find({ role: Role.ADMIN }).select('_id').lean(),
+  ]);
+
+  for (const { user, label, expiryDate, key } of expiries) {
+    const daysLeft = daysBetween(day, expiryDate);
+    const dedupeKey = `${key}:${getAlertWindow(daysLeft, windows)}`;
+    const expiry = describeExpiry(daysLeft, expiryDate);
+
+    await createUniqueNotification(
+      user._id,
+      `Your ${label} ${expiry}. Please arrange its renewal and share the new document with an administrator.`,
+      dedupeKey
+    );
+    for (const admin of admins) {
+      await createUniqueNotification(admin._id, `The ${label} of ${user.username} ${expiry}.`, dedupeKey);
+    }
+  }
+};
+
+// Record a user's new visa expiry date. A user made unavailable for their
+// lapsed visa becomes available again once it is renewed.
+export const updateVisaExpiry = async (userId, expiryDate, session) => {
+  const user = await User.findById(userId).session(session);
+  if (!user) return;
+
+  user.visaExpiryDate = expiryDate;
+  const renewed =
+    user.visaLapsedFor && expiryDate >= today() && user.manualAvailability === AvailabilityStatus.UNAVAILABLE;
+  if (!renewed) {
+    await user.save({ session });
+    return;
+  }
+
+  user.visaLapsedFor = null;
+  await setManualAvailability(user, true, `Visa renewed until ${toDateKey(expiryDate)}`, session);
+};
+
+// Make users whose visa has expired unavailable, once per expiry date. Each
+// user is updated in its own transaction.
+export const markExpiredVisasUnavailable = async () => {
+  const users = await User.find({
+    visaExpiryDate: { $lt: today() },
+    manualAvailability: { $ne: AvailabilityStatus.UNAVAILABLE },
+    $expr: { $ne: ['$visaLapsedFor', '$visaExpiryDate'] },
+  }).select('_id');
+
+  for (const { _id } of users) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      const user = await User.findById(_id).session(session);
+      user.visaLapsedFor = user.visaExpiryDate;
+      await setManualAvailability(user, false, `Visa expired on ${toDateKey(user.visaExpiryDate)}`, session);
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      console.error(`Error marking user ${_id} unavailable for an expired visa:`, error);
+    } finally {
+      session.endSession();
+    }
+  }
+};
+
+export const runVisaChecks = async () => {
+  await markExpiredVisasUnavailable();
+  await sendVisaExpiryAlerts();
+};
+
+const addToGroup = (groups, key, fields, status, entry) => {
+  if (!groups.has(key)) groups.set(key, { ...fields, lapsed: [], upcoming: [] });
+  groups.get(key)[status].push(entry);
+};
+
+const sortGroups = (groups) =>
+  [...groups.values()]
+    .map((group) => ({ ...group, lapsedCount: group.lapsed.length, upcomingCount: group.upcoming.length }))
+    .sort((a, b) => b.lapsedCount - a.lapsedCount || b.upcomingCount - a.upcomingCount);
+
+const USER_REPORT_FIELDS = 'username email role nationality visaStatus visaExpiryDate isAvailable kitchenId shopId';
+const LOCATION_POPULATE = [
+  { path: 'kitchenId', select: 'name' },
+  { path: 'shopId', select: 'name' },
+];
+
+const getLocation = (user) => {
+  if (user.kitchenId) return { locationType: LocationType.KITCHEN, location: user.kitchenId };
+  if (user.shopId) return { locationType: LocationType.SHOP, location: user.shopId };
+  return { locationType: null, location: null };
+};
+
+// Lapsed visas and documents, and those expiring within `days`, grouped by
+// nationality and by location, for the users matching `filter`
+export const getExpiryReport = async (filter, days) => {
+  const day = today();
+  const until = addDays(day, days + 1);
+  const [users, documents] = await Promise.all([
+    User.find({ ...filter, visaExpiryDate: { $lt: until } })
+      .select(USER_REPORT_FIELDS)
+      .populate(LOCATION_POPULATE)
+      .lean(),
+    EmployeeDocument.find({ isDeleted: false, type: { $ne: DocumentType.VISA }, expiryDate: { $lt: until } })
+      .select('user type title expiryDate currentVersion')
+      .populate({ path: 'user', match: filter, select: USER_REPORT_FIELDS, populate: LOCATION_POPULATE })
+      .lean(),
+  ]);
+
+  const expiries = [
+    ...users.map((user) => ({ user, documentType: DocumentType.VISA, expiryDate: user.visaExpiryDate })),
+    ...documents
+      .filter((document) => document.user) // outside the caller's scope
+      .map((document) => ({
+        user: document.user,
+        documentType: document.type,
+        document: { _id: document._id, title: document.title, currentVersion: document.currentVersion },
+        expiryDate: document.expiryDate,
+      })),
+  ].sort((a, b) => a.expiryDate - b.expiryDate);
+
+  const byNationality = new Map();
+  const byLocation = new Map();
+  let lapsedCount = 0;
+  for (const { user, documentType, document, expiryDate } of expiries) {
+    const daysLeft = daysBetween(day, expiryDate);
+    const status = daysLeft < 0 ? 'lapsed' : 'upcoming';
+    if (daysLeft < 0) lapsedCount += 1;
+
+    const entry = {
+      user: { _id: user._id, username: user.username, email: user.email, role: user.role },
+      documentType,
+      ...(document ? { document } : { visaStatus: user.visaStatus }),
+      expiryDate: toDateKey(expiryDate),
+      daysLeft,
+      isAvailable: user.isAvailable,
+    };
+
+    const nationality = user.nationality || null;
+    const location = getLocation(user);
+    addToGroup(byNationality, nationality, { nationality }, status, entry);
+    addToGroup(byLocation, String(location.location?._id ?? null), location, status, entry);
+  }
+
+  return {
+    asOf: toDateKey(day),
+    days,
+    lapsedCount,
+    upcomingCount: expiries.length - lapsedCount,
+    byNationality: sortGroups(byNationality),
+    byLocation: sortGroups(byLocation),
+  };
+};
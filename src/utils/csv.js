@@ -0,0 +1,65 @@
+// Characters that make spreadsheet apps read a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Escape a value for a CSV cell. Text that would start a formula is prefixed
+// with ' so user input (usernames, audited request bodies) stays inert text.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text =
+    value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document from rows; columns is a list of { header, value(row) }
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map((column) => escapeCsvValue(column.header)).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(column.value(row))).join(','));
+  }
+  return lines.join('\r\n');
+};
+
+// Parse a CSV document into rows of cells (RFC 4180: quoted cells may hold
+// commas, quotes and line breaks). A leading byte order mark is ignored.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
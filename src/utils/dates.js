@@ -0,0 +1,86 @@
+// Calendar dates are stored as UTC midnight and exchanged as 'YYYY-MM-DD'
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whether a value is the 'YYYY-MM-DD' key of a real day; the pattern alone lets
+// 2024-02-31 (read as March 2nd) and 2024-13-01 (an invalid date) through
+export const isDateKey = (value) => {
+  if (typeof value !== 'string' || !DATE_KEY_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Parse 'YYYY-MM-DD' (or any date) into UTC midnight of that day
+export const toUtcDate = (value) => {
+  const date = value instanceof Date ? value : new Date(DATE_KEY_PATTERN.test(value) ? `${value}T00:00:00Z` : value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+export const toDateKey = (date) => toUtcDate(date).toISOString().slice(0, 10);
+
+export const addDays = (date, days) => new Date(toUtcDate(date).getTime() + days * DAY_MS);
+
+export const today = () => toUtcDate(new Date());
+
+// Every day from `from` to `to`, both included
+export const eachDay = (from, to) => {
+  const days = [];
+  for (let day = toUtcDate(from); day <= toUtcDate(to); day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Monday of the (ISO) week the day falls in
+export const startOfWeek = (date) => addDays(date, -((toUtcDate(date).getUTCDay() + 6) % 7));
+
+export const isWeekend = (date) => [0, 6].includes(toUtcDate(date).getUTCDay());
+
+export const daysBetween = (from, to) => Math.round((toUtcDate(to) - toUtcDate(from)) / DAY_MS);
+
+export const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Minutes the time zone is ahead of UTC at the given instant
+const getTimeZoneOffset = (timestamp, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(new Date(timestamp))
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(timestamp / 1000) * 1000) / 60000);
+};
+
+// The instant at which a wall-clock time ('HH:mm') occurs on a day in a time zone
+export const zonedTimeToUtc = (date, time, timeZone) => {
+  const day = toUtcDate(date);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+
+  // Re-check the offset at the result in case a DST change happens in between
+  let offset = getTimeZoneOffset(wallClock, timeZone);
+  const adjustedOffset = getTimeZoneOffset(wallClock - offset * 60000, timeZone);
+  if (adjustedOffset !== offset) offset = adjustedOffset;
+
+  return new Date(wallClock - offset * 60000);
+};
@@ -5,6 +5,7 @@ export const Role = Object.freeze({
     CLEANER: 'Cleaner',
     TRAINEE_CHEF: 'TraineeChef',
     DRIVER: 'Driver',
+    MANAGER: 'Manager',
   });
   
   export const AvailabilityStatus = Object.freeze({
@@ -18,6 +19,15 @@ export const Role = Object.freeze({
     ASSIGNED_TO_SHOP: 'AssignedToShop',
     UNASSIGNED_FROM_SHOP: 'UnassignedFromShop',
     AVAILABILITY_UPDATED: 'AvailabilityUpdated',
+    ACCOUNT_LOCKED: 'AccountLocked',
+    ACCOUNT_UNLOCKED: 'AccountUnlocked',
+    ASSIGNED_TO_SHIFT: 'AssignedToShift',
+    UNASSIGNED_FROM_SHIFT: 'UnassignedFromShift',
+    LEAVE_APPROVED: 'LeaveApproved',
+    LEAVE_REJECTED: 'LeaveRejected',
+    SHIFT_SWAP_APPROVED: 'ShiftSwapApproved',
+    TIME_ENTRY_CORRECTED: 'TimeEntryCorrected',
+    SALARY_CHANGED: 'SalaryChanged',
   });
   
   
@@ -27,6 +37,169 @@ export const Role = Object.freeze({
     NIGHT: 'Night',
     BOTH: 'Both',
   });
-  
-  
-  
\ No newline at end of file
+
+  // Shift types that stand for several real shifts
+  export const ShiftComponents = Object.freeze({
+    Both: Object.freeze(['Morning', 'Afternoon']),
+  });
+
+  // Values match the Kitchen and Shop model names
+  export const LocationType = Object.freeze({
+    KITCHEN: 'Kitchen',
+    SHOP: 'Shop',
+  });
+
+  export const StaffingStatus = Object.freeze({
+    UNDERSTAFFED: 'Understaffed',
+    OVERSTAFFED: 'Overstaffed',
+  });
+
+  export const RosterDraftStatus = Object.freeze({
+    DRAFT: 'Draft',
+    PUBLISHED: 'Published',
+    DISCARDED: 'Discarded',
+  });
+
+  // Reasons an assignment is rejected (Error) or flagged (Warning)
+  export const ConflictCode = Object.freeze({
+    OVERLAPPING_SHIFT: 'OverlappingShift',
+    USER_UNAVAILABLE: 'UserUnavailable',
+    ROLE_LOCATION_MISMATCH: 'RoleLocationMismatch',
+    ASSIGNED_ELSEWHERE: 'AssignedElsewhere',
+    ON_LEAVE: 'OnLeave',
+  });
+
+  export const ConflictSeverity = Object.freeze({
+    ERROR: 'Error',
+    WARNING: 'Warning',
+  });
+
+  export const LeaveType = Object.freeze({
+    ANNUAL: 'Annual',
+    SICK: 'Sick',
+    UNPAID: 'Unpaid',
+  });
+
+  export const LeaveStatus = Object.freeze({
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+    CANCELLED: 'Cancelled',
+  });
+
+  // Swap: exchange shifts with a colleague. Cover: hand a shift over.
+  export const ShiftSwapType = Object.freeze({
+    SWAP: 'Swap',
+    COVER: 'Cover',
+  });
+
+  // Open -> Accepted (by a colleague) -> Approved/Rejected (by a manager)
+  export const ShiftSwapStatus = Object.freeze({
+    OPEN: 'Open',
+    ACCEPTED: 'Accepted',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected',
+    CANCELLED: 'Cancelled',
+    EXPIRED: 'Expired',
+  });
+
+  // How users created by a bulk import get into their account
+  export const ImportNotification = Object.freeze({
+    INVITATION: 'invitation', // a link to choose their password
+    TEMPORARY_PASSWORD: 'temporaryPassword', // a password to change on first login
+  });
+
+  // ClockedIn <-> OnBreak -> ClockedOut. MissedClockOut and NoShow are set by
+  // the attendance check and cleared by a correction.
+  export const TimeEntryStatus = Object.freeze({
+    CLOCKED_IN: 'ClockedIn',
+    ON_BREAK: 'OnBreak',
+    CLOCKED_OUT: 'ClockedOut',
+    MISSED_CLOCK_OUT: 'MissedClockOut',
+    NO_SHOW: 'NoShow',
+  });
+
+  // Draft (recalculated on every rerun) -> Approved -> Paid
+  export const PayrollRunStatus = Object.freeze({
+    DRAFT: 'Draft',
+    APPROVED: 'Approved',
+    PAID: 'Paid',
+  });
+
+  // Line items of a salary record; bonuses and deductions are also the payroll adjustment types
+  export const PayLineType = Object.freeze({
+    BASE: 'Base',
+    OVERTIME: 'Overtime',
+    BONUS: 'Bonus',
+    DEDUCTION: 'Deduction',
+  });
+
+  // Payroll records come from payroll runs; bonuses and deductions are recorded by admins
+  export const SalaryRecordType = Object.freeze({
+    PAYROLL: 'Payroll',
+    BONUS: 'Bonus',
+    DEDUCTION: 'Deduction',
+  });
+
+  // Pending -> Paid or Cancelled
+  export const SalaryRecordStatus = Object.freeze({
+    PENDING: 'Pending',
+    PAID: 'Paid',
+    CANCELLED: 'Cancelled',
+  });
+
+  export const SalaryRecordTransitions = Object.freeze({
+    Pending: Object.freeze(['Paid', 'Cancelled']),
+    Paid: Object.freeze([]),
+    Cancelled: Object.freeze([]),
+  });
+
+  // Kinds of files kept in a user's document vault
+  export const DocumentType = Object.freeze({
+    VISA: 'Visa',
+    PASSPORT: 'Passport',
+    WORK_PERMIT: 'WorkPermit',
+    CONTRACT: 'Contract',
+    ID_CARD: 'IdCard',
+    OTHER: 'Other',
+  });
+
+  export const InvitationStatus = Object.freeze({
+    PENDING: 'Pending',
+    ACCEPTED: 'Accepted',
+    REVOKED: 'Revoked',
+    EXPIRED: 'Expired',
+  });
+
+  // Named permissions granted through roles
+  export const Permission = Object.freeze({
+    USER_READ: 'user:read',
+    USER_UPDATE: 'user:update',
+    USER_DELETE: 'user:delete',
+    USER_AVAILABILITY: 'user:availability',
+    USER_INVITE: 'user:invite',
+    KITCHEN_CREATE: 'kitchen:create',
+    KITCHEN_UPDATE: 'kitchen:update',
+    KITCHEN_DELETE: 'kitchen:delete',
+    SHOP_CREATE: 'shop:create',
+    SHOP_UPDATE: 'shop:update',
+    SHOP_DELETE: 'shop:delete',
+    SHOP_RESTORE: 'shop:restore',
+    SHIFT_ASSIGN: 'shift:assign',
+    TIMESHEET_READ: 'timesheet:read',
+    // Correct time entries and clock colleagues in and out on a shared device
+    TIMESHEET_MANAGE: 'timesheet:manage',
+    SALARY_READ: 'salary:read',
+    SALARY_UPDATE: 'salary:update',
+    HISTORY_READ: 'history:read',
+    DOCUMENT_READ: 'document:read',
+    // Upload and remove documents of other users
+    DOCUMENT_MANAGE: 'document:manage',
+    NOTIFICATION_BROADCAST: 'notification:broadcast',
+    ROLE_READ: 'role:read',
+    ROLE_MANAGE: 'role:manage',
+    AUDIT_READ: 'audit:read',
+    API_KEY_MANAGE: 'apikey:manage',
+    // Grants access to every kitchen and shop instead of only managed ones
+    LOCATION_ALL: 'location:all',
+  });
@@ -0,0 +1,7 @@
+import crypto from 'crypto';
+
+// Generate a random, URL-safe token
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Hash a token before storing it so a database leak does not expose usable tokens
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
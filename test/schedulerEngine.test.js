@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSchedule } from '../src/services/schedulerEngine.js';
+import { ShiftType } from '../src/utils/enums.js';
+import { addDays, toUtcDate } from '../src/utils/dates.js';
+
+const KITCHEN = 'kitchen-1';
+const HOURS = {
+  [ShiftType.MORNING]: [6, 14],
+  [ShiftType.AFTERNOON]: [14, 22],
+  [ShiftType.NIGHT]: [22, 30], // ends 06:00 the next day
+};
+
+// A dated shift at the test kitchen needing `count` chefs
+const shift = (dateKey, shiftType, count = 1) => {
+  const date = toUtcDate(dateKey);
+  const [start, end] = HOURS[shiftType];
+  return {
+    location: KITCHEN,
+    locationType: 'Kitchen',
+    date,
+    shiftType,
+    startsAt: new Date(date.getTime() + start * 60 * 60 * 1000),
+    endsAt: new Date(date.getTime() + end * 60 * 60 * 1000),
+    requirements: [{ role: 'Chef', count }],
+  };
+};
+
+const chef = (_id) => ({ _id, role: 'Chef', locations: [KITCHEN] });
+
+const teamsOf = (result) => result.shifts.map((entry) => entry.users);
+
+test('assigns nobody more than maxShiftsPerWeek shifts in a week', () => {
+  // Monday 2024-01-01 to Sunday 2024-01-07
+  const shifts = [0, 1, 2, 3, 4, 5, 6].map((day) => shift(`2024-01-0${day + 1}`, ShiftType.MORNING));
+
+  const result = buildSchedule({ shifts, users: [chef('a')], constraints: { maxShiftsPerWeek: 5 } });
+
+  assert.deepEqual(teamsOf(result), [['a'], ['a'], ['a'], ['a'], ['a'], [], []]);
+  assert.equal(result.workload[0].shifts, 5);
+  assert.deepEqual(
+    result.unfilled.map((entry) => entry.date),
+    ['2024-01-06', '2024-01-07']
+  );
+});
+
+test('counts the week limit from Monday', () => {
+  // Saturday to the next Friday: two shifts in one week, five in the next
+  const shifts = [0, 1, 2, 3, 4, 5, 6].map((day) =>
+    shift(addDays('2024-01-06', day).toISOString().slice(0, 10), ShiftType.MORNING)
+  );
+
+  const result = buildSchedule({ shifts, users: [chef('a')], constraints: { maxShiftsPerWeek: 5 } });
+
+  assert.equal(result.workload[0].shifts, 7);
+  assert.deepEqual(result.unfilled, []);
+});
+
+test('never puts a Night shift back to back with the next Morning', () => {
+  // Without a rest minimum only the Night to Morning rule stands in the way
+  const shifts = [shift('2024-01-01', ShiftType.NIGHT), shift('2024-01-02', ShiftType.MORNING)];
+
+  const alone = buildSchedule({ shifts, users: [chef('a')], constraints: { minRestHours: 0 } });
+  assert.deepEqual(teamsOf(alone), [['a'], []]);
+  assert.equal(alone.unfilled.length, 1);
+
+  const withColleague = buildSchedule({ shifts, users: [chef('a'), chef('b')], constraints: { minRestHours: 0 } });
+  assert.deepEqual(teamsOf(withColleague), [['a'], ['b']]);
+});
+
+test('also keeps a Morning shift free after a Night shift already worked elsewhere', () => {
+  const night = shift('2024-01-01', ShiftType.NIGHT);
+  const result = buildSchedule({
+    shifts: [shift('2024-01-02', ShiftType.MORNING)],
+    users: [chef('a'), chef('b')],
+    commitments: [{ user: 'a', ...night }],
+    constraints: { minRestHours: 0 },
+  });
+
+  assert.deepEqual(teamsOf(result), [['b']]);
+});
+
+test('spreads weekend shifts evenly before balancing total shifts', () => {
+  // a already works three weekdays, b worked the previous Saturday
+  const commitments = [
+    { user: 'a', ...shift('2024-01-01', ShiftType.MORNING) },
+    { user: 'a', ...shift('2024-01-02', ShiftType.MORNING) },
+    { user: 'a', ...shift('2024-01-03', ShiftType.MORNING) },
+    { user: 'b', ...shift('2023-12-30', ShiftType.MORNING) },
+  ];
+  const shifts = ['2024-01-06', '2024-01-07', '2024-01-13', '2024-01-14'].map((dateKey) =>
+    shift(dateKey, ShiftType.MORNING)
+  );
+
+  const result = buildSchedule({ shifts, users: [chef('a'), chef('b')], commitments });
+
+  // a has the fewest weekend shifts, so takes the first one despite having more shifts overall
+  assert.deepEqual(teamsOf(result), [['a'], ['b'], ['a'], ['b']]);
+  const weekendShifts = Object.fromEntries(result.workload.map((entry) => [entry.user, entry.weekendShifts]));
+  assert.deepEqual(weekendShifts, { a: 2, b: 3 });
+});
+
+test('gives the same roster whatever the order of its input', () => {
+  const shifts = [
+    shift('2024-01-01', ShiftType.MORNING, 2),
+    shift('2024-01-01', ShiftType.NIGHT),
+    shift('2024-01-02', ShiftType.MORNING),
+    shift('2024-01-06', ShiftType.AFTERNOON, 2),
+  ];
+  const users = [chef('c'), chef('a'), chef('b')];
+
+  const first = buildSchedule({ shifts, users });
+  const second = buildSchedule({ shifts: [...shifts].reverse(), users: [...users].reverse() });
+
+  assert.deepEqual(second, first);
+});